@@ -644,6 +644,7 @@ class PageNavigation {
         this.pages = ['login', 'dashboard', 'bots', 'debug', 'settings', 'admin', 'help', 'databases', 'bot-settings'];
         this.bots = [];
         this.databases = [];
+        this.aiProviders = [];
         this.authenticated = false;
         this.domCache = new DOMCache(); // Add DOM cache
         this.init();
@@ -662,8 +663,10 @@ class PageNavigation {
             if (data.authenticated) {
                 this.authenticated = true;
                 
-                // Загружаем базы данных сразу после аутентификации
+                // Загружаем базы данных и AI провайдеров сразу после аутентификации
                 await this.loadDatabasesData();
+                await this.loadAIProviders();
+                startHandoffPolling();
                 
                 // Now restore the current page after authentication is confirmed
                 this.restoreCurrentPage();
@@ -777,11 +780,21 @@ class PageNavigation {
             this.handleSettingsSubmit(e);
         });
 
+        // Telegram settings form
+        document.getElementById('telegramSettingsForm')?.addEventListener('submit', (e) => {
+            this.handleTelegramSettingsSubmit(e);
+        });
+
+        // AI model prices form
+        document.getElementById('aiPricesForm')?.addEventListener('submit', (e) => {
+            this.handleAIPricesSubmit(e);
+        });
+
         // Support chat form (will be attached when help page loads)
         this.attachChatHandlers();
 
         // Dashboard period selector
-        const periodSelector = this.domCache.get('dashboardPeriod');
+        const periodSelector = this.domCache.get('#dashboardPeriod');
         if (periodSelector) {
             periodSelector.addEventListener('change', (e) => {
                 this.loadDashboardData();
@@ -795,7 +808,7 @@ class PageNavigation {
         }
 
         // Dashboard refresh button
-        const refreshButton = this.domCache.get('refreshDashboard');
+        const refreshButton = this.domCache.get('#refreshDashboard');
         if (refreshButton) {
             refreshButton.addEventListener('click', (e) => {
                 e.preventDefault();
@@ -946,6 +959,8 @@ class PageNavigation {
             if (data.success) {
                 this.authenticated = true;
                 await this.loadDatabasesData();
+                await this.loadAIProviders();
+                startHandoffPolling();
                 this.showPage('dashboard');
                 
                 // Add welcome notifications only after successful login
@@ -978,6 +993,8 @@ class PageNavigation {
             tag: this.domCache.get('#botTag').value?.trim(),
             description: this.domCache.get('#botDescription').value?.trim(),
             telegram_token: this.domCache.get('#telegramToken').value?.trim(),
+            delivery_mode: this.domCache.get('#deliveryMode').value,
+            ai_provider: this.domCache.get('#aiProvider').value,
             api_url: this.domCache.get('#apiUrl').value?.trim(),
             api_key: this.domCache.get('#apiKey').value?.trim(),
             ai_model: this.domCache.get('#aiModel').value?.trim(),
@@ -1005,7 +1022,9 @@ class PageNavigation {
             return;
         }
 
-        if (!formData.api_key) {
+        // Self-hosted providers (Ollama, local OpenAI-compatible servers) work without key
+        const provider = this.aiProviders.find(item => item.id === formData.ai_provider);
+        if (!formData.api_key && (!provider || provider.requiresApiKey)) {
             this.showNotification('API ключ обязателен', 'error');
             this.domCache.get('#apiKey').focus();
             return;
@@ -1059,19 +1078,45 @@ class PageNavigation {
             checkboxClasses: memoryEnabledCheckbox?.classList.toString()
         });
 
+        const mediaHandling = {};
+        document.querySelectorAll('#editBotForm .media-handling-select').forEach(select => {
+            mediaHandling[select.dataset.mediaType] = select.value;
+        });
+
         const formData = {
             name: document.querySelector('#editBotName').value,
             tag: document.querySelector('#editBotTag').value,
             description: document.querySelector('#editBotDescription').value,
             telegram_token: document.querySelector('#editTelegramToken').value,
+            delivery_mode: document.querySelector('#editDeliveryMode').value,
+            ai_provider: document.querySelector('#editAiProvider').value,
             api_url: document.querySelector('#editApiUrl').value,
             api_key: document.querySelector('#editApiKey').value,
             ai_model: document.querySelector('#editAiModel').value,
             database_id: document.querySelector('#editDatabase').value,
             system_prompt: document.querySelector('#editSystemPrompt').value,
+            ai_temperature: document.querySelector('#editTemperature')?.value ?? '',
+            ai_max_tokens: document.querySelector('#editMaxTokens')?.value ?? '',
+            ai_top_p: document.querySelector('#editTopP')?.value ?? '',
+            ai_stop_sequences: parseStopSequencesInput(document.querySelector('#editStopSequences')?.value || ''),
+            ai_fallbacks: collectAIFallbacks(),
+            ai_max_retries: document.querySelector('#editAiMaxRetries')?.value ?? '',
+            ai_timeout_seconds: document.querySelector('#editAiTimeout')?.value ?? '',
+            ai_error_message: document.querySelector('#editAiErrorMessage')?.value || '',
             is_active: document.querySelector('#isActiveEdit').classList.contains('checked'),
             memory_enabled: memoryEnabled,
-            memory_messages_count: memoryCount
+            memory_messages_count: memoryCount,
+            media_handling: mediaHandling,
+            media_fallback_message: document.querySelector('#editMediaFallback')?.value || '',
+            vision_enabled: document.querySelector('#visionEnabledEdit')?.classList.contains('checked') || false,
+            group_policy: document.querySelector('#editGroupPolicy')?.value || 'mention',
+            group_allowlist: document.querySelector('#editGroupAllowlist')?.value || '',
+            inline_enabled: document.querySelector('#inlineEnabledEdit')?.classList.contains('checked') || false,
+            inline_cache_seconds: parseInt(document.querySelector('#editInlineCache')?.value) || 0,
+            ai_command_detection: document.querySelector('#aiCommandDetectionEdit')?.classList.contains('checked') || false,
+            handoff_triggers: document.querySelector('#editHandoffTriggers')?.value || '',
+            handoff_message: document.querySelector('#editHandoffMessage')?.value || '',
+            handoff_return_message: document.querySelector('#editHandoffReturnMessage')?.value || ''
         };
 
         try {
@@ -1110,10 +1155,11 @@ class PageNavigation {
             this.updateMetrics(stats);
             
             // Load chart data
-            const period = this.domCache.get('dashboardPeriod')?.value || '24h';
+            const period = this.domCache.get('#dashboardPeriod')?.value || '24h';
             await Promise.all([
                 this.loadMessagesChart(period),
                 this.loadAiRequestsChart(period),
+                this.loadAiModelsChart(period),
                 this.loadSystemMetrics()
             ]);
             
@@ -1136,20 +1182,21 @@ class PageNavigation {
     updateMetrics(stats) {
         // Update metrics cards
         const elements = {
-            totalBots: this.domCache.get('totalBots'),
-            activeBots: this.domCache.get('activeBots'),
-            totalMessages: this.domCache.get('totalMessages'),
-            totalAiRequests: this.domCache.get('totalAiRequests'),
-            systemUptime: this.domCache.get('systemUptime'),
-            systemStatus: this.domCache.get('systemStatus'),
-            messageChange: this.domCache.get('messageChange'),
-            aiRequestsChange: this.domCache.get('aiRequestsChange')
+            totalBots: this.domCache.get('#totalBots'),
+            activeBots: this.domCache.get('#activeBots'),
+            totalMessages: this.domCache.get('#totalMessages'),
+            totalAiRequests: this.domCache.get('#totalAiRequests'),
+            systemUptime: this.domCache.get('#systemUptime'),
+            systemStatus: this.domCache.get('#systemStatus'),
+            messageChange: this.domCache.get('#messageChange'),
+            aiRequestsChange: this.domCache.get('#aiRequestsChange')
         };
 
         if (elements.totalBots) elements.totalBots.textContent = stats.totalBots || 0;
         if (elements.activeBots) elements.activeBots.textContent = `${stats.runningBots || 0} активных`;
         if (elements.totalMessages) elements.totalMessages.textContent = this.formatNumber(stats.totalRequests || 0);
-        if (elements.totalAiRequests) elements.totalAiRequests.textContent = this.formatNumber(stats.apiCalls || 0);
+        if (elements.totalAiRequests) elements.totalAiRequests.textContent = this.formatNumber(stats.aiRequests || 0);
+        if (elements.aiRequestsChange) elements.aiRequestsChange.textContent = `Стоимость: ${this.formatCost(stats.aiCost || 0)}`;
         
         // Format uptime
         if (elements.systemUptime && stats.uptime) {
@@ -1159,11 +1206,29 @@ class PageNavigation {
         }
 
         // Update system indicators
-        const aiStatusIndicator = this.domCache.get('aiStatusIndicator');
+        const aiStatusIndicator = this.domCache.get('#aiStatusIndicator');
         if (aiStatusIndicator) {
-            const hasAiCalls = (stats.apiCalls || 0) > 0;
+            const hasAiCalls = (stats.aiRequests || 0) > 0;
             aiStatusIndicator.className = `status-indicator ${hasAiCalls ? 'active' : 'warning'}`;
         }
+
+        this.botResume = stats.botResume || null;
+        this.showBotResumeReport(this.botResume);
+    }
+
+    showBotResumeReport(report) {
+        if (!report || !report.finishedAt || !Array.isArray(report.failed) || report.failed.length === 0) return;
+
+        // Report each server restart only once per browser session
+        if (sessionStorage.getItem('botResumeReported') === report.finishedAt) return;
+        sessionStorage.setItem('botResumeReported', report.finishedAt);
+
+        notificationSystem.addNotification(
+            'Боты не запущены после перезапуска',
+            report.failed.map(bot => `${bot.name}: ${bot.error}`).join('; '),
+            'warning',
+            true
+        );
     }
 
     async loadMessagesChart(period = '24h') {
@@ -1171,7 +1236,7 @@ class PageNavigation {
             const response = await fetch(`/api/dashboard/charts/messages?period=${period}`);
             const data = await response.json();
             
-            const ctx = this.domCache.get('messagesChart');
+            const ctx = this.domCache.get('#messagesChart');
             if (!ctx) return;
 
             // Destroy existing chart
@@ -1232,7 +1297,7 @@ class PageNavigation {
             const response = await fetch(`/api/dashboard/charts/ai-requests?period=${period}`);
             const data = await response.json();
             
-            const ctx = this.domCache.get('aiRequestsChart');
+            const ctx = this.domCache.get('#aiRequestsChart');
             if (!ctx) return;
 
             // Destroy existing chart
@@ -1249,7 +1314,11 @@ class PageNavigation {
                     maintainAspectRatio: false,
                     plugins: {
                         legend: {
-                            display: false
+                            display: true,
+                            labels: {
+                                color: '#666',
+                                boxWidth: 12
+                            }
                         }
                     },
                     scales: {
@@ -1288,16 +1357,93 @@ class PageNavigation {
         }
     }
 
+    async loadAiModelsChart(period = '24h') {
+        try {
+            const response = await fetch(`/api/dashboard/charts/ai-models?period=${period}`);
+            const data = await response.json();
+
+            const totalCost = this.domCache.get('#aiModelsCost');
+            if (totalCost) totalCost.textContent = this.formatCost(data.totalCost || 0);
+
+            const ctx = this.domCache.get('#aiModelsChart');
+            if (!ctx) return;
+
+            // Destroy existing chart
+            if (this.charts?.aiModelsChart) {
+                this.charts.aiModelsChart.destroy();
+            }
+
+            this.charts = this.charts || {};
+            this.charts.aiModelsChart = new Chart(ctx, {
+                type: 'bar',
+                data: { labels: data.labels, datasets: data.datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            display: true,
+                            labels: {
+                                color: '#666',
+                                boxWidth: 12
+                            }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                footer: (items) => {
+                                    const index = items[0]?.dataIndex;
+                                    return `Запросов: ${data.requests[index]}, стоимость: ${this.formatCost(data.costs[index])}`;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            stacked: true,
+                            beginAtZero: true,
+                            grid: {
+                                color: 'rgba(255, 255, 255, 0.1)'
+                            },
+                            ticks: {
+                                color: '#666'
+                            }
+                        },
+                        x: {
+                            stacked: true,
+                            grid: {
+                                color: 'rgba(255, 255, 255, 0.1)'
+                            },
+                            ticks: {
+                                color: '#666'
+                            }
+                        }
+                    },
+                    interaction: {
+                        intersect: false,
+                        mode: 'index'
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Failed to load AI models chart:', error);
+        }
+    }
+
+    // Cost in USD, small amounts keep more digits
+    formatCost(value) {
+        return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+    }
+
     async loadSystemMetrics() {
         try {
             const response = await fetch('/api/dashboard/charts/system');
             const data = await response.json();
             
             // Update system indicators
-            const memoryUsage = this.domCache.get('memoryUsage');
-            const successRate = this.domCache.get('successRate');
-            const totalRequests = this.domCache.get('totalRequests');
-            const failedRequests = this.domCache.get('failedRequests');
+            const memoryUsage = this.domCache.get('#memoryUsage');
+            const successRate = this.domCache.get('#successRate');
+            const totalRequests = this.domCache.get('#totalRequests');
+            const failedRequests = this.domCache.get('#failedRequests');
 
             if (memoryUsage) memoryUsage.textContent = `${data.memory.used}MB`;
             if (successRate) successRate.textContent = `${data.requests.successRate}%`;
@@ -1308,7 +1454,7 @@ class PageNavigation {
             this.updatePerformanceBars(data);
 
             // Load system chart (doughnut for memory usage)
-            const ctx = this.domCache.get('systemChart');
+            const ctx = this.domCache.get('#systemChart');
             if (ctx) {
                 // Destroy existing chart
                 if (this.charts?.systemChart) {
@@ -1349,8 +1495,8 @@ class PageNavigation {
 
     updatePerformanceBars(data) {
         // Success rate bar
-        const successBar = this.domCache.get('successBar');
-        const successValue = this.domCache.get('successValue');
+        const successBar = this.domCache.get('#successBar');
+        const successValue = this.domCache.get('#successValue');
         if (successBar && successValue) {
             const successRate = data.requests.successRate;
             successBar.style.width = `${successRate}%`;
@@ -1358,8 +1504,8 @@ class PageNavigation {
         }
 
         // Memory usage bar
-        const memoryBar = this.domCache.get('memoryBar');
-        const memoryValue = this.domCache.get('memoryValue');
+        const memoryBar = this.domCache.get('#memoryBar');
+        const memoryValue = this.domCache.get('#memoryValue');
         if (memoryBar && memoryValue) {
             const memoryPercentage = data.memory.percentage;
             memoryBar.style.width = `${memoryPercentage}%`;
@@ -1367,8 +1513,8 @@ class PageNavigation {
         }
 
         // Active bots bar
-        const botsBar = this.domCache.get('botsBar');
-        const botsValue = this.domCache.get('botsValue');
+        const botsBar = this.domCache.get('#botsBar');
+        const botsValue = this.domCache.get('#botsValue');
         if (botsBar && botsValue) {
             // Assuming max 10 bots for percentage calculation
             const botsPercentage = Math.min((data.activeBots / 10) * 100, 100);
@@ -1382,12 +1528,14 @@ class PageNavigation {
             const response = await fetch('/api/bots');
             const bots = await response.json();
             
-            const activeBotsList = this.domCache.get('activeBotsList');
+            const activeBotsList = this.domCache.get('#activeBotsList');
             if (!activeBotsList) return;
 
             const runningBots = bots.filter(bot => bot.is_running);
+            const failedResumeBots = (this.botResume?.failed || [])
+                .filter(failed => !runningBots.some(bot => bot.id === failed.id));
             
-            if (runningBots.length === 0) {
+            if (runningBots.length === 0 && failedResumeBots.length === 0) {
                 activeBotsList.innerHTML = '<div class="loading-placeholder">Нет активных ботов</div>';
                 return;
             }
@@ -1406,6 +1554,21 @@ class PageNavigation {
                 fragment.appendChild(botItem);
             });
 
+            // Bots that could not be resumed after server restart
+            failedResumeBots.forEach(bot => {
+                const botItem = document.createElement('div');
+                botItem.className = 'bot-item';
+                botItem.title = bot.error;
+                botItem.innerHTML = `
+                    <span class="bot-name">${bot.name}</span>
+                    <span class="bot-status">
+                        <div class="status-indicator warning"></div>
+                        Не запущен после рестарта
+                    </span>
+                `;
+                fragment.appendChild(botItem);
+            });
+
             activeBotsList.innerHTML = '';
             activeBotsList.appendChild(fragment);
 
@@ -1440,6 +1603,43 @@ class PageNavigation {
         }
     }
 
+    // Fill provider selects of bot forms and support settings. Choosing provider suggests its API URL
+    async loadAIProviders() {
+        try {
+            const response = await fetch('/api/ai-providers');
+            if (!response.ok) return;
+            const providers = await response.json();
+            this.aiProviders = providers;
+
+            document.querySelectorAll('.ai-provider-select').forEach(select => {
+                const value = select.value;
+                select.innerHTML = '<option value="">Определить по URL</option>' + providers.map(provider =>
+                    `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`
+                ).join('');
+                select.value = value;
+
+                select.onchange = () => {
+                    const urlInput = document.getElementById(select.dataset.urlInput);
+                    const keyInput = document.getElementById(select.dataset.keyInput);
+                    const provider = providers.find(item => item.id === select.value);
+                    if (!urlInput || !provider) return;
+
+                    if (keyInput) {
+                        keyInput.placeholder = provider.requiresApiKey ? 'Введите API ключ' : 'Не обязателен';
+                    }
+
+                    urlInput.placeholder = provider.defaultUrl || 'https://api.example.com/v1';
+                    // Replace empty URL or default URL of another provider, keep custom URLs
+                    if (!urlInput.value || providers.some(item => item.defaultUrl && item.defaultUrl === urlInput.value)) {
+                        urlInput.value = provider.defaultUrl;
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('Failed to load AI providers:', error);
+        }
+    }
+
     async loadDatabasesData() {
         try {
             const response = await fetch('/api/databases');
@@ -1480,6 +1680,9 @@ class PageNavigation {
                             statusText.className = 'activation-status inactive';
                         }
                     }
+                } else if (setting.key === 'support_ai_provider') {
+                    const select = document.getElementById('supportAiProvider');
+                    if (select) select.value = setting.value || '';
                 } else if (setting.key === 'support_ai_api_url') {
                     const input = document.getElementById('supportApiUrl');
                     if (input) input.value = setting.value || '';
@@ -1489,6 +1692,12 @@ class PageNavigation {
                 } else if (setting.key === 'support_ai_model') {
                     const input = document.getElementById('supportAiModel');
                     if (input) input.value = setting.value || '';
+                } else if (setting.key === 'webhook_base_url') {
+                    const input = document.getElementById('webhookBaseUrl');
+                    if (input) input.value = setting.value || '';
+                } else if (setting.key === 'ai_model_prices') {
+                    const input = document.getElementById('aiModelPrices');
+                    if (input) input.value = setting.value && setting.value !== '{}' ? setting.value : '';
                 }
             });
         } catch (error) {
@@ -1500,12 +1709,14 @@ class PageNavigation {
         event.preventDefault();
         
         const supportEnabled = document.getElementById('supportEnabled').classList.contains('checked');
+        const supportAiProvider = document.getElementById('supportAiProvider').value;
         const supportApiUrl = document.getElementById('supportApiUrl').value;
         const supportApiKey = document.getElementById('supportApiKey').value;
         const supportAiModel = document.getElementById('supportAiModel').value;
         
         const settings = [
             { key: 'support_ai_enabled', value: supportEnabled ? 'true' : 'false' },
+            { key: 'support_ai_provider', value: supportAiProvider },
             { key: 'support_ai_api_url', value: supportApiUrl },
             { key: 'support_ai_api_key', value: supportApiKey },
             { key: 'support_ai_model', value: supportAiModel }
@@ -1543,6 +1754,61 @@ class PageNavigation {
         }
     }
 
+    async handleTelegramSettingsSubmit(event) {
+        event.preventDefault();
+
+        const webhookBaseUrl = document.getElementById('webhookBaseUrl').value.trim();
+
+        if (webhookBaseUrl && !webhookBaseUrl.startsWith('https://')) {
+            this.showNotification('Telegram принимает только HTTPS адреса для webhook', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ settings: [{ key: 'webhook_base_url', value: webhookBaseUrl }] })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Настройки Telegram сохранены!', 'success');
+            } else {
+                this.showNotification('Ошибка сохранения настроек', 'error');
+            }
+        } catch (error) {
+            console.error('Telegram settings save error:', error);
+            this.showNotification('Ошибка сохранения настроек', 'error');
+        }
+    }
+
+    async handleAIPricesSubmit(event) {
+        event.preventDefault();
+
+        const prices = document.getElementById('aiModelPrices').value.trim() || '{}';
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ settings: [{ key: 'ai_model_prices', value: prices }] })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showNotification('Цены моделей сохранены!', 'success');
+            } else {
+                this.showNotification(data.error || 'Ошибка сохранения настроек', 'error');
+            }
+        } catch (error) {
+            console.error('AI prices save error:', error);
+            this.showNotification('Ошибка сохранения настроек', 'error');
+        }
+    }
+
     renderDatabasesTable() {
         const tbody = this.domCache.get('#databasesTable tbody');
         if (!tbody) return;
@@ -1616,6 +1882,53 @@ class PageNavigation {
         tbody.appendChild(fragment);
     }
 
+    // Состояние бота по данным супервизора (перезапуски, ошибки)
+    renderBotStatus(bot) {
+        const supervisor = bot.supervisor || { state: bot.is_running ? 'running' : 'stopped' };
+        let label;
+        let statusClass;
+
+        switch (supervisor.state) {
+            case 'starting':
+                label = 'Запускается';
+                statusClass = 'loading';
+                break;
+            case 'running':
+                label = 'Запущен';
+                statusClass = 'online';
+                break;
+            case 'degraded':
+                label = 'Нестабилен';
+                statusClass = 'warning';
+                break;
+            case 'backing_off': {
+                const seconds = supervisor.nextRetryAt
+                    ? Math.max(0, Math.round((new Date(supervisor.nextRetryAt) - Date.now()) / 1000))
+                    : 0;
+                label = `Перезапуск через ${seconds} с (${supervisor.retries}/${supervisor.maxRetries})`;
+                statusClass = 'warning';
+                break;
+            }
+            case 'failed':
+                label = 'Ошибка';
+                statusClass = 'error';
+                break;
+            default:
+                label = 'Остановлен';
+                statusClass = 'offline';
+        }
+
+        const showError = supervisor.lastError && supervisor.state !== 'running' && supervisor.state !== 'stopped';
+        const errorText = showError
+            ? String(supervisor.lastError).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            : '';
+
+        return `
+            <span class="status-${statusClass}" ${showError ? `title="${errorText}"` : ''}>${label}</span>
+            ${showError ? `<div class="bot-status-error">${errorText}</div>` : ''}
+        `;
+    }
+
     renderBotsTable() {
         // Check if mobile (768px or less)
         const isMobile = window.innerWidth <= 768;
@@ -1687,7 +2000,7 @@ class PageNavigation {
                             </div>
                         </div>
                     </td>
-                    <td><span class="status-${bot.is_running ? 'online' : 'offline'}">${bot.is_running ? 'Запущен' : 'Остановлен'}</span></td>
+                    <td>${this.renderBotStatus(bot)}</td>
                     <td class="hidden-mobile" style="font-family: monospace; font-size: 12px;">${bot.api_key ? bot.api_key.substring(0, 8) + '***' : 'Не указан'}</td>
                     <td class="hidden-mobile">${bot.ai_model || 'Не указана'}</td>
                     <td class="hidden-tablet">${databaseName}</td>
@@ -1758,7 +2071,7 @@ class PageNavigation {
                     </div>
                     
                     <div class="bot-status">
-                        <span class="status-${bot.is_running ? 'online' : 'offline'}">${bot.is_running ? 'Запущен' : 'Остановлен'}</span>
+                        ${this.renderBotStatus(bot)}
                         ${hasRealTelegramInfo ? `
                             <a href="https://t.me/${bot.telegram_username}" target="_blank" 
                                class="telegram-link"
@@ -2059,6 +2372,7 @@ class PageNavigation {
         const editBotTag = document.querySelector('#editBotTag');
         const editBotDescription = document.querySelector('#editBotDescription');
         const editTelegramToken = document.querySelector('#editTelegramToken');
+        const editDeliveryMode = document.querySelector('#editDeliveryMode');
         const editApiUrl = document.querySelector('#editApiUrl');
         const editApiKey = document.querySelector('#editApiKey');
         const editAiModel = document.querySelector('#editAiModel');
@@ -2069,11 +2383,33 @@ class PageNavigation {
         if (editBotTag) editBotTag.value = bot.tag || '';
         if (editBotDescription) editBotDescription.value = bot.description || '';
         if (editTelegramToken) editTelegramToken.value = bot.telegram_token || '';
+        if (editDeliveryMode) editDeliveryMode.value = bot.delivery_mode || 'polling';
         if (editApiUrl) editApiUrl.value = bot.api_url || '';
+        const editAiProvider = document.querySelector('#editAiProvider');
+        if (editAiProvider) editAiProvider.value = bot.ai_provider || '';
         if (editApiKey) editApiKey.value = bot.api_key || '';
         if (editAiModel) editAiModel.value = bot.ai_model || '';
         if (editDatabase) editDatabase.value = bot.database_id || '';
         if (editSystemPrompt) editSystemPrompt.value = bot.system_prompt || '';
+
+        // Set generation settings (empty top_p means provider default)
+        const editTemperature = document.querySelector('#editTemperature');
+        if (editTemperature) editTemperature.value = bot.ai_temperature ?? 0.7;
+        const editMaxTokens = document.querySelector('#editMaxTokens');
+        if (editMaxTokens) editMaxTokens.value = bot.ai_max_tokens ?? 1024;
+        const editTopP = document.querySelector('#editTopP');
+        if (editTopP) editTopP.value = bot.ai_top_p ?? '';
+        const editStopSequences = document.querySelector('#editStopSequences');
+        if (editStopSequences) editStopSequences.value = formatStopSequences(bot.ai_stop_sequences);
+
+        // Set failover settings
+        renderAIFallbacks(bot.ai_fallbacks);
+        const editAiMaxRetries = document.querySelector('#editAiMaxRetries');
+        if (editAiMaxRetries) editAiMaxRetries.value = bot.ai_max_retries ?? 2;
+        const editAiTimeout = document.querySelector('#editAiTimeout');
+        if (editAiTimeout) editAiTimeout.value = bot.ai_timeout_seconds ?? 60;
+        const editAiErrorMessage = document.querySelector('#editAiErrorMessage');
+        if (editAiErrorMessage) editAiErrorMessage.value = bot.ai_error_message || '';
         
         const checkbox = document.querySelector('#isActiveEdit');
         if (checkbox) {
@@ -2115,12 +2451,65 @@ class PageNavigation {
             memoryCount.value = bot.memory_messages_count || 5;
         }
 
+        // Set group chat settings
+        const groupPolicy = document.querySelector('#editGroupPolicy');
+        if (groupPolicy) groupPolicy.value = bot.group_policy || 'mention';
+        const groupAllowlist = document.querySelector('#editGroupAllowlist');
+        if (groupAllowlist) groupAllowlist.value = bot.group_allowlist || '';
+
+        const aiCommandDetection = document.querySelector('#aiCommandDetectionEdit');
+        if (aiCommandDetection) {
+            aiCommandDetection.classList.toggle('checked', bot.ai_command_detection !== 0);
+        }
+
+        // Set inline mode settings
+        const inlineCheckbox = document.querySelector('#inlineEnabledEdit');
+        if (inlineCheckbox) {
+            inlineCheckbox.classList.toggle('checked', !!bot.inline_enabled);
+        }
+        const inlineCache = document.querySelector('#editInlineCache');
+        if (inlineCache) inlineCache.value = bot.inline_cache_seconds ?? 300;
+
+        // Set operator handoff settings (null triggers means default /operator)
+        const handoffTriggers = document.querySelector('#editHandoffTriggers');
+        if (handoffTriggers) handoffTriggers.value = bot.handoff_triggers ?? '/operator';
+        const handoffMessage = document.querySelector('#editHandoffMessage');
+        if (handoffMessage) handoffMessage.value = bot.handoff_message || '';
+        const handoffReturnMessage = document.querySelector('#editHandoffReturnMessage');
+        if (handoffReturnMessage) handoffReturnMessage.value = bot.handoff_return_message || '';
+
+        // Set media settings
+        let mediaHandling = {};
+        try {
+            mediaHandling = bot.media_handling ? JSON.parse(bot.media_handling) : {};
+        } catch (error) {
+            mediaHandling = {};
+        }
+        const defaultMediaHandling = { photo: 'ai', document: 'ai', voice: 'fallback', sticker: 'fallback', location: 'ai', contact: 'ai' };
+        document.querySelectorAll('#editBotForm .media-handling-select').forEach(select => {
+            const type = select.dataset.mediaType;
+            select.value = mediaHandling[type] || defaultMediaHandling[type];
+        });
+
+        const visionCheckbox = document.querySelector('#visionEnabledEdit');
+        if (visionCheckbox) {
+            visionCheckbox.classList.toggle('checked', !!bot.vision_enabled);
+        }
+
+        const mediaFallback = document.querySelector('#editMediaFallback');
+        if (mediaFallback) {
+            mediaFallback.value = bot.media_fallback_message || '';
+        }
+
         // Store bot ID in form
         const editBotForm = document.querySelector('#editBotForm');
         if (editBotForm) {
             editBotForm.dataset.botId = bot.id;
         }
 
+        // Playground shows conversation of the edited bot only
+        clearPlaygroundView();
+
         console.log('Bot edit form filled successfully');
     }
 
@@ -2186,7 +2575,7 @@ async function toggleBot(botId, isRunning) {
             navigation.loadBotsData();
         } else {
             navigation.showNotification(
-                data.message || 'Ошибка управления ботом', 
+                data.error || data.message || 'Ошибка управления ботом', 
                 'error'
             );
         }
@@ -2275,6 +2664,126 @@ function clearForm() {
     navigation.clearCreateForm();
 }
 
+// Stop sequences are edited one per line, literal \n stands for line break
+function parseStopSequencesInput(text) {
+    return text.split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => line.replace(/\\n/g, '\n'));
+}
+
+function formatStopSequences(stored) {
+    let list = [];
+    try {
+        list = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        list = [];
+    }
+    return Array.isArray(list) ? list.map(item => String(item).replace(/\n/g, '\\n')).join('\n') : '';
+}
+
+// Failover providers of bot: rows with provider, API URL, key and model
+const MAX_AI_FALLBACKS = 3;
+
+function addAIFallbackRow(fallback = {}) {
+    const list = document.getElementById('editAiFallbacks');
+    if (!list || list.children.length >= MAX_AI_FALLBACKS) return;
+
+    const providers = navigation?.aiProviders || [];
+    const row = document.createElement('div');
+    row.className = 'ai-fallback-row';
+    row.innerHTML = `
+        <select class="form-select ai-fallback-provider">
+            <option value="">Определить по URL</option>
+            ${providers.map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`).join('')}
+        </select>
+        <input type="text" class="form-input ai-fallback-url" placeholder="API URL">
+        <input type="password" class="form-input ai-fallback-key" placeholder="API ключ" autocomplete="off">
+        <input type="text" class="form-input ai-fallback-model" placeholder="Модель">
+        <button type="button" class="btn btn-secondary" title="Удалить">✕</button>
+    `;
+    row.querySelector('.ai-fallback-provider').value = fallback.provider || '';
+    row.querySelector('.ai-fallback-url').value = fallback.api_url || '';
+    row.querySelector('.ai-fallback-key').value = fallback.api_key || '';
+    row.querySelector('.ai-fallback-model').value = fallback.model || '';
+    row.querySelector('button').onclick = () => {
+        row.remove();
+        updateAIFallbackButton();
+    };
+
+    list.appendChild(row);
+    updateAIFallbackButton();
+}
+
+function updateAIFallbackButton() {
+    const list = document.getElementById('editAiFallbacks');
+    const button = document.getElementById('addAiFallbackBtn');
+    if (list && button) button.disabled = list.children.length >= MAX_AI_FALLBACKS;
+}
+
+function renderAIFallbacks(stored) {
+    const list = document.getElementById('editAiFallbacks');
+    if (!list) return;
+    list.innerHTML = '';
+
+    let fallbacks = [];
+    try {
+        fallbacks = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        fallbacks = [];
+    }
+    (Array.isArray(fallbacks) ? fallbacks : []).forEach(fallback => addAIFallbackRow(fallback));
+    updateAIFallbackButton();
+}
+
+function collectAIFallbacks() {
+    return Array.from(document.querySelectorAll('#editAiFallbacks .ai-fallback-row')).map(row => ({
+        provider: row.querySelector('.ai-fallback-provider').value,
+        api_url: row.querySelector('.ai-fallback-url').value.trim(),
+        api_key: row.querySelector('.ai-fallback-key').value.trim(),
+        model: row.querySelector('.ai-fallback-model').value.trim()
+    })).filter(fallback => fallback.provider || fallback.api_url || fallback.api_key || fallback.model);
+}
+
+// Load model names from provider server into datalist of model input
+async function discoverAIModels(providerSelectId, urlInputId, keyInputId, modelInputId) {
+    const apiUrl = document.getElementById(urlInputId).value.trim();
+    if (!apiUrl) {
+        navigation.showNotification('Сначала укажите API URL', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/ai-providers/models', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                provider: document.getElementById(providerSelectId).value,
+                api_url: apiUrl,
+                api_key: document.getElementById(keyInputId).value.trim()
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            navigation.showNotification(data.error || 'Не удалось получить список моделей', 'error');
+            return;
+        }
+
+        const modelInput = document.getElementById(modelInputId);
+        document.getElementById(`${modelInputId}Options`).innerHTML = data.models
+            .map(model => `<option value="${escapeHtml(model)}">`)
+            .join('');
+        if (!modelInput.value && data.models.length > 0) {
+            modelInput.value = data.models[0];
+        }
+        navigation.showNotification(data.models.length > 0
+            ? `Найдено моделей: ${data.models.length}`
+            : 'Сервер не вернул ни одной модели', data.models.length > 0 ? 'success' : 'warning');
+    } catch (error) {
+        console.error('Model discovery error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
 function cancelEdit() {
     // Очищаем состояние редактирования
     localStorage.removeItem('currentEditingBotId');
@@ -2711,6 +3220,759 @@ function closeBotCommandsModal() {
     currentBotId = null;
 }
 
+// Telegram command menu (setMyCommands) preview and re-sync
+async function showTelegramMenuModal() {
+    document.getElementById('telegramMenuModal').style.display = 'flex';
+    await loadTelegramMenuPreview();
+}
+
+function closeTelegramMenuModal() {
+    document.getElementById('telegramMenuModal').style.display = 'none';
+}
+
+async function loadTelegramMenuPreview() {
+    const container = document.getElementById('telegramMenuPreview');
+    container.innerHTML = '<div style="color: var(--text-secondary);">Загрузка...</div>';
+
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/commands/telegram-menu`);
+        const data = await response.json();
+
+        if (!data.success) {
+            container.innerHTML = `<div style="color: var(--danger-red);">${escapeHtml(data.error || 'Ошибка загрузки')}</div>`;
+            return;
+        }
+
+        renderTelegramMenuPreview(data);
+    } catch (error) {
+        console.error('Telegram menu preview error:', error);
+        container.innerHTML = '<div style="color: var(--danger-red);">Ошибка подключения к серверу</div>';
+    }
+}
+
+function renderTelegramMenuPreview(data) {
+    const container = document.getElementById('telegramMenuPreview');
+    const scopeLabels = { private: 'Личные чаты', group: 'Группы' };
+
+    const targetsHtml = data.targets.length === 0
+        ? '<div style="color: var(--text-secondary);">Нет команд для меню</div>'
+        : data.targets.map(target => `
+            <div style="margin-bottom: 16px;">
+                <div style="font-weight: 600; margin-bottom: 6px;">
+                    ${escapeHtml(scopeLabels[target.scope] || target.scope)} · ${escapeHtml(target.language_code || 'язык по умолчанию')}
+                </div>
+                ${target.commands.map(cmd => `
+                    <div style="font-size: 14px; padding: 2px 0;">
+                        <code>/${escapeHtml(cmd.command)}</code> — ${escapeHtml(cmd.description)}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+    const skippedHtml = data.skipped.length === 0 ? '' : `
+        <div style="margin-bottom: 16px;">
+            <div style="font-weight: 600; margin-bottom: 6px;">Не попадут в меню</div>
+            ${data.skipped.map(item => `
+                <div style="font-size: 14px; color: var(--text-secondary);">${escapeHtml(item.name)}: ${escapeHtml(item.reason)}</div>
+            `).join('')}
+        </div>
+    `;
+
+    const lastSync = data.lastSync;
+    let syncHtml = '<div class="form-help">Ещё не синхронизировано</div>';
+    if (lastSync) {
+        syncHtml = `
+            <div class="form-help">
+                Последняя синхронизация: ${lastSync.syncedAt ? new Date(lastSync.syncedAt).toLocaleString() : '—'}
+                ${lastSync.error ? `<br><span style="color: var(--danger-red);">Ошибка: ${escapeHtml(lastSync.error)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    container.innerHTML = targetsHtml + skippedHtml + syncHtml;
+}
+
+async function syncTelegramMenu() {
+    const button = document.getElementById('telegramMenuSyncBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/commands/telegram-menu/sync`, { method: 'POST' });
+        const data = await response.json();
+
+        if (data.success) {
+            navigation.showNotification('Меню команд отправлено в Telegram', 'success');
+        } else {
+            navigation.showNotification(data.error || 'Ошибка синхронизации', 'error');
+        }
+        await loadTelegramMenuPreview();
+    } catch (error) {
+        console.error('Telegram menu sync error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Active multi-command contexts of bot chats
+async function showContextsModal() {
+    document.getElementById('contextsModal').style.display = 'flex';
+    await loadContexts();
+}
+
+function closeContextsModal() {
+    document.getElementById('contextsModal').style.display = 'none';
+}
+
+async function loadContexts() {
+    const container = document.getElementById('contextsList');
+    container.innerHTML = '<div style="color: var(--text-secondary);">Загрузка...</div>';
+
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/multi-command-contexts`);
+        const contexts = await response.json();
+
+        if (!response.ok) {
+            container.innerHTML = `<div style="color: var(--danger-red);">${contexts.error || 'Ошибка загрузки'}</div>`;
+            return;
+        }
+
+        if (contexts.length === 0) {
+            container.innerHTML = '<div style="color: var(--text-secondary);">Нет активных контекстов</div>';
+            return;
+        }
+
+        container.innerHTML = contexts.map(context => `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid var(--border-light);">
+                <div>
+                    <div style="font-weight: 600;">Чат <code>${context.chat_id}</code> · ${context.command_name}</div>
+                    <div class="form-help">
+                        Активность: ${new Date(context.updated_at + 'Z').toLocaleString()} ·
+                        ${context.expires_at ? `истекает ${new Date(context.expires_at).toLocaleString()}` : 'без срока'}
+                    </div>
+                </div>
+                <button class="btn btn-small btn-warning" onclick="resetChatContext('${context.chat_id}')">Сбросить</button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Load contexts error:', error);
+        container.innerHTML = '<div style="color: var(--danger-red);">Ошибка подключения к серверу</div>';
+    }
+}
+
+async function resetChatContext(chatId) {
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/multi-command-contexts/${encodeURIComponent(chatId)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            navigation.showNotification('Контекст чата сброшен', 'success');
+            await loadContexts();
+        } else {
+            navigation.showNotification(data.error || 'Ошибка сброса контекста', 'error');
+        }
+    } catch (error) {
+        console.error('Reset context error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Completed form submissions (answers come from Telegram users, so they are escaped)
+async function showSubmissionsModal() {
+    document.getElementById('submissionsModal').style.display = 'flex';
+    await loadSubmissions();
+}
+
+function closeSubmissionsModal() {
+    document.getElementById('submissionsModal').style.display = 'none';
+}
+
+async function loadSubmissions() {
+    const container = document.getElementById('submissionsList');
+    container.innerHTML = '<div style="color: var(--text-secondary);">Загрузка...</div>';
+
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/form-submissions`);
+        const submissions = await response.json();
+
+        if (!response.ok) {
+            container.innerHTML = `<div style="color: var(--danger-red);">${submissions.error || 'Ошибка загрузки'}</div>`;
+            return;
+        }
+
+        if (submissions.length === 0) {
+            container.innerHTML = '<div style="color: var(--text-secondary);">Заявок пока нет</div>';
+            return;
+        }
+
+        const deliveryLabels = { none: '', pending: 'отправляется', delivered: 'доставлена', failed: 'ошибка доставки', playground: 'песочница, не отправлена' };
+        container.innerHTML = submissions.map(submission => `
+            <div style="padding: 12px 0; border-bottom: 1px solid var(--border-light);">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <div style="font-weight: 600;">
+                        ${escapeHtml(submission.form_name || 'Форма')} · ${escapeHtml(submission.user_name || submission.chat_id)}
+                    </div>
+                    <button class="btn btn-small btn-danger" onclick="deleteSubmission(${submission.id})">Удалить</button>
+                </div>
+                <div class="form-help">
+                    ${new Date(submission.created_at + 'Z').toLocaleString()}
+                    ${deliveryLabels[submission.delivery_status] ? ` · ${deliveryLabels[submission.delivery_status]}` : ''}
+                    ${submission.delivery_error ? `: ${escapeHtml(submission.delivery_error)}` : ''}
+                </div>
+                ${Object.entries(submission.answers).map(([name, value]) => `
+                    <div style="font-size: 14px;"><strong>${escapeHtml(name)}:</strong> ${value === null ? '—' : escapeHtml(String(value))}</div>
+                `).join('')}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Load submissions error:', error);
+        container.innerHTML = '<div style="color: var(--danger-red);">Ошибка подключения к серверу</div>';
+    }
+}
+
+async function deleteSubmission(id) {
+    if (!confirm('Удалить заявку?')) return;
+
+    try {
+        const response = await fetch(`/api/bots/${currentBotId}/form-submissions/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (data.success) {
+            await loadSubmissions();
+        } else {
+            navigation.showNotification(data.error || 'Ошибка удаления заявки', 'error');
+        }
+    } catch (error) {
+        console.error('Delete submission error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
+// Media files for photo/document commands
+const MEDIA_UPLOAD_MAX_SIZE = 20 * 1024 * 1024;
+
+async function showMediaModal() {
+    document.getElementById('mediaModal').style.display = 'flex';
+    await loadMediaFiles();
+}
+
+function closeMediaModal() {
+    document.getElementById('mediaModal').style.display = 'none';
+}
+
+function formatFileSize(size) {
+    if (size >= 1024 * 1024) return `${(size / 1024 / 1024).toFixed(1)} МБ`;
+    return `${Math.max(1, Math.round(size / 1024))} КБ`;
+}
+
+async function loadMediaFiles() {
+    const container = document.getElementById('mediaList');
+    container.innerHTML = '<div style="color: var(--text-secondary);">Загрузка...</div>';
+
+    try {
+        const response = await fetch('/api/media');
+        const files = await response.json();
+
+        if (!response.ok) {
+            container.innerHTML = `<div style="color: var(--danger-red);">${files.error || 'Ошибка загрузки'}</div>`;
+            return;
+        }
+
+        if (files.length === 0) {
+            container.innerHTML = '<div style="color: var(--text-secondary);">Файлов пока нет</div>';
+            return;
+        }
+
+        container.innerHTML = files.map(file => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 8px 0; border-bottom: 1px solid var(--border-light);">
+                <div style="min-width: 0;">
+                    <div style="font-weight: 600;">
+                        <a href="/api/media/${file.id}/file" target="_blank">${escapeHtml(file.name)}</a>
+                    </div>
+                    <div class="form-help">${escapeHtml(file.mime_type || '')} · ${formatFileSize(file.size)} · <code>media:${file.id}</code></div>
+                </div>
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn btn-small btn-secondary" onclick="copyMediaReference('${file.id}')">Копировать</button>
+                    <button class="btn btn-small btn-danger" onclick="deleteMediaFile('${file.id}')">Удалить</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Load media error:', error);
+        container.innerHTML = '<div style="color: var(--danger-red);">Ошибка подключения к серверу</div>';
+    }
+}
+
+async function uploadMediaFile() {
+    const input = document.getElementById('mediaFileInput');
+    const file = input.files[0];
+    if (!file) {
+        navigation.showNotification('Выберите файл', 'error');
+        return;
+    }
+    if (file.size > MEDIA_UPLOAD_MAX_SIZE) {
+        navigation.showNotification('Файл больше 20 МБ', 'error');
+        return;
+    }
+
+    const button = document.getElementById('mediaUploadBtn');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/api/media', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name),
+                'X-File-Type': file.type || 'application/octet-stream'
+            },
+            body: file
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            navigation.showNotification(`Файл загружен: ${data.reference}`, 'success');
+            input.value = '';
+            await loadMediaFiles();
+        } else {
+            navigation.showNotification(data.error || 'Ошибка загрузки файла', 'error');
+        }
+    } catch (error) {
+        console.error('Upload media error:', error);
+        navigation.showNotification('Ошибка загрузки файла', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function copyMediaReference(id) {
+    try {
+        await navigator.clipboard.writeText(`media:${id}`);
+        navigation.showNotification('Ссылка на файл скопирована', 'success');
+    } catch (error) {
+        navigation.showNotification(`media:${id}`, 'info');
+    }
+}
+
+async function deleteMediaFile(id) {
+    if (!confirm('Удалить файл? Команды, которые его используют, перестанут работать.')) return;
+
+    try {
+        const response = await fetch(`/api/media/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (data.success) {
+            await loadMediaFiles();
+        } else {
+            navigation.showNotification(data.error || 'Ошибка удаления файла', 'error');
+        }
+    } catch (error) {
+        console.error('Delete media error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
+// Playground: message goes through the same pipeline as in Telegram, replies are rendered here
+const PLAYGROUND_TRACE_LABELS = {
+    form: 'Форма',
+    context: 'Контекст мульти-команды',
+    context_exit: 'Выход из мульти-команды',
+    triggers: 'Триггеры команд',
+    command_detection: 'AI-определение команды',
+    command: 'Команда',
+    callback: 'Кнопка',
+    handoff: 'Чат у оператора',
+    handoff_start: 'Вызов оператора',
+    ai_request: 'Запрос к AI',
+    ai_attempt: 'Неудачная попытка AI',
+    ai_response: 'Ответ AI',
+    http_dry_run: 'HTTP-запрос (не выполнен)',
+    webhook_dry_run: 'Вебхук формы (не отправлен)',
+    error: 'Ошибка'
+};
+
+function getPlaygroundBotId() {
+    return document.getElementById('editBotForm').dataset.botId;
+}
+
+function clearPlaygroundView() {
+    const messages = document.getElementById('playgroundMessages');
+    if (!messages) return;
+    messages.innerHTML = '<div class="playground-empty">Напишите сообщение, чтобы проверить бота</div>';
+    document.getElementById('playgroundTrace').innerHTML = '<div class="form-help">Здесь появится путь обработки сообщения</div>';
+}
+
+function appendPlaygroundBubble(role, content) {
+    const messages = document.getElementById('playgroundMessages');
+    const empty = messages.querySelector('.playground-empty');
+    if (empty) empty.remove();
+
+    const bubble = document.createElement('div');
+    bubble.className = `playground-message ${role}`;
+    if (typeof content === 'string') {
+        bubble.textContent = content;
+    } else {
+        bubble.appendChild(content);
+    }
+    messages.appendChild(bubble);
+    messages.scrollTop = messages.scrollHeight;
+    return bubble;
+}
+
+// Reply body: text or media description plus keyboard
+function renderPlaygroundReply(reply) {
+    const body = document.createElement('div');
+    const text = document.createElement('div');
+    text.className = 'playground-text';
+
+    if (reply.text !== undefined) {
+        text.textContent = reply.text;
+    } else if (reply.media) {
+        text.textContent = `📎 ${reply.media_type || reply.method.replace(/^(send|editMessage)/, '').toLowerCase()}: ${reply.media}${reply.caption ? `\n${reply.caption}` : ''}`;
+    } else if (reply.latitude !== undefined) {
+        text.textContent = `📍 ${reply.title ? `${reply.title}, ${reply.address}\n` : ''}${reply.latitude}, ${reply.longitude}`;
+    } else if (reply.phone_number) {
+        text.textContent = `👤 ${reply.first_name} ${reply.last_name || ''} ${reply.phone_number}`;
+    }
+    if (reply.parse_mode) {
+        text.title = `parse_mode: ${reply.parse_mode}`;
+    }
+    body.appendChild(text);
+
+    const markup = reply.reply_markup || {};
+    const rows = markup.inline_keyboard || markup.keyboard || [];
+    rows.forEach(row => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'playground-keyboard-row';
+        row.forEach(button => {
+            const label = typeof button === 'string' ? button : button.text;
+            const element = document.createElement(button.url ? 'a' : 'button');
+            element.className = `playground-button ${markup.keyboard ? 'reply' : ''}`;
+            element.textContent = label;
+
+            if (button.url) {
+                element.href = button.url;
+                element.target = '_blank';
+            } else if (markup.inline_keyboard && button.callback_data) {
+                element.title = button.callback_data;
+                element.onclick = () => pressPlaygroundButton(button.callback_data, label, reply.message_id);
+            } else if (markup.keyboard) {
+                // Reply keyboard button sends its text as a message
+                element.onclick = () => sendPlaygroundText(label);
+            } else {
+                element.disabled = true;
+            }
+            rowElement.appendChild(element);
+        });
+        body.appendChild(rowElement);
+    });
+
+    return body;
+}
+
+function renderPlaygroundReplies(replies) {
+    const messages = document.getElementById('playgroundMessages');
+    replies.forEach(reply => {
+        const content = renderPlaygroundReply(reply);
+        // Edits replace the message in place, like Telegram does
+        const existing = reply.method.startsWith('editMessage')
+            ? messages.querySelector(`[data-message-id="${reply.message_id}"]`)
+            : null;
+
+        if (existing) {
+            if (reply.method === 'editMessageReplyMarkup') {
+                existing.querySelectorAll('.playground-keyboard-row').forEach(row => row.remove());
+                content.querySelectorAll('.playground-keyboard-row').forEach(row => existing.firstChild.appendChild(row));
+            } else {
+                existing.innerHTML = '';
+                existing.appendChild(content);
+            }
+        } else {
+            appendPlaygroundBubble('bot', content).dataset.messageId = reply.message_id;
+        }
+    });
+}
+
+function renderPlaygroundTrace(trace) {
+    const container = document.getElementById('playgroundTrace');
+    if (!trace || trace.length === 0) {
+        container.innerHTML = '<div class="form-help">Нет шагов</div>';
+        return;
+    }
+
+    container.innerHTML = trace.map(({ step, ...details }) => `
+        <details class="playground-trace-step" ${step === 'command' || step === 'error' ? 'open' : ''}>
+            <summary>${escapeHtml(PLAYGROUND_TRACE_LABELS[step] || step)}${details.command ? `: <code>${escapeHtml(details.command)}</code>` : ''}</summary>
+            <pre>${escapeHtml(JSON.stringify(details, null, 2))}</pre>
+        </details>
+    `).join('');
+}
+
+async function runPlayground(body) {
+    const button = document.getElementById('playgroundSendBtn');
+    button.disabled = true;
+    const pending = appendPlaygroundBubble('bot pending', '…');
+
+    try {
+        // External APIs are called only when tester enabled it explicitly
+        const liveRequests = document.getElementById('playgroundLiveRequests').classList.contains('checked');
+        const response = await fetch(`/api/bots/${getPlaygroundBotId()}/playground`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, live_requests: liveRequests })
+        });
+        const data = await response.json();
+        pending.remove();
+
+        if (data.replies) {
+            renderPlaygroundReplies(data.replies);
+            if (data.replies.length === 0) {
+                appendPlaygroundBubble('system', 'Бот ничего не ответил');
+            }
+        }
+        if (data.trace) {
+            renderPlaygroundTrace(data.trace);
+        }
+        if (!response.ok) {
+            navigation.showNotification(data.error || 'Ошибка песочницы', 'error');
+        }
+    } catch (error) {
+        pending.remove();
+        console.error('Playground error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function sendPlaygroundText(text) {
+    appendPlaygroundBubble('user', text);
+    return runPlayground({ text });
+}
+
+async function sendPlaygroundMessage(event) {
+    event.preventDefault();
+    const input = document.getElementById('playgroundInput');
+    const text = input.value.trim();
+    if (!text) return;
+
+    input.value = '';
+    await sendPlaygroundText(text);
+}
+
+function pressPlaygroundButton(callbackData, label, messageId) {
+    appendPlaygroundBubble('user', `🔘 ${label}`);
+    return runPlayground({ callback_data: callbackData, message_id: messageId });
+}
+
+// Clears playground memory, multi-command context and unfinished form on server
+async function resetPlayground() {
+    try {
+        const response = await fetch(`/api/bots/${getPlaygroundBotId()}/playground`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (data.success) {
+            clearPlaygroundView();
+            navigation.showNotification('Песочница сброшена', 'success');
+        } else {
+            navigation.showNotification(data.error || 'Ошибка сброса', 'error');
+        }
+    } catch (error) {
+        console.error('Playground reset error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
+// Operator handoff: chats where user asked for a human. List is polled, new waiting chats
+// raise a notification, operator answers through the bot and then returns the chat to AI
+const HANDOFF_POLL_INTERVAL = 10000;
+let handoffPollTimer = null;
+let knownHandoffs = null;
+let currentHandoff = null;
+
+function startHandoffPolling() {
+    if (handoffPollTimer) return;
+    loadHandoffs();
+    handoffPollTimer = setInterval(loadHandoffs, HANDOFF_POLL_INTERVAL);
+}
+
+function getHandoffKey(handoff) {
+    return `${handoff.bot_id}:${handoff.chat_id}`;
+}
+
+async function loadHandoffs() {
+    try {
+        const response = await fetch('/api/handoffs');
+        if (!response.ok) return;
+        const handoffs = await response.json();
+
+        // First load only fills known chats, later loads notify about new requests
+        if (knownHandoffs) {
+            handoffs
+                .filter(handoff => handoff.status === 'waiting' && !knownHandoffs.has(getHandoffKey(handoff)))
+                .forEach(handoff => notificationSystem.addNotification(
+                    'Нужен оператор',
+                    `${handoff.user_name || handoff.chat_id} (${handoff.bot_name}): ${handoff.last_message || ''}`,
+                    'warning'
+                ));
+        }
+        knownHandoffs = new Set(handoffs.map(getHandoffKey));
+
+        renderHandoffList(handoffs);
+
+        // Open conversation is refreshed when it gets new messages or is closed elsewhere
+        if (currentHandoff) {
+            const fresh = handoffs.find(handoff => getHandoffKey(handoff) === getHandoffKey(currentHandoff));
+            if (!fresh || fresh.last_message_at !== currentHandoff.last_message_at || fresh.status !== currentHandoff.status) {
+                openHandoff(fresh || currentHandoff, !fresh);
+            }
+        }
+    } catch (error) {
+        console.error('Handoffs load error:', error);
+    }
+}
+
+function renderHandoffList(handoffs) {
+    const list = document.getElementById('handoffList');
+    const badge = document.getElementById('handoffsBadge');
+    const waiting = handoffs.filter(handoff => handoff.status === 'waiting' || handoff.unread_count > 0).length;
+    if (badge) {
+        badge.textContent = waiting;
+        badge.style.display = waiting > 0 ? 'inline-block' : 'none';
+    }
+    if (!list) return;
+
+    if (handoffs.length === 0) {
+        list.innerHTML = '<div class="handoff-empty">Нет чатов, ожидающих оператора</div>';
+        return;
+    }
+
+    list.innerHTML = handoffs.map(handoff => {
+        const key = getHandoffKey(handoff);
+        const selected = currentHandoff && getHandoffKey(currentHandoff) === key;
+        return `
+            <div class="handoff-item ${selected ? 'selected' : ''}" data-key="${escapeHtml(key)}">
+                <div class="handoff-item-header">
+                    <strong>${escapeHtml(handoff.user_name || handoff.chat_id)}</strong>
+                    ${handoff.unread_count > 0 ? `<span class="tab-badge">${handoff.unread_count}</span>` : ''}
+                </div>
+                <div class="form-help">${escapeHtml(handoff.bot_name)} · ${handoff.status === 'waiting'
+                    ? 'ждёт оператора'
+                    : `ведёт ${escapeHtml(handoff.operator_email || 'оператор')}`} · ${formatHandoffTime(handoff.last_message_at)}</div>
+                <div class="handoff-item-text">${escapeHtml(handoff.last_message || '')}</div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.handoff-item').forEach((item, index) => {
+        item.onclick = () => openHandoff(handoffs[index]);
+    });
+}
+
+// Server stores UTC time as "YYYY-MM-DD HH:MM:SS"
+function formatHandoffTime(value) {
+    if (!value) return '';
+    return new Date(`${value.replace(' ', 'T')}Z`).toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' });
+}
+
+function setHandoffControls(handoff, closed) {
+    const active = handoff && !closed;
+    document.getElementById('handoffTakeBtn').disabled = !active || handoff.status === 'active';
+    document.getElementById('handoffReleaseBtn').disabled = !active;
+    document.getElementById('handoffReplyInput').disabled = !active;
+    document.getElementById('handoffReplyBtn').disabled = !active;
+}
+
+async function openHandoff(handoff, closed = false) {
+    currentHandoff = handoff;
+    document.querySelectorAll('.handoff-item').forEach(item => {
+        item.classList.toggle('selected', item.dataset.key === getHandoffKey(handoff));
+    });
+    document.getElementById('handoffChatTitle').textContent =
+        `${handoff.user_name || handoff.chat_id} · ${handoff.bot_name}${closed ? ' (возвращён AI)' : ''}`;
+    setHandoffControls(handoff, closed);
+
+    try {
+        const response = await fetch(`/api/bots/${handoff.bot_id}/handoffs/${encodeURIComponent(handoff.chat_id)}/messages`);
+        const data = await response.json();
+        if (!response.ok) {
+            navigation.showNotification(data.error || 'Ошибка загрузки переписки', 'error');
+            return;
+        }
+
+        const messages = document.getElementById('handoffMessages');
+        messages.innerHTML = '';
+        data.messages.forEach(message => {
+            const bubble = document.createElement('div');
+            // User messages on the left, bot and operator answers on the right
+            bubble.className = `playground-message ${message.sender === 'user' ? 'bot' : 'user'} handoff-${message.sender}`;
+            bubble.textContent = message.text;
+            bubble.title = `${message.sender === 'operator' ? 'Оператор' : message.sender === 'bot' ? 'Бот' : 'Пользователь'} · ${formatHandoffTime(message.created_at)}`;
+            messages.appendChild(bubble);
+        });
+        messages.scrollTop = messages.scrollHeight;
+    } catch (error) {
+        console.error('Handoff messages error:', error);
+        navigation.showNotification('Ошибка подключения к серверу', 'error');
+    }
+}
+
+async function postHandoffAction(action, body = {}) {
+    const handoff = currentHandoff;
+    const response = await fetch(`/api/bots/${handoff.bot_id}/handoffs/${encodeURIComponent(handoff.chat_id)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Ошибка операции');
+    }
+    return data;
+}
+
+async function takeHandoff() {
+    if (!currentHandoff) return;
+    try {
+        await postHandoffAction('take');
+        await loadHandoffs();
+    } catch (error) {
+        navigation.showNotification(error.message, 'error');
+    }
+}
+
+async function sendHandoffReply(event) {
+    event.preventDefault();
+    const input = document.getElementById('handoffReplyInput');
+    const text = input.value.trim();
+    if (!text || !currentHandoff) return;
+
+    try {
+        await postHandoffAction('reply', { text });
+        input.value = '';
+        await loadHandoffs();
+    } catch (error) {
+        navigation.showNotification(error.message, 'error');
+    }
+}
+
+async function releaseHandoff() {
+    if (!currentHandoff) return;
+    try {
+        await postHandoffAction('release');
+        navigation.showNotification('Чат возвращён AI', 'success');
+        await loadHandoffs();
+    } catch (error) {
+        navigation.showNotification(error.message, 'error');
+    }
+}
+
 function showCreateCommandModal() {
     currentCommandId = null;
     document.getElementById('commandModalTitle').textContent = 'Создать команду';
@@ -2745,7 +4007,10 @@ function showCreateMultiCommandModal() {
     document.getElementById('commandCode').value = JSON.stringify({
         "type": "multi_command",
         "description": "Группа команд для сложного взаимодействия",
-        "welcome_message": "Добро пожаловать в мульти-команду!"
+        "welcome_message": "Добро пожаловать в мульти-команду!",
+        "context_ttl_minutes": 60,
+        "exit_triggers": ["выход"],
+        "exit_message": "Вы вышли из мульти-команды."
     }, null, 2);
     
     document.getElementById('commandModal').style.display = 'flex';
@@ -2799,6 +4064,27 @@ async function loadParentMultiCommands() {
 function closeCommandModal() {
     document.getElementById('commandModal').style.display = 'none';
     currentCommandId = null;
+    clearCommandErrors();
+}
+
+// Show validation errors under JSON editor, each with path to the wrong value
+function showCommandErrors(title, errors) {
+    const container = document.getElementById('commandCodeErrors');
+    container.innerHTML = `
+        <strong>${escapeHtml(title)}</strong>
+        <ul>
+            ${errors.map(error => `<li>${error.path ? `<code>${escapeHtml(error.path)}</code>: ` : ''}${escapeHtml(error.message)}</li>`).join('')}
+        </ul>
+    `;
+    container.style.display = 'block';
+    document.getElementById('commandCode').classList.add('has-error');
+}
+
+function clearCommandErrors() {
+    const container = document.getElementById('commandCodeErrors');
+    container.innerHTML = '';
+    container.style.display = 'none';
+    document.getElementById('commandCode').classList.remove('has-error');
 }
 
 async function loadBotCommands() {
@@ -2996,10 +4282,13 @@ async function handleCommandSubmit(event) {
     const parentMultiCommandId = document.getElementById('parentMultiCommand').value || null;
     const allowExternalCommands = document.getElementById('allowExternalCommands').classList.contains('checked');
     
+    clearCommandErrors();
+
     // Validate JSON
     try {
         JSON.parse(jsonCode);
     } catch (error) {
+        showCommandErrors('Неверный JSON формат', [{ path: '', message: error.message }]);
         navigation.showNotification('Неверный JSON формат', 'error');
         return;
     }
@@ -3034,10 +4323,20 @@ async function handleCommandSubmit(event) {
                 currentCommandId ? 'Команда обновлена!' : 'Команда создана!', 
                 'success'
             );
+            // Buttons leading to missing commands don't block saving, target may be created later
+            if (data.warnings && data.warnings.length > 0) {
+                navigation.showNotification(
+                    'Кнопки без команды: ' + data.warnings.map(warning => `${warning.path} (${warning.message})`).join('; '),
+                    'warning'
+                );
+            }
             closeCommandModal();
             loadBotCommands();
+        } else if (data.errors && data.errors.length > 0) {
+            showCommandErrors(data.error && data.error.startsWith('Invalid JSON') ? 'Неверный JSON формат' : 'Исправьте ошибки в JSON команды:', data.errors);
+            navigation.showNotification('Команда не сохранена: ошибки в JSON', 'error');
         } else {
-            navigation.showNotification(data.message || 'Ошибка сохранения команды', 'error');
+            navigation.showNotification(data.message || data.error || 'Ошибка сохранения команды', 'error');
         }
     } catch (error) {
         console.error('Command save error:', error);
@@ -2,6 +2,7 @@ const express = require('express');
 const session = require('express-session');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
@@ -10,6 +11,9 @@ const TelegramBot = require('node-telegram-bot-api');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Telegram Bot API base URL (can point to a local fake Bot API for testing)
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
 // Logging and monitoring system
 const MAX_LOGS = 1000; // Limit log storage to prevent memory leaks
 const serverLogs = [];
@@ -118,6 +122,16 @@ db.serialize(() => {
                     key: 'support_ai_enabled',
                     value: 'false',
                     description: 'Включена ли AI поддержка'
+                },
+                {
+                    key: 'webhook_base_url',
+                    value: '',
+                    description: 'Публичный HTTPS URL сервера для ботов в режиме webhook'
+                },
+                {
+                    key: 'ai_model_prices',
+                    value: '{}',
+                    description: 'Цены AI моделей в USD за 1M токенов: {"модель": {"prompt": 0.15, "completion": 0.6}}'
                 }
             ];
 
@@ -125,6 +139,12 @@ db.serialize(() => {
                 db.run(`INSERT OR IGNORE INTO settings (key, value, description) VALUES (?, ?, ?)`,
                     [setting.key, setting.value, setting.description]);
             });
+
+            // Support AI provider, for existing installations it's detected by saved API URL
+            db.get(`SELECT value FROM settings WHERE key = 'support_ai_api_url'`, (err, row) => {
+                db.run(`INSERT OR IGNORE INTO settings (key, value, description) VALUES (?, ?, ?)`,
+                    ['support_ai_provider', detectAIProvider(row ? row.value : ''), 'Провайдер AI для поддержки']);
+            });
         }
     });
 
@@ -209,6 +229,126 @@ db.serialize(() => {
     )`);
 
     // Create optimized indexes for better query performance
+    // Create multi-command contexts table: chat stays inside multi-command until exit or expiry
+    db.run(`CREATE TABLE IF NOT EXISTS multi_command_contexts (
+        bot_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        command_id INTEGER NOT NULL,
+        ttl_minutes INTEGER,
+        expires_at INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (bot_id, chat_id),
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE,
+        FOREIGN KEY (command_id) REFERENCES bot_commands (id) ON DELETE CASCADE
+    )`);
+
+    // Create form tables: answers of unfinished forms and completed submissions
+    db.run(`CREATE TABLE IF NOT EXISTS form_sessions (
+        bot_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        command_id INTEGER NOT NULL,
+        step INTEGER DEFAULT 0,
+        answers TEXT,
+        expires_at INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (bot_id, chat_id),
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE,
+        FOREIGN KEY (command_id) REFERENCES bot_commands (id) ON DELETE CASCADE
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS form_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bot_id TEXT NOT NULL,
+        command_id INTEGER,
+        form_name TEXT,
+        chat_id TEXT NOT NULL,
+        user_id INTEGER,
+        user_name TEXT,
+        answers TEXT NOT NULL,
+        delivery_status TEXT DEFAULT 'none',
+        delivery_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE
+    )`);
+
+    // Create callback payloads table: callback data longer than Telegram 64 bytes limit
+    db.run(`CREATE TABLE IF NOT EXISTS callback_payloads (
+        key TEXT PRIMARY KEY,
+        bot_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE
+    )`);
+
+    // Create media files table: files uploaded in the panel for photo/document commands
+    db.run(`CREATE TABLE IF NOT EXISTS media_files (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        mime_type TEXT,
+        size INTEGER,
+        data BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS media_telegram_files (
+        media_id TEXT NOT NULL,
+        bot_id TEXT NOT NULL,
+        file_id TEXT NOT NULL,
+        PRIMARY KEY (media_id, bot_id),
+        FOREIGN KEY (media_id) REFERENCES media_files (id) ON DELETE CASCADE
+    )`);
+
+    // Chats taken over by human operator: AI is paused until operator returns the chat.
+    // status: waiting - user asked for operator, active - operator answered
+    db.run(`CREATE TABLE IF NOT EXISTS chat_handoffs (
+        bot_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        user_name TEXT,
+        reason TEXT,
+        operator_id INTEGER,
+        unread_count INTEGER DEFAULT 0,
+        last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (bot_id, chat_id),
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE
+    )`);
+
+    // Messages of handoff conversations. sender: user, bot or operator
+    db.run(`CREATE TABLE IF NOT EXISTS handoff_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bot_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        text TEXT NOT NULL,
+        operator_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE
+    )`);
+
+    // Every AI provider attempt: tokens reported by provider, latency and cost by ai_model_prices setting.
+    // status: success or error, bot_id is NULL for support chat
+    db.run(`CREATE TABLE IF NOT EXISTS ai_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bot_id TEXT,
+        chat_id TEXT,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        status TEXT NOT NULL,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        latency_ms INTEGER,
+        cost REAL,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bot_id) REFERENCES bots (id) ON DELETE CASCADE
+    )`);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_ai_requests_created ON ai_requests (created_at)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_ai_requests_bot ON ai_requests (bot_id, chat_id, created_at)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_handoff_messages_chat ON handoff_messages (bot_id, chat_id, id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_form_submissions_bot ON form_submissions (bot_id, created_at DESC)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_chat_history_bot_chat ON chat_history (bot_id, chat_id, timestamp DESC)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_bots_status ON bots (is_active, is_running)`);
     db.run(`CREATE INDEX IF NOT EXISTS idx_bot_commands_lookup ON bot_commands (bot_id, name, is_active)`);
@@ -232,14 +372,434 @@ db.serialize(() => {
         // Ignore error if column already exists
     });
 
+    // Add update delivery columns to bots table if they don't exist
+    db.run(`ALTER TABLE bots ADD COLUMN delivery_mode TEXT DEFAULT 'polling'`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN webhook_secret TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Add non-text message handling columns
+    db.run(`ALTER TABLE bots ADD COLUMN media_handling TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN media_fallback_message TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN vision_enabled BOOLEAN DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Add group chat columns
+    db.run(`ALTER TABLE bots ADD COLUMN group_policy TEXT DEFAULT 'mention'`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN group_allowlist TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE chat_history ADD COLUMN user_id INTEGER`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE chat_history ADD COLUMN user_name TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Add inline mode columns
+    db.run(`ALTER TABLE bots ADD COLUMN inline_enabled BOOLEAN DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN inline_cache_seconds INTEGER DEFAULT 300`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Add AI command detection column (AI classification after local triggers)
+    db.run(`ALTER TABLE bots ADD COLUMN ai_command_detection BOOLEAN DEFAULT 1`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Last Telegram command menu sync (setMyCommands) as JSON
+    db.run(`ALTER TABLE bots ADD COLUMN commands_sync_state TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Explicit AI provider of bot (see AI_PROVIDERS), existing bots get provider detected by API URL
+    db.run(`ALTER TABLE bots ADD COLUMN ai_provider TEXT`, (err) => {
+        // Ignore error if column already exists
+        db.all('SELECT id, api_url FROM bots WHERE ai_provider IS NULL', (selectErr, bots) => {
+            (bots || []).forEach(bot => {
+                db.run('UPDATE bots SET ai_provider = ? WHERE id = ?', [detectAIProvider(bot.api_url), bot.id]);
+            });
+        });
+    });
+
+    // Generation settings (see GENERATION_LIMITS)
+    db.run(`ALTER TABLE bots ADD COLUMN ai_temperature REAL DEFAULT 0.7`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_max_tokens INTEGER DEFAULT 1024`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_top_p REAL`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_stop_sequences TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Failover settings (see FAILOVER_LIMITS), fallbacks are JSON array of { provider, api_url, api_key, model }
+    db.run(`ALTER TABLE bots ADD COLUMN ai_fallbacks TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_max_retries INTEGER DEFAULT 2`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_timeout_seconds INTEGER DEFAULT 60`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN ai_error_message TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Operator handoff settings: trigger phrases/commands and messages sent to user
+    db.run(`ALTER TABLE bots ADD COLUMN handoff_triggers TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN handoff_message TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE bots ADD COLUMN handoff_return_message TEXT`, (err) => {
+        // Ignore error if column already exists
+    });
+
+    // Form session belongs to the user who started it (other group members can't answer it)
+    db.run(`ALTER TABLE form_sessions ADD COLUMN user_id INTEGER`, (err) => {
+        // Ignore error if column already exists
+    });
+
     addLog('SUCCESS', 'DATABASE', 'All tables initialized successfully');
 });
 
 // Store for active bot instances
 const activeBots = new Map();
 
-// Store for multi-command contexts: "botId:chatId" -> commandId
-const multiCommandContexts = new Map();
+// Telegram client for bot pipeline: playground runs pass a recording client instead of the real bot
+function getTelegramClient(botData) {
+    return botData.playground ? botData.playground.client : activeBots.get(botData.id);
+}
+
+// Playground trace: matched command, AI prompt and so on. Does nothing for real Telegram updates
+function addPlaygroundTrace(botData, step, details = {}) {
+    if (botData.playground) {
+        botData.playground.trace.push({ step, ...details });
+    }
+}
+
+// Playground chat is separate from real chats: own memory, multi-command context and form session
+function getPlaygroundChatId(userId) {
+    return `playground-${userId}`;
+}
+
+// Rows written by playground runs have playground chat id and are left out of dashboard stats.
+// Chat id is NULL for AI support requests
+function notPlaygroundChatSql(column = 'chat_id') {
+    return `COALESCE(${column}, '') NOT LIKE 'playground-%'`;
+}
+
+// Playground doesn't call external APIs (HTTP commands, form webhooks) unless live requests are enabled for the run
+function isPlaygroundDryRun(botData) {
+    return !!botData.playground && !botData.playground.liveRequests;
+}
+
+let playgroundMessageId = 0;
+
+// Records what the bot would send to Telegram. Returned objects look like Telegram messages,
+// so pipeline code (message ids for edits, forms, albums) works the same way
+function createPlaygroundClient() {
+    const replies = [];
+
+    const parseMarkup = (options = {}) => {
+        let markup = options.reply_markup;
+        if (typeof markup === 'string') {
+            try {
+                markup = JSON.parse(markup);
+            } catch (error) {
+                markup = null;
+            }
+        }
+        return markup || null;
+    };
+    // Uploaded files are sent as Buffer, show their name instead
+    const describeMedia = (media, fileOptions) => (
+        typeof media === 'string' ? media : `[файл ${(fileOptions && fileOptions.filename) || ''}]`
+    );
+    const record = (method, chatId, payload, options = {}) => {
+        const messageId = payload.message_id || ++playgroundMessageId;
+        replies.push({
+            method,
+            ...payload,
+            message_id: messageId,
+            parse_mode: options.parse_mode || null,
+            reply_markup: parseMarkup(options)
+        });
+        return { message_id: messageId, chat: { id: chatId }, date: Math.floor(Date.now() / 1000) };
+    };
+
+    return {
+        replies,
+        sendMessage: async (chatId, text, options = {}) => record('sendMessage', chatId, { text }, options),
+        editMessageText: async (text, options = {}) => record('editMessageText', options.chat_id, { text, message_id: options.message_id }, options),
+        editMessageReplyMarkup: async (replyMarkup, options = {}) => (
+            record('editMessageReplyMarkup', options.chat_id, { message_id: options.message_id }, { reply_markup: replyMarkup })
+        ),
+        editMessageMedia: async (media, options = {}) => record('editMessageMedia', options.chat_id, {
+            message_id: options.message_id,
+            media: media.media,
+            caption: media.caption
+        }, { ...options, parse_mode: media.parse_mode }),
+        sendPhoto: async (chatId, photo, options = {}, fileOptions) => (
+            record('sendPhoto', chatId, { media: describeMedia(photo, fileOptions), caption: options.caption }, options)
+        ),
+        sendDocument: async (chatId, document, options = {}, fileOptions) => (
+            record('sendDocument', chatId, { media: describeMedia(document, fileOptions), caption: options.caption }, options)
+        ),
+        sendMediaGroup: async (chatId, media) => media.map(item => record('sendMediaGroup', chatId, {
+            media: describeMedia(item.media, item.fileOptions),
+            media_type: item.type,
+            caption: item.caption
+        }, item)),
+        sendLocation: async (chatId, latitude, longitude, options = {}) => record('sendLocation', chatId, { latitude, longitude }, options),
+        sendVenue: async (chatId, latitude, longitude, title, address, options = {}) => (
+            record('sendVenue', chatId, { latitude, longitude, title, address }, options)
+        ),
+        sendContact: async (chatId, phoneNumber, firstName, options = {}) => (
+            record('sendContact', chatId, { phone_number: phoneNumber, first_name: firstName, last_name: options.last_name }, options)
+        ),
+        sendChatAction: async () => true,
+        answerCallbackQuery: async () => true
+    };
+}
+
+// Multi-command contexts are stored in multi_command_contexts table.
+// Per multi-command settings in command JSON:
+// "context_ttl_minutes": 30 (0 - never expires), "exit_triggers": ["выход"], "exit_message": "Вы вышли из меню"
+const DEFAULT_CONTEXT_TTL_MINUTES = 60;
+const DEFAULT_EXIT_TRIGGERS = ['/exit'];
+
+function getContextSettings(command) {
+    let commandData = {};
+    try {
+        commandData = JSON.parse(command.json_code) || {};
+    } catch (error) {
+        commandData = {};
+    }
+
+    const ttl = Number(commandData.context_ttl_minutes);
+    const exitTriggers = (Array.isArray(commandData.exit_triggers) ? commandData.exit_triggers : [])
+        .filter(trigger => typeof trigger === 'string' && trigger.trim())
+        .map(trigger => trigger.trim().toLowerCase());
+
+    return {
+        ttlMinutes: Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CONTEXT_TTL_MINUTES,
+        exitTriggers: [...new Set([...DEFAULT_EXIT_TRIGGERS, ...exitTriggers])],
+        exitMessage: commandData.exit_message || `Вы вышли из режима «${command.name}».`
+    };
+}
+
+function getContextExpiresAt(ttlMinutes) {
+    return ttlMinutes > 0 ? Date.now() + ttlMinutes * 60 * 1000 : null;
+}
+
+// Active context of chat with its multi-command row, or null. Expired contexts and contexts
+// of deleted multi-commands are removed; every access extends expiry (TTL counts from last activity)
+function getMultiCommandContext(botId, chatId) {
+    return new Promise((resolve) => {
+        db.get(`SELECT c.*, bc.name AS command_name, bc.json_code
+                FROM multi_command_contexts c
+                LEFT JOIN bot_commands bc ON bc.id = c.command_id
+                WHERE c.bot_id = ? AND c.chat_id = ?`,
+            [botId, String(chatId)], (err, context) => {
+                if (err || !context) {
+                    return resolve(null);
+                }
+
+                if (!context.json_code || (context.expires_at && context.expires_at < Date.now())) {
+                    clearMultiCommandContext(botId, chatId).then(() => resolve(null));
+                    return;
+                }
+
+                if (context.ttl_minutes > 0) {
+                    db.run('UPDATE multi_command_contexts SET expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE bot_id = ? AND chat_id = ?',
+                        [getContextExpiresAt(context.ttl_minutes), botId, String(chatId)]);
+                }
+
+                resolve(context);
+            }
+        );
+    });
+}
+
+function setMultiCommandContext(botId, chatId, command) {
+    const { ttlMinutes } = getContextSettings(command);
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT OR REPLACE INTO multi_command_contexts (bot_id, chat_id, command_id, ttl_minutes, expires_at)
+                VALUES (?, ?, ?, ?, ?)`,
+            [botId, String(chatId), command.id, ttlMinutes, getContextExpiresAt(ttlMinutes)], (err) => {
+                if (err) reject(err);
+                else resolve();
+            }
+        );
+    });
+}
+
+function clearMultiCommandContext(botId, chatId) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM multi_command_contexts WHERE bot_id = ? AND chat_id = ?', [botId, String(chatId)], function(err) {
+            resolve(err ? 0 : this.changes);
+        });
+    });
+}
+
+// Leave multi-command when message matches one of its exit triggers. Returns true if handled
+async function handleMultiCommandExit(botData, context, chatId, userMessage) {
+    const settings = getContextSettings({ name: context.command_name, json_code: context.json_code });
+    const text = userMessage.trim().toLowerCase().replace(/^\/([^\s@]+)@\S+/, '/$1');
+    if (!settings.exitTriggers.includes(text)) {
+        return false;
+    }
+
+    await clearMultiCommandContext(botData.id, chatId);
+    addLog('INFO', 'BOT', `Multi-command context exited for chat ${chatId}`, {
+        botId: botData.id,
+        chatId: chatId,
+        multiCommandId: context.command_id,
+        trigger: text
+    });
+
+    const telegramBot = getTelegramClient(botData);
+    if (telegramBot) {
+        await telegramBot.sendMessage(chatId, settings.exitMessage);
+    }
+    return true;
+}
+
+// Operator handoff: user asks for a human with a trigger phrase or command (bots.handoff_triggers,
+// commands start with "/" and must match exactly, phrases match as whole words). While chat is in
+// handoff the bot doesn't run commands or AI, messages are shown to operators in the panel
+const DEFAULT_HANDOFF_TRIGGERS = ['/operator'];
+const DEFAULT_HANDOFF_MESSAGE = 'Передаю разговор оператору. Он ответит здесь, подождите немного.';
+const DEFAULT_HANDOFF_RETURN_MESSAGE = 'Оператор завершил разговор. Я снова на связи!';
+
+// Triggers are stored as text separated by commas or new lines. NULL means default triggers,
+// empty text disables handoff by user request
+function parseHandoffTriggers(value) {
+    if (value === null || value === undefined) return DEFAULT_HANDOFF_TRIGGERS;
+    return String(value).split(/[\n,;]+/).map(trigger => trigger.trim().toLowerCase()).filter(Boolean);
+}
+
+// Returns matched trigger or null. Callback data has to match exactly
+function matchHandoffTrigger(botData, text, { exact = false } = {}) {
+    const value = String(text || '').trim().toLowerCase().replace(/^\/([^\s@]+)@\S+/, '/$1');
+    if (!value) return null;
+
+    return parseHandoffTriggers(botData.handoff_triggers).find(trigger => {
+        if (exact || trigger.startsWith('/')) {
+            return value === trigger;
+        }
+        return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(trigger)}($|[^\\p{L}\\p{N}_])`, 'iu').test(value);
+    }) || null;
+}
+
+// Text shown to operator for messages without text: "[photo] caption"
+function describeHandoffMessage(msg, text) {
+    if (text) return text;
+    return [`[${getMessageType(msg)}]`, msg.caption].filter(Boolean).join(' ');
+}
+
+function getChatHandoff(botId, chatId) {
+    return new Promise((resolve) => {
+        db.get('SELECT * FROM chat_handoffs WHERE bot_id = ? AND chat_id = ?', [botId, String(chatId)], (err, row) => {
+            resolve(err ? null : row || null);
+        });
+    });
+}
+
+function recordHandoffMessage(botId, chatId, sender, text, operatorId = null) {
+    return new Promise((resolve) => {
+        db.run('INSERT INTO handoff_messages (bot_id, chat_id, sender, text, operator_id) VALUES (?, ?, ?, ?, ?)',
+            [botId, String(chatId), sender, text, operatorId], () => {
+                db.run(`UPDATE chat_handoffs SET last_message_at = CURRENT_TIMESTAMP,
+                        unread_count = unread_count + ? WHERE bot_id = ? AND chat_id = ?`,
+                    [sender === 'user' ? 1 : 0, botId, String(chatId)], () => resolve());
+            }
+        );
+    });
+}
+
+// Put chat on hold for operator. Unfinished form is dropped, user gets handoff message
+async function startHandoff(botData, chatId, { sender = null, text = '', trigger = null } = {}) {
+    await new Promise((resolve, reject) => {
+        db.run(`INSERT OR IGNORE INTO chat_handoffs (bot_id, chat_id, status, user_name, reason)
+                VALUES (?, ?, 'waiting', ?, ?)`,
+            [botData.id, String(chatId), sender ? sender.name : null, trigger], (err) => {
+                if (err) reject(err);
+                else resolve();
+            }
+        );
+    });
+    await clearFormSession(botData.id, chatId);
+    await recordHandoffMessage(botData.id, chatId, 'user', text);
+
+    addLog('WARNING', 'BOT', `Operator requested in chat ${chatId} of bot ${botData.name}`, {
+        botId: botData.id,
+        chatId: chatId,
+        trigger: trigger,
+        userName: sender ? sender.name : null
+    });
+    addPlaygroundTrace(botData, 'handoff_start', { trigger });
+
+    const message = botData.handoff_message || DEFAULT_HANDOFF_MESSAGE;
+    const telegramBot = getTelegramClient(botData);
+    if (telegramBot) {
+        await telegramBot.sendMessage(chatId, message);
+        await recordHandoffMessage(botData.id, chatId, 'bot', message);
+    }
+}
+
+// Return chat to AI. Returns false if chat wasn't in handoff
+async function endHandoff(botData, chatId, operatorId = null) {
+    const removed = await new Promise((resolve) => {
+        db.run('DELETE FROM chat_handoffs WHERE bot_id = ? AND chat_id = ?', [botData.id, String(chatId)], function(err) {
+            resolve(err ? 0 : this.changes);
+        });
+    });
+    if (!removed) {
+        return false;
+    }
+
+    addLog('INFO', 'BOT', `Chat ${chatId} of bot ${botData.name} returned to AI`, {
+        botId: botData.id,
+        chatId: chatId,
+        userId: operatorId
+    });
+
+    // Chat is already returned, failed notification shouldn't fail the operation
+    const message = botData.handoff_return_message || DEFAULT_HANDOFF_RETURN_MESSAGE;
+    const telegramBot = getTelegramClient(botData);
+    if (telegramBot) {
+        try {
+            await telegramBot.sendMessage(chatId, message);
+            await recordHandoffMessage(botData.id, chatId, 'bot', message, operatorId);
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Failed to notify chat ${chatId} about return to AI`, {
+                botId: botData.id,
+                chatId: chatId,
+                error: error.message
+            });
+        }
+    }
+    return true;
+}
 
 // Add log entry
 function addLog(level, category, message, details = null) {
@@ -354,7 +914,6 @@ function createCallbackHandler(initialBotData) {
     return async (callbackQuery) => {
         const chatId = callbackQuery.message.chat.id;
         const data = callbackQuery.data;
-        const messageId = callbackQuery.message.message_id;
 
         // Get fresh bot data from database
         db.get('SELECT * FROM bots WHERE id = ?', [initialBotData.id], async (err, freshBotData) => {
@@ -390,92 +949,91 @@ function createCallbackHandler(initialBotData) {
                 chatId: chatId
             });
 
-            try {
-                const telegramBot = activeBots.get(initialBotData.id);
-                if (!telegramBot) {
-                    return;
-                }
+            await processCallbackQuery(freshBotData, callbackQuery);
+        });
+    };
+}
 
-                // Answer callback query to remove loading state
-                await telegramBot.answerCallbackQuery(callbackQuery.id);
+// Callback pipeline: answer query, unpack long payload, route data to command.
+// Used by Telegram handler and by playground
+async function processCallbackQuery(botData, callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const data = callbackQuery.data;
+    const messageId = callbackQuery.message.message_id;
 
-                // Check if we're in a multi-command context
-                const contextKey = `${freshBotData.id}:${chatId}`;
-                const currentMultiCommandId = multiCommandContexts.get(contextKey);
-                
-                // Build query based on context
-                let query, params;
-                if (currentMultiCommandId) {
-                    // Check for commands within the current multi-command context
-                    db.get('SELECT allow_external_commands FROM bot_commands WHERE id = ? AND bot_id = ?', 
-                        [currentMultiCommandId, freshBotData.id], 
-                        (err, multiCommand) => {
-                            if (err || !multiCommand) {
-                                // Fallback to normal command check
-                                checkCallbackCommand(freshBotData, data, chatId, messageId, telegramBot);
-                                return;
-                            }
-                            
-                            if (multiCommand.allow_external_commands) {
-                                // Allow both internal and external commands
-                                query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND name = ? AND is_active = 1 AND (parent_multi_command_id = ? OR parent_multi_command_id IS NULL)';
-                                params = [freshBotData.id, data, currentMultiCommandId];
-                            } else {
-                                // Only internal commands of this multi-command
-                                query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND name = ? AND is_active = 1 AND parent_multi_command_id = ?';
-                                params = [freshBotData.id, data, currentMultiCommandId];
-                            }
-                            
-                            executeCallbackCommand(query, params, freshBotData, data, chatId, messageId, telegramBot);
-                        }
-                    );
-                } else {
-                    // Normal mode - check all commands
-                    checkCallbackCommand(freshBotData, data, chatId, messageId, telegramBot);
-                }
-            } catch (error) {
-                addLog('ERROR', 'BOT', `Error processing callback: ${data}`, {
-                    botId: freshBotData.id,
-                    error: error.message,
-                    callbackData: data
-                });
-            }
-        });
-    };
-}
+    try {
+        const telegramBot = getTelegramClient(botData);
+        if (!telegramBot) {
+            return;
+        }
 
-function checkCallbackCommand(freshBotData, data, chatId, messageId, telegramBot) {
-    db.get('SELECT * FROM bot_commands WHERE bot_id = ? AND name = ? AND is_active = 1', 
-        [freshBotData.id, data], async (err, command) => {
-        await handleCallbackResult(err, command, freshBotData, data, chatId, messageId, telegramBot);
-    });
-}
+        // Answer callback query to remove loading state
+        await telegramBot.answerCallbackQuery(callbackQuery.id);
 
-function executeCallbackCommand(query, params, freshBotData, data, chatId, messageId, telegramBot) {
-    db.get(query, params, async (err, command) => {
-        await handleCallbackResult(err, command, freshBotData, data, chatId, messageId, telegramBot);
-    });
-}
+        // Long callback data is stored on server, button carries only a reference
+        const callbackData = await unpackCallbackData(botData.id, data);
+        if (callbackData === null) {
+            addLog('WARNING', 'BOT', `Callback payload not found or expired: ${data}`, {
+                botId: botData.id,
+                chatId: chatId
+            });
+            await telegramBot.sendMessage(chatId, 'Эта кнопка устарела. Откройте меню заново.');
+            return;
+        }
 
-async function handleCallbackResult(err, command, freshBotData, data, chatId, messageId, telegramBot) {
-    if (err) {
-        addLog('ERROR', 'BOT', `Error checking callback command: ${data}`, {
-            botId: freshBotData.id,
-            error: err.message
+        const input = { text: callbackData, sender: getSenderInfo(callbackQuery), chat: callbackQuery.message.chat };
+
+        // Buttons don't work while operator handles the chat, a button can also call the operator
+        const handoff = await getChatHandoff(botData.id, chatId);
+        if (handoff) {
+            await recordHandoffMessage(botData.id, chatId, 'user', `[кнопка] ${callbackData}`);
+            addPlaygroundTrace(botData, 'handoff', { status: handoff.status });
+            return;
+        }
+        const handoffTrigger = matchHandoffTrigger(botData, callbackData, { exact: true });
+        if (handoffTrigger) {
+            await startHandoff(botData, chatId, { sender: input.sender, text: callbackData, trigger: handoffTrigger });
+            return;
+        }
+
+        // Check if we're in a multi-command context
+        const context = await getMultiCommandContext(botData.id, chatId);
+        const currentMultiCommandId = context ? context.command_id : null;
+
+        if (context && await handleMultiCommandExit(botData, context, chatId, callbackData)) {
+            return;
+        }
+
+        const commands = await getAvailableCommands(botData.id, currentMultiCommandId);
+        const route = routeCallbackData(commands, callbackData);
+        addPlaygroundTrace(botData, 'callback', {
+            data: callbackData,
+            command: route ? route.command.name : null,
+            params: route ? route.params : {}
+        });
+        await handleCallbackResult(route, botData, callbackData, chatId, messageId, telegramBot, input);
+    } catch (error) {
+        addLog('ERROR', 'BOT', `Error processing callback: ${data}`, {
+            botId: botData.id,
+            error: error.message,
+            callbackData: data
         });
-        return;
     }
+}
 
-    if (command) {
+async function handleCallbackResult(route, freshBotData, data, chatId, messageId, telegramBot, input = {}) {
+    if (route) {
+        const { command, params } = route;
         // Found matching command - execute it
         addLog('SUCCESS', 'BOT', `CALLBACK COMMAND FOUND: ${command.name}`, {
             botId: freshBotData.id,
             commandName: command.name,
-            callbackData: data
+            callbackData: data,
+            params: params
         });
 
         // Execute the command with message replacement
-        await executeCommand(freshBotData, command, chatId, messageId);
+        await executeCommand(freshBotData, command, chatId, messageId, !!command.is_multi_command, { ...input, params });
     } else {
         // No matching command found - send info message
         addLog('INFO', 'BOT', `NO CALLBACK COMMAND: "${data}"`, {
@@ -488,242 +1046,3473 @@ async function handleCallbackResult(err, command, freshBotData, data, chatId, me
     }
 }
 
-// Create message handler for bot that always uses fresh data from database
-function createBotMessageHandler(initialBotData) {
-    return async (msg) => {
-        const chatId = msg.chat.id;
-        const messageText = msg.text;
+// Callback routing: button data equal to command name, or matching "triggers.callbacks" patterns
+// like "product:{id}" - captured values are available in templates as {{params.id}}.
+// Telegram limits callback_data to 64 bytes, longer data is kept in callback_payloads
+// and the button gets a short "#<key>" reference instead
+const CALLBACK_DATA_MAX_BYTES = 64;
+const CALLBACK_PAYLOAD_PREFIX = '#';
+const CALLBACK_PAYLOAD_TTL_DAYS = 30;
+
+// "product:{id}" -> { regex, names }. Parameter values can't contain ":"
+function compileCallbackPattern(pattern) {
+    const names = [];
+    const source = pattern.split(/(\{\w+\})/).map(part => {
+        const placeholder = part.match(/^\{(\w+)\}$/);
+        if (placeholder) {
+            names.push(placeholder[1]);
+            return '([^:]+)';
+        }
+        return escapeRegExp(part);
+    }).join('');
+    return { regex: new RegExp(`^${source}$`), names };
+}
 
-        // Get fresh bot data from database for each message
-        db.get('SELECT * FROM bots WHERE id = ?', [initialBotData.id], async (err, freshBotData) => {
-            if (err || !freshBotData) {
-                console.error('Error getting fresh bot data:', err);
-                return;
-            }
+// Find command for callback data. Returns { command, params } or null
+function routeCallbackData(commands, data) {
+    const exact = commands.find(command => command.name === data);
+    if (exact) {
+        return { command: exact, params: {} };
+    }
 
-            // Check if bot is still supposed to be running
-            if (!freshBotData.is_running) {
-                addLog('WARNING', 'BOT', `Bot ${freshBotData.name} received message but is marked as stopped, ignoring`, {
-                    botId: freshBotData.id,
-                    botName: freshBotData.name,
-                    messageText: messageText
+    for (const command of commands) {
+        const params = matchListCallback(command, data);
+        if (params) {
+            return { command, params };
+        }
+    }
+
+    for (const command of commands) {
+        for (const pattern of getCommandTriggers(command).callbacks) {
+            const { regex, names } = compileCallbackPattern(pattern);
+            const match = data.match(regex);
+            if (match) {
+                const params = {};
+                names.forEach((name, index) => {
+                    params[name] = match[index + 1];
                 });
-                return;
+                return { command, params };
             }
+        }
+    }
 
-            // Check if bot is still in activeBots
-            if (!activeBots.has(initialBotData.id)) {
-                addLog('WARNING', 'BOT', `Bot ${freshBotData.name} received message but is not in activeBots, ignoring`, {
-                    botId: freshBotData.id,
-                    botName: freshBotData.name,
-                    messageText: messageText
-                });
-                return;
+    return null;
+}
+
+// Same data always gets the same key, so rendering a menu again doesn't create new rows
+async function packCallbackData(botId, data) {
+    if (Buffer.byteLength(data, 'utf8') <= CALLBACK_DATA_MAX_BYTES) {
+        return data;
+    }
+
+    const key = crypto.createHash('sha256').update(`${botId}:${data}`).digest('base64url').substring(0, 16);
+    await new Promise((resolve, reject) => {
+        db.run('INSERT OR REPLACE INTO callback_payloads (key, bot_id, data, expires_at) VALUES (?, ?, ?, ?)',
+            [key, botId, data, Date.now() + CALLBACK_PAYLOAD_TTL_DAYS * 24 * 60 * 60 * 1000], (err) => {
+                if (err) reject(err);
+                else resolve();
             }
+        );
+    });
+    return CALLBACK_PAYLOAD_PREFIX + key;
+}
 
-            addLog('INFO', 'BOT', `USER MESSAGE: "${messageText}"`, {
-                botId: freshBotData.id,
-                botName: freshBotData.name,
-                messageLength: messageText.length,
-                fullUserMessage: messageText
+// Resolve "#<key>" reference, returns null for unknown or expired key
+function unpackCallbackData(botId, data) {
+    if (!data.startsWith(CALLBACK_PAYLOAD_PREFIX)) {
+        return Promise.resolve(data);
+    }
+
+    return new Promise((resolve) => {
+        db.get('SELECT data, expires_at FROM callback_payloads WHERE key = ? AND bot_id = ?',
+            [data.substring(CALLBACK_PAYLOAD_PREFIX.length), botId], (err, row) => {
+                resolve(!err && row && row.expires_at > Date.now() ? row.data : null);
+            }
+        );
+    });
+}
+
+// Replace too long callback_data of inline keyboard buttons with payload references
+async function packInlineKeyboard(botId, keyboard) {
+    return Promise.all(keyboard.map(row => Promise.all(row.map(async (button) => (
+        button && typeof button.callback_data === 'string'
+            ? { ...button, callback_data: await packCallbackData(botId, button.callback_data) }
+            : button
+    )))));
+}
+
+// Commands available in chat: only commands of current multi-command (plus top-level ones
+// if it allows external commands), or all active commands outside multi-command
+function getAvailableCommands(botId, currentMultiCommandId = null) {
+    return new Promise((resolve) => {
+        const loadAll = () => {
+            db.all('SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 ORDER BY created_at ASC, id ASC', [botId], (err, rows) => {
+                resolve(err ? [] : rows);
             });
+        };
 
-            if (!messageText) {
-                const telegramBot = activeBots.get(initialBotData.id);
-                if (telegramBot) {
-                    telegramBot.sendMessage(chatId, 'Извините, я работаю только с текстовыми сообщениями.');
+        if (!currentMultiCommandId) {
+            return loadAll();
+        }
+
+        db.get('SELECT allow_external_commands FROM bot_commands WHERE id = ? AND bot_id = ?',
+            [currentMultiCommandId, botId], (err, multiCommand) => {
+                if (err || !multiCommand) {
+                    return loadAll();
                 }
-                return;
+
+                const query = multiCommand.allow_external_commands
+                    ? 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND (parent_multi_command_id = ? OR parent_multi_command_id IS NULL) ORDER BY created_at ASC, id ASC'
+                    : 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND parent_multi_command_id = ? ORDER BY created_at ASC, id ASC';
+                db.all(query, [botId, currentMultiCommandId], (err, rows) => {
+                    resolve(err ? [] : rows);
+                });
             }
+        );
+    });
+}
 
-            try {
-                // Check if we're in a multi-command context
-                const contextKey = `${freshBotData.id}:${chatId}`;
-                const currentMultiCommandId = multiCommandContexts.get(contextKey);
-                
-                // Check if message contains a custom command (with context)
-                const commandExecuted = await checkAndExecuteCommand(freshBotData, messageText, chatId, currentMultiCommandId);
-                
-                if (!commandExecuted) {
-                    // Get AI response using fresh bot data and chat history
-                    const aiResponse = await callAIWithMemory(freshBotData, messageText, chatId);
-                    
-                    addLog('SUCCESS', 'BOT', `AI RESPONSE: "${aiResponse}"`, {
-                        botId: freshBotData.id,
-                        fullUserMessage: messageText,
-                        fullAiResponse: aiResponse,
-                        responseLength: aiResponse.length
-                    });
-                    
-                    const telegramBot = activeBots.get(initialBotData.id);
-                    if (telegramBot) {
-                        telegramBot.sendMessage(chatId, aiResponse);
-                    }
-                }
-            } catch (error) {
-                console.error(`Error processing message for bot ${freshBotData.name}:`, error);
-                const telegramBot = activeBots.get(initialBotData.id);
-                if (telegramBot) {
-                    telegramBot.sendMessage(chatId, 'Извините, произошла ошибка при обработке вашего сообщения.');
-                }
+// Non-text messages: per-bot handling mode for each message type
+// ai - pass to AI (images to vision models, text extracted from documents), fallback - reply with fallback message, ignore - no reply
+const MEDIA_TYPES = ['photo', 'document', 'voice', 'sticker', 'location', 'contact'];
+const MEDIA_HANDLING_MODES = ['ai', 'fallback', 'ignore'];
+const DEFAULT_MEDIA_HANDLING = {
+    photo: 'ai',
+    document: 'ai',
+    voice: 'fallback',
+    sticker: 'fallback',
+    location: 'ai',
+    contact: 'ai'
+};
+const DEFAULT_MEDIA_FALLBACK_MESSAGE = 'Извините, я пока не умею обрабатывать такие сообщения.';
+const MEDIA_MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MEDIA_MAX_DOCUMENT_SIZE = 1024 * 1024;
+const MEDIA_MAX_DOCUMENT_TEXT = 20000;
+const MEDIA_DOWNLOAD_TIMEOUT = 30000;
+const TEXT_DOCUMENT_EXTENSIONS = ['txt', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'log', 'html', 'htm', 'ini', 'conf'];
+const TEXT_DOCUMENT_MIME_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/yaml', 'application/csv'];
+
+function getMediaHandling(botData) {
+    let configured = {};
+    try {
+        configured = botData.media_handling ? JSON.parse(botData.media_handling) : {};
+    } catch (error) {
+        configured = {};
+    }
+    return { ...DEFAULT_MEDIA_HANDLING, ...configured };
+}
+
+// Validate media handling settings from API request, returns JSON string for database
+function normalizeMediaHandling(mediaHandling) {
+    const normalized = { ...DEFAULT_MEDIA_HANDLING };
+    if (mediaHandling && typeof mediaHandling === 'object') {
+        MEDIA_TYPES.forEach(type => {
+            if (MEDIA_HANDLING_MODES.includes(mediaHandling[type])) {
+                normalized[type] = mediaHandling[type];
             }
         });
-    };
+    }
+    // Voice messages are not transcribed, so they can't be passed to AI
+    if (normalized.voice === 'ai') {
+        normalized.voice = 'fallback';
+    }
+    return JSON.stringify(normalized);
 }
 
-// Check if message contains a command and execute it
-async function checkAndExecuteCommand(botData, userMessage, chatId, currentMultiCommandId = null) {
-    return new Promise((resolve) => {
-        // Get commands based on context
-        let query, params;
-        
-        if (currentMultiCommandId) {
-            // If we're in a multi-command context, get commands from that multi-command
-            db.get('SELECT allow_external_commands FROM bot_commands WHERE id = ? AND bot_id = ?', 
-                [currentMultiCommandId, botData.id], 
-                (err, multiCommand) => {
-                    if (err || !multiCommand) {
-                        return resolve(false);
-                    }
-                    
-                    if (multiCommand.allow_external_commands) {
-                        // Allow both internal and external commands
-                        query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND (parent_multi_command_id = ? OR parent_multi_command_id IS NULL)';
-                        params = [botData.id, currentMultiCommandId];
-                    } else {
-                        // Only internal commands of this multi-command
-                        query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND parent_multi_command_id = ?';
-                        params = [botData.id, currentMultiCommandId];
-                    }
-                    
-                    executeCommandCheck(query, params, botData, userMessage, chatId, resolve, currentMultiCommandId);
-                }
-            );
-        } else {
-            // Normal mode - get all active commands (including multi-commands)
-            query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1';
-            params = [botData.id];
-            executeCommandCheck(query, params, botData, userMessage, chatId, resolve);
-        }
-    });
+function getMessageType(msg) {
+    if (msg.text) return 'text';
+    const type = MEDIA_TYPES.find(mediaType => msg[mediaType]);
+    return type || 'other';
 }
 
-function executeCommandCheck(query, params, botData, userMessage, chatId, resolve, currentMultiCommandId = null) {
-    db.all(query, params, async (err, commands) => {
-        if (err || !commands || commands.length === 0) {
-            return resolve(false);
+// Size is checked before downloading: by file_size from getFile (message may not contain it) and by Content-Length.
+// Stalled download is aborted after MEDIA_DOWNLOAD_TIMEOUT
+async function downloadTelegramFile(telegramBot, fileId, maxSize) {
+    const file = await telegramBot.getFile(fileId);
+    if (file.file_size && file.file_size > maxSize) {
+        throw new Error(`File is too large: ${file.file_size} bytes`);
+    }
+
+    const fileLink = await telegramBot.getFileLink(fileId);
+    const response = await fetch(fileLink, { signal: AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`File download failed: ${response.status}`);
+    }
+    const contentLength = Number(response.headers.get('content-length'));
+    if (contentLength > maxSize) {
+        response.body.cancel().catch(() => {});
+        throw new Error(`File is too large: ${contentLength} bytes`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+function isTextDocument(document) {
+    const mimeType = (document.mime_type || '').toLowerCase();
+    const extension = (document.file_name || '').split('.').pop().toLowerCase();
+    return mimeType.startsWith('text/') ||
+        TEXT_DOCUMENT_MIME_TYPES.includes(mimeType) ||
+        TEXT_DOCUMENT_EXTENSIONS.includes(extension);
+}
+
+// Convert non-text message into AI input: { text, attachments }.
+// Returns null when message can't be passed to AI (fallback reply is used instead)
+async function prepareMediaMessage(telegramBot, botData, msg, messageType) {
+    const caption = msg.caption ? msg.caption.trim() : '';
+
+    switch (messageType) {
+        case 'photo': {
+            // Telegram sends several sizes, the last one is the largest
+            const photo = msg.photo[msg.photo.length - 1];
+            if (!botData.vision_enabled || (photo.file_size && photo.file_size > MEDIA_MAX_IMAGE_SIZE)) {
+                return caption ? { text: `[Пользователь отправил изображение с подписью]\n${caption}`, attachments: [] } : null;
+            }
+            const buffer = await downloadTelegramFile(telegramBot, photo.file_id, MEDIA_MAX_IMAGE_SIZE);
+            return {
+                text: caption || 'Пользователь отправил изображение. Опиши его и ответь по существу.',
+                attachments: [{ type: 'image', mimeType: 'image/jpeg', data: buffer.toString('base64') }]
+            };
         }
+        case 'document': {
+            const document = msg.document;
+            const fileName = document.file_name || 'документ';
+            const mimeType = (document.mime_type || '').toLowerCase();
+
+            if (botData.vision_enabled && mimeType.startsWith('image/') &&
+                (!document.file_size || document.file_size <= MEDIA_MAX_IMAGE_SIZE)) {
+                const buffer = await downloadTelegramFile(telegramBot, document.file_id, MEDIA_MAX_IMAGE_SIZE);
+                return {
+                    text: caption || `Пользователь отправил изображение "${fileName}". Опиши его и ответь по существу.`,
+                    attachments: [{ type: 'image', mimeType: mimeType, data: buffer.toString('base64') }]
+                };
+            }
 
-        try {
-            // First, ask AI to check if the message requests a command
-            const commandCheckPrompt = `Проанализируй сообщение пользователя и определи, просит ли он выполнить одну из доступных команд.
+            if (!isTextDocument(document) || (document.file_size && document.file_size > MEDIA_MAX_DOCUMENT_SIZE)) {
+                return null;
+            }
 
-Доступные команды:
-${commands.map(cmd => `- ${cmd.name}: ${cmd.description}`).join('\n')}
+            const buffer = await downloadTelegramFile(telegramBot, document.file_id, MEDIA_MAX_DOCUMENT_SIZE);
+            let content = buffer.toString('utf8');
+            if (content.length > MEDIA_MAX_DOCUMENT_TEXT) {
+                content = content.substring(0, MEDIA_MAX_DOCUMENT_TEXT) + '\n[...документ обрезан...]';
+            }
+            return {
+                text: `[Пользователь отправил документ "${fileName}"]\n${caption ? `Подпись: ${caption}\n` : ''}Содержимое документа:\n${content}`,
+                attachments: []
+            };
+        }
+        case 'sticker':
+            return {
+                text: msg.sticker.emoji ? `[Пользователь отправил стикер ${msg.sticker.emoji}]` : '[Пользователь отправил стикер]',
+                attachments: []
+            };
+        case 'location':
+            return {
+                text: `[Пользователь отправил геолокацию: широта ${msg.location.latitude}, долгота ${msg.location.longitude}]`,
+                attachments: []
+            };
+        case 'contact': {
+            const contactName = [msg.contact.first_name, msg.contact.last_name].filter(Boolean).join(' ');
+            return {
+                text: `[Пользователь отправил контакт: ${contactName}, телефон ${msg.contact.phone_number}]`,
+                attachments: []
+            };
+        }
+        default:
+            return null;
+    }
+}
 
-Сообщение пользователя: "${userMessage}"
+// Handle photo, document, voice, sticker, location and contact messages according to bot settings
+async function handleMediaMessage(telegramBot, botData, msg) {
+    const chatId = msg.chat.id;
+    const messageType = getMessageType(msg);
+    const mode = messageType === 'other' ? 'fallback' : getMediaHandling(botData)[messageType];
+    const replyOptions = isGroupChat(msg.chat) ? { reply_to_message_id: msg.message_id } : {};
 
-Если пользователь просит выполнить команду, ответь ТОЛЬКО названием команды (например: "open_menu").
-Если команда не запрашивается, ответь "НЕТ".
+    addLog('INFO', 'BOT', `USER MEDIA MESSAGE: ${messageType} (${mode})`, {
+        botId: botData.id,
+        botName: botData.name,
+        messageType: messageType,
+        mode: mode,
+        hasCaption: !!msg.caption
+    });
 
-Ответ:`;
+    if (mode === 'ignore') {
+        return;
+    }
 
-            const aiResponse = await callAI({
-                ...botData,
-                system_prompt: 'Ты помощник для определения команд. Отвечай кратко и точно.'
-            }, commandCheckPrompt);
+    if (mode === 'ai') {
+        let prepared = null;
+        try {
+            prepared = await prepareMediaMessage(telegramBot, botData, msg, messageType);
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Failed to prepare ${messageType} message for AI`, {
+                botId: botData.id,
+                messageType: messageType,
+                error: error.message
+            });
+        }
 
-            // Log user message and AI response for debugging
-            addLog('INFO', 'BOT', `COMMAND CHECK - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
+        if (prepared) {
+            const aiResponse = await withAIErrorMessage(callAIWithMemory(botData, prepared.text, chatId, {
+                attachments: prepared.attachments,
+                sender: getSenderInfo(msg),
+                chat: msg.chat,
+                isGroup: isGroupChat(msg.chat)
+            }));
+
+            addLog('SUCCESS', 'BOT', `AI RESPONSE: "${aiResponse}"`, {
                 botId: botData.id,
-                fullUserMessage: userMessage,
-                fullAiResponse: aiResponse.trim(),
-                availableCommands: commands.map(cmd => cmd.name).join(', ')
+                messageType: messageType,
+                hasImages: prepared.attachments.length > 0,
+                fullAiResponse: aiResponse,
+                responseLength: aiResponse.length
             });
 
-            // Check if AI identified a command
-            const requestedCommand = commands.find(cmd => 
-                aiResponse.toLowerCase().includes(cmd.name.toLowerCase()) &&
-                !aiResponse.toLowerCase().includes('нет')
-            );
+            await telegramBot.sendMessage(chatId, aiResponse, replyOptions);
+            return;
+        }
+    }
 
-            if (requestedCommand) {
-                addLog('SUCCESS', 'BOT', `COMMAND EXECUTED: ${requestedCommand.name} - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
-                    botId: botData.id,
-                    commandName: requestedCommand.name,
-                    fullUserMessage: userMessage,
-                    fullAiResponse: aiResponse.trim()
-                });
+    await telegramBot.sendMessage(chatId, botData.media_fallback_message || DEFAULT_MEDIA_FALLBACK_MESSAGE, replyOptions);
+}
 
-                // Check if this is a multi-command
-                if (requestedCommand.is_multi_command) {
-                    // Execute multi-command welcome message
-                    await executeCommand(botData, requestedCommand, chatId, null, requestedCommand.id);
-                } else {
-                    // First, let AI respond to the user naturally
-                    const naturalResponse = await callAI({
-                        ...botData,
-                        system_prompt: `Ты дружелюбный помощник. Пользователь просит "${requestedCommand.description || requestedCommand.name}". 
+// AI providers. Each bot stores provider id (bots.ai_provider), adapter turns chat into provider request:
+// buildRequest({ apiUrl, apiKey, model, systemPrompt, messages, attachments, stream, generation }) -> { endpoint, headers, body, model }
+//   model - name of the model actually requested (used for usage accounting)
+//   messages - [{ role: 'user' | 'assistant', content }], attachments - images of the last user message,
+//   generation - { temperature, maxTokens, topP, stop } from getGenerationParams
+// parseResponse(data) -> answer text, parseStream(event) -> text delta of one streamed JSON event,
+// parseUsage(data or event) -> { promptTokens, completionTokens } or null, fields are null when not reported,
+// listModels({ apiUrl, apiKey }) -> model names (optional). requiresApiKey: false for self-hosted servers
+const DEFAULT_AI_PROVIDER = 'openai_compatible';
+const AI_MODELS_TIMEOUT = 10000;
+
+// Generation settings of bot (bots.ai_temperature, ai_max_tokens, ai_top_p, ai_stop_sequences).
+// Empty top_p and stop sequences are not sent, provider defaults are used
+const GENERATION_LIMITS = {
+    ai_temperature: { label: 'Температура', min: 0, max: 2, default: 0.7 },
+    ai_max_tokens: { label: 'Максимум токенов', min: 1, max: 32000, integer: true, default: 1024 },
+    ai_top_p: { label: 'Top P', min: 0, max: 1, default: null }
+};
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_SEQUENCE_LENGTH = 100;
 
-ВАЖНО: Просто кратко подтверди что выполняешь просьбу (1-2 предложения). НЕ создавай никакого меню или списка - это будет показано автоматически после твоего ответа.
+// Stop sequences come from the form as array and are stored as JSON array
+function parseStopSequences(value) {
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            list = [];
+        }
+    }
+    return Array.isArray(list) ? list.filter(item => typeof item === 'string' && item !== '') : [];
+}
 
-Отвечай на запросы о меню коротко и дружелюбно, но без строгого следования шаблону. Важно, чтобы суть была ясна, а тон оставался helpful и непринуждённым. Можешь использовать разные формулировки, легкий юмор или даже смайлы — главное, чтобы ответ был понятным и человечным."
+// Check numeric bot settings against limits ({ field: { label, min, max, integer, default } }),
+// missing fields keep current values, empty ones get default. Returns { values } or { error }
+function validateNumberSettings(limitsByField, body, current = {}) {
+    const values = {};
+    for (const [field, limits] of Object.entries(limitsByField)) {
+        const raw = body[field] !== undefined ? body[field] : current[field];
+        if (raw === null || raw === undefined || raw === '') {
+            values[field] = limits.default;
+            continue;
+        }
 
-Примеры ответов:
-"Уже открываю! Вот менюшка 😊"
-"Лови список разделов — выбирай, что нравится!"
-"Сейчас будет... барабанная дробь... меню!"
-"Один момент, подгружаю вариантики для вас."
-"Готово! Что из этого вам подойдёт?"
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < limits.min || value > limits.max || (limits.integer && !Number.isInteger(value))) {
+            return { error: `${limits.label}: допустимо ${limits.integer ? 'целое ' : ''}значение от ${limits.min} до ${limits.max}` };
+        }
+        values[field] = value;
+    }
+    return { values };
+}
 
-НЕ пиши списки, пункты меню или кнопки - только подтверждение!`
-                    }, userMessage);
+// Validate generation settings from request, missing fields keep current values.
+// Returns { values } with column values or { error }
+function normalizeGenerationSettings(body, current = {}) {
+    const { values, error } = validateNumberSettings(GENERATION_LIMITS, body, current);
+    if (error) {
+        return { error };
+    }
 
-                    addLog('SUCCESS', 'BOT', `NATURAL AI RESPONSE BEFORE COMMAND: "${naturalResponse}"`, {
+    const stop = parseStopSequences(body.ai_stop_sequences !== undefined ? body.ai_stop_sequences : current.ai_stop_sequences);
+    if (stop.length > MAX_STOP_SEQUENCES) {
+        return { error: `Стоп-последовательностей может быть не больше ${MAX_STOP_SEQUENCES}` };
+    }
+    if (stop.some(item => item.length > MAX_STOP_SEQUENCE_LENGTH)) {
+        return { error: `Стоп-последовательность длиннее ${MAX_STOP_SEQUENCE_LENGTH} символов` };
+    }
+    values.ai_stop_sequences = stop.length > 0 ? JSON.stringify(stop) : null;
+    return { values };
+}
+
+// Generation parameters for adapters, bots without settings (support chat) get defaults
+function getGenerationParams(botData) {
+    const { values } = normalizeGenerationSettings({}, botData);
+    return {
+        temperature: values ? values.ai_temperature : GENERATION_LIMITS.ai_temperature.default,
+        maxTokens: values ? values.ai_max_tokens : GENERATION_LIMITS.ai_max_tokens.default,
+        topP: values ? values.ai_top_p : null,
+        stop: values ? parseStopSequences(values.ai_stop_sequences) : []
+    };
+}
+
+const DEFAULT_GENERATION_PARAMS = getGenerationParams({});
+
+// GET JSON from provider API (model lists)
+async function fetchProviderJson(url, headers = {}) {
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(AI_MODELS_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// Replace content of the last user message with provider specific content with images
+function withImages(messages, attachments, toContent) {
+    const images = attachments.filter(attachment => attachment.type === 'image');
+    if (images.length === 0) return messages;
+    return messages.map((message, index) => (
+        index === messages.length - 1 ? { ...message, content: toContent(message.content, images) } : message
+    ));
+}
+
+// Local OpenAI-compatible servers (llama.cpp, LM Studio, vLLM) work without key, Authorization is sent only with key.
+// Streams report usage only with stream_options.include_usage, it isn't sent to keyless servers (some reject it)
+const openAICompatibleAdapter = {
+    buildRequest({ apiUrl, apiKey, model, systemPrompt, messages, attachments = [], stream = false, generation = DEFAULT_GENERATION_PARAMS }) {
+        const chat = withImages(messages, attachments, (text, images) => [
+            { type: 'text', text: text },
+            ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+            }))
+        ]);
+
+        return {
+            endpoint: apiUrl.endsWith('/chat/completions') ? apiUrl : `${apiUrl}/chat/completions`,
+            headers: {
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            body: {
+                model: model,
+                messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...chat] : chat,
+                max_tokens: generation.maxTokens,
+                temperature: generation.temperature,
+                ...(generation.topP !== null ? { top_p: generation.topP } : {}),
+                ...(generation.stop.length > 0 ? { stop: generation.stop } : {}),
+                stream: stream,
+                ...(stream && apiKey ? { stream_options: { include_usage: true } } : {})
+            },
+            model: model
+        };
+    },
+    parseResponse: (data) => data.choices?.[0]?.message?.content,
+    parseStream: (event) => event.choices?.[0]?.delta?.content || '',
+    parseUsage: (data) => (data.usage ? {
+        promptTokens: data.usage.prompt_tokens ?? null,
+        completionTokens: data.usage.completion_tokens ?? null
+    } : null),
+    async listModels({ apiUrl, apiKey }) {
+        const baseUrl = apiUrl.replace(/\/chat\/completions\/?$/, '').replace(/\/+$/, '');
+        const data = await fetchProviderJson(`${baseUrl}/models`, apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+        return (data.data || []).map(model => model.id);
+    }
+};
+
+// Ollama native API: URL is server address (http://localhost:11434), chat goes to /api/chat.
+// Images are sent in "images" field of message, stream is JSON lines. Key is optional (Ollama behind proxy)
+function getOllamaBaseUrl(apiUrl) {
+    return apiUrl.replace(/\/+$/, '').replace(/\/api(\/chat)?$/, '');
+}
+
+const ollamaAdapter = {
+    buildRequest({ apiUrl, apiKey, model, systemPrompt, messages, attachments = [], stream = false, generation = DEFAULT_GENERATION_PARAMS }) {
+        const images = attachments.filter(attachment => attachment.type === 'image').map(image => image.data);
+        const chat = messages.map((message, index) => (
+            images.length > 0 && index === messages.length - 1 ? { ...message, images } : message
+        ));
+
+        return {
+            endpoint: `${getOllamaBaseUrl(apiUrl)}/api/chat`,
+            headers: {
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            body: {
+                model: model,
+                messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...chat] : chat,
+                stream: stream,
+                options: {
+                    num_predict: generation.maxTokens,
+                    temperature: generation.temperature,
+                    ...(generation.topP !== null ? { top_p: generation.topP } : {}),
+                    ...(generation.stop.length > 0 ? { stop: generation.stop } : {})
+                }
+            },
+            model: model
+        };
+    },
+    parseResponse: (data) => data.message?.content,
+    parseStream: (event) => event.message?.content || '',
+    // Counters come in the final object (the last line when streaming)
+    parseUsage: (data) => (data.prompt_eval_count !== undefined || data.eval_count !== undefined ? {
+        promptTokens: data.prompt_eval_count ?? null,
+        completionTokens: data.eval_count ?? null
+    } : null),
+    async listModels({ apiUrl, apiKey }) {
+        const data = await fetchProviderJson(`${getOllamaBaseUrl(apiUrl)}/api/tags`, apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+        return (data.models || []).map(model => model.name);
+    }
+};
+
+// Anthropic Messages API format, system prompt goes in a separate field. LangDock proxies the same API.
+// Anthropic accepts temperature up to 1, and current models reject temperature together with top_p,
+// so Top P set in bot settings is sent instead of temperature
+function createAnthropicAdapter(getAuthHeaders) {
+    return {
+        buildRequest({ apiUrl, apiKey, model, systemPrompt, messages, attachments = [], stream = false, generation = DEFAULT_GENERATION_PARAMS }) {
+            const body = {
+                model: model,
+                max_tokens: generation.maxTokens,
+                messages: withImages(messages, attachments, (text, images) => [
+                    ...images.map(image => ({
+                        type: 'image',
+                        source: { type: 'base64', media_type: image.mimeType, data: image.data }
+                    })),
+                    { type: 'text', text: text }
+                ])
+            };
+            if (systemPrompt) body.system = systemPrompt;
+            if (generation.topP !== null) {
+                body.top_p = generation.topP;
+            } else {
+                body.temperature = Math.min(generation.temperature, 1);
+            }
+            if (generation.stop.length > 0) body.stop_sequences = generation.stop;
+            if (stream) body.stream = true;
+
+            return {
+                endpoint: apiUrl,
+                headers: { ...getAuthHeaders(apiKey), 'Content-Type': 'application/json' },
+                body: body,
+                model: model
+            };
+        },
+        parseResponse: (data) => data.content?.[0]?.text || data.message?.content,
+        parseStream: (event) => (event.type === 'content_block_delta' ? event.delta?.text || '' : ''),
+        // Stream reports input tokens in message_start and output tokens in message_delta
+        parseUsage: (data) => {
+            const usage = data.usage || data.message?.usage;
+            return usage ? {
+                promptTokens: usage.input_tokens ?? null,
+                completionTokens: usage.output_tokens ?? null
+            } : null;
+        }
+    };
+}
+
+// Model method URL of the requested model: model in .../models/gemini-pro:generateContent is replaced,
+// base URL (.../v1beta) gets /models/<model>:generateContent appended
+function getGeminiModelUrl(apiUrl, modelName) {
+    if (/\/models\/[^/:]+:/.test(apiUrl)) {
+        return apiUrl.replace(/\/models\/[^/:]+:/, `/models/${modelName}:`);
+    }
+    return `${apiUrl.replace(/\/+$/, '')}/models/${modelName}:generateContent`;
+}
+
+// URL points to model method or API base, model is taken from settings. Key is passed in query string.
+// Conversation is sent as one text part, images as separate parts
+const geminiAdapter = {
+    buildRequest({ apiUrl, apiKey, model, systemPrompt, messages, attachments = [], stream = false, generation = DEFAULT_GENERATION_PARAMS }) {
+        let text = messages.length === 1
+            ? messages[0].content
+            : messages.map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}\n`).join('');
+        if (systemPrompt) {
+            text = `${systemPrompt}\n\n${text}`;
+        }
+
+        const modelName = model.replace(/^models\//, '');
+        const modelUrl = getGeminiModelUrl(apiUrl, modelName);
+        const endpoint = stream
+            ? `${modelUrl.replace(':generateContent', ':streamGenerateContent')}?alt=sse&key=${apiKey}`
+            : `${modelUrl}?key=${apiKey}`;
+
+        return {
+            endpoint: endpoint,
+            headers: { 'Content-Type': 'application/json' },
+            body: {
+                contents: [{
+                    parts: [{ text: text }, ...attachments
+                        .filter(attachment => attachment.type === 'image')
+                        .map(image => ({ inline_data: { mime_type: image.mimeType, data: image.data } }))]
+                }],
+                generationConfig: {
+                    maxOutputTokens: generation.maxTokens,
+                    temperature: generation.temperature,
+                    ...(generation.topP !== null ? { topP: generation.topP } : {}),
+                    ...(generation.stop.length > 0 ? { stopSequences: generation.stop } : {})
+                }
+            },
+            model: modelName
+        };
+    },
+    parseResponse: (data) => data.candidates?.[0]?.content?.parts?.[0]?.text,
+    parseStream: (event) => event.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    parseUsage: (data) => (data.usageMetadata ? {
+        promptTokens: data.usageMetadata.promptTokenCount ?? null,
+        completionTokens: data.usageMetadata.candidatesTokenCount ?? null
+    } : null)
+};
+
+const AI_PROVIDERS = {
+    openai: { name: 'OpenAI', defaultUrl: 'https://api.openai.com/v1', requiresApiKey: true, ...openAICompatibleAdapter },
+    deepseek: { name: 'DeepSeek', defaultUrl: 'https://api.deepseek.com', requiresApiKey: true, ...openAICompatibleAdapter },
+    anthropic: {
+        name: 'Anthropic',
+        defaultUrl: 'https://api.anthropic.com/v1/messages',
+        requiresApiKey: true,
+        ...createAnthropicAdapter((apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }))
+    },
+    langdock: {
+        name: 'LangDock',
+        defaultUrl: 'https://api.langdock.com/anthropic/eu/v1/messages',
+        requiresApiKey: true,
+        ...createAnthropicAdapter((apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }))
+    },
+    gemini: {
+        name: 'Google Gemini',
+        defaultUrl: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
+        requiresApiKey: true,
+        ...geminiAdapter
+    },
+    ollama: { name: 'Ollama', defaultUrl: 'http://localhost:11434', requiresApiKey: false, ...ollamaAdapter },
+    openai_compatible: {
+        name: 'OpenAI-совместимый API (llama.cpp, LM Studio, vLLM)',
+        defaultUrl: 'http://localhost:8080/v1',
+        requiresApiKey: false,
+        ...openAICompatibleAdapter
+    }
+};
+
+// Guess provider by API URL. Used to fill ai_provider of existing bots and when provider isn't chosen
+function detectAIProvider(apiUrl) {
+    const url = apiUrl || '';
+    if (url.includes('langdock.com')) return 'langdock';
+    if (url.includes('openai.com')) return 'openai';
+    if (url.includes('deepseek.com')) return 'deepseek';
+    if (url.includes('anthropic.com')) return 'anthropic';
+    if (url.includes('googleapis.com') || url.includes('generativelanguage')) return 'gemini';
+    if (url.includes(':11434') || /\/api\/chat\/?$/.test(url)) return 'ollama';
+    return DEFAULT_AI_PROVIDER;
+}
+
+// Provider id from request, unknown or empty value is detected by URL
+function normalizeAIProvider(provider, apiUrl) {
+    return Object.prototype.hasOwnProperty.call(AI_PROVIDERS, provider) ? provider : detectAIProvider(apiUrl);
+}
+
+// Adapter of bot (or support chat settings) with its id
+function getAIProvider(botData) {
+    const id = normalizeAIProvider(botData.ai_provider, botData.api_url);
+    return { id, ...AI_PROVIDERS[id] };
+}
+
+// URL and model are always needed, key only for cloud providers
+function isAIConfigured(botData, provider = getAIProvider(botData)) {
+    return !!(botData.api_url && botData.ai_model && (botData.api_key || !provider.requiresApiKey));
+}
+
+// Failover: bot's own provider is tried first, then fallbacks from bots.ai_fallbacks in order.
+// Each target gets 1 + ai_max_retries attempts, retries happen only on 408, 429, 5xx, timeouts and network errors
+const FAILOVER_LIMITS = {
+    ai_max_retries: { label: 'Повторы запроса', min: 0, max: 5, integer: true, default: 2 },
+    ai_timeout_seconds: { label: 'Таймаут запроса', min: 5, max: 300, integer: true, default: 60 }
+};
+const MAX_AI_FALLBACKS = 3;
+const AI_RETRY_BASE_DELAY = 1000;
+const AI_RETRY_MAX_DELAY = 10000;
+const DEFAULT_AI_ERROR_MESSAGE = 'Извините, сейчас не получается ответить. Попробуйте написать чуть позже.';
+
+// Fallbacks are stored as JSON array of { provider, api_url, api_key, model }
+function parseAIFallbacks(value) {
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            list = [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+
+    return list
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({
+            provider: typeof item.provider === 'string' ? item.provider.trim() : '',
+            api_url: typeof item.api_url === 'string' ? item.api_url.trim() : '',
+            api_key: typeof item.api_key === 'string' ? item.api_key.trim() : '',
+            model: typeof item.model === 'string' ? item.model.trim() : ''
+        }))
+        .filter(item => item.provider || item.api_url || item.api_key || item.model);
+}
+
+// Validate failover settings from request, missing fields keep current values.
+// Returns { values } with column values or { error }
+function normalizeFailoverSettings(body, current = {}) {
+    const { values, error } = validateNumberSettings(FAILOVER_LIMITS, body, current);
+    if (error) {
+        return { error };
+    }
+
+    const fallbacks = parseAIFallbacks(body.ai_fallbacks !== undefined ? body.ai_fallbacks : current.ai_fallbacks);
+    if (fallbacks.length > MAX_AI_FALLBACKS) {
+        return { error: `Резервных провайдеров может быть не больше ${MAX_AI_FALLBACKS}` };
+    }
+    for (const [index, fallback] of fallbacks.entries()) {
+        if (fallback.provider && !Object.prototype.hasOwnProperty.call(AI_PROVIDERS, fallback.provider)) {
+            return { error: `Резервный провайдер ${index + 1}: неизвестный провайдер ${fallback.provider}` };
+        }
+        if (!fallback.provider && !fallback.api_url) {
+            return { error: `Резервный провайдер ${index + 1}: выберите провайдера или укажите API URL` };
+        }
+        if (!fallback.model) {
+            return { error: `Резервный провайдер ${index + 1}: укажите модель` };
+        }
+    }
+    values.ai_fallbacks = fallbacks.length > 0 ? JSON.stringify(fallbacks) : null;
+
+    const errorMessage = body.ai_error_message !== undefined ? body.ai_error_message : current.ai_error_message;
+    values.ai_error_message = typeof errorMessage === 'string' && errorMessage.trim() ? errorMessage.trim() : null;
+    return { values };
+}
+
+// Bot settings for each provider in failover order. Fallback of the same provider
+// reuses API URL and key of the bot when they are not set
+function getAITargets(botData) {
+    const primaryProvider = getAIProvider(botData).id;
+    const fallbacks = parseAIFallbacks(botData.ai_fallbacks).map(fallback => {
+        const providerId = normalizeAIProvider(fallback.provider, fallback.api_url);
+        const sameProvider = providerId === primaryProvider;
+        return {
+            ...botData,
+            ai_provider: providerId,
+            api_url: fallback.api_url || (sameProvider ? botData.api_url : AI_PROVIDERS[providerId].defaultUrl),
+            api_key: fallback.api_key || (sameProvider ? botData.api_key : ''),
+            ai_model: fallback.model
+        };
+    });
+    return [botData, ...fallbacks];
+}
+
+// Bot without own provider settings still answers through configured fallbacks
+function hasConfiguredAITarget(botData) {
+    return getAITargets(botData).some(target => isAIConfigured(target));
+}
+
+function getAIErrorMessage(botData) {
+    return botData.ai_error_message || DEFAULT_AI_ERROR_MESSAGE;
+}
+
+// Thrown by callAI and callAIWithMemory when no provider answered, so callers can tell outage from answer.
+// message - technical reason, userMessage - configured text to send to the chat
+class AIUnavailableError extends Error {
+    constructor(botData, reason) {
+        super(reason);
+        this.name = 'AIUnavailableError';
+        this.userMessage = getAIErrorMessage(botData);
+    }
+}
+
+// Text for the chat: AI answer or configured error message when AI is unavailable
+async function withAIErrorMessage(aiCall) {
+    try {
+        return await aiCall;
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            return error.userMessage;
+        }
+        throw error;
+    }
+}
+
+function isRetryableAIStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// Exponential backoff with full jitter, Retry-After (seconds) of 429/503 responses is respected
+function getAIRetryDelay(attempt, retryAfter) {
+    const retryAfterSeconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+        return Math.min(retryAfterSeconds * 1000, AI_RETRY_MAX_DELAY);
+    }
+    const ceiling = Math.min(AI_RETRY_BASE_DELAY * 2 ** (attempt - 1), AI_RETRY_MAX_DELAY);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Send AI request with retries and failover. requestOptions - buildRequest options without
+// connection fields (systemPrompt, messages, attachments, generation), chatId - for usage accounting.
+// Every attempt is saved to ai_requests, streamed answer is saved by caller after reading the stream.
+// Returns { data, target, provider, model, endpoint } or { error } when all providers failed.
+// model - name of the model actually requested
+// When streaming data is replaced by response, startedAt, keepAlive() and release(): the request is aborted
+// after timeout without new data, caller calls keepAlive() on each chunk and release() when the stream ends
+async function requestAIWithFailover(botData, requestOptions, { stream = false, chatId = null } = {}) {
+    const targets = getAITargets(botData);
+    const { values } = validateNumberSettings(FAILOVER_LIMITS, {}, botData);
+    const maxRetries = values ? values.ai_max_retries : FAILOVER_LIMITS.ai_max_retries.default;
+    const timeoutSeconds = values ? values.ai_timeout_seconds : FAILOVER_LIMITS.ai_timeout_seconds.default;
+    let lastError = 'AI не настроен';
+
+    for (const [targetIndex, target] of targets.entries()) {
+        const provider = getAIProvider(target);
+        if (!isAIConfigured(target, provider)) {
+            addLog('WARNING', 'API', `AI ${targetIndex === 0 ? 'primary provider' : `fallback ${targetIndex}`} skipped: provider is not configured`, {
+                botId: botData.id,
+                provider: provider.id,
+                model: target.ai_model
+            });
+            continue;
+        }
+
+        const request = provider.buildRequest({
+            ...requestOptions,
+            apiUrl: target.api_url,
+            apiKey: target.api_key,
+            model: target.ai_model,
+            stream: stream
+        });
+
+        for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+            const controller = new AbortController();
+            let timer = null;
+            const keepAlive = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+            };
+            const release = () => clearTimeout(timer);
+            keepAlive();
+            const startedAt = Date.now();
+            let streaming = false;
+            let statusCode = null;
+            let retryAfter = null;
+            let retryable = true;
+
+            try {
+                requestStats.apiCalls++;
+                const response = await fetch(request.endpoint, {
+                    method: 'POST',
+                    headers: request.headers,
+                    body: JSON.stringify(request.body),
+                    signal: controller.signal
+                });
+
+                if (response.ok) {
+                    // Streaming body is read by caller, timer stays armed until it calls release()
+                    const data = stream ? null : await response.json();
+                    streaming = stream;
+                    if (!stream) {
+                        recordAIRequest(botData, {
+                            chatId,
+                            model: request.model,
+                            provider,
+                            status: 'success',
+                            usage: provider.parseUsage(data),
+                            latencyMs: Date.now() - startedAt
+                        });
+                    }
+                    addLog('INFO', 'API', `AI attempt succeeded: ${provider.name} ${request.model}`, {
+                        botId: botData.id,
+                        provider: provider.id,
+                        model: request.model,
+                        fallbackIndex: targetIndex,
+                        attempt: attempt,
+                        durationMs: Date.now() - startedAt
+                    });
+                    return stream
+                        ? { response, target, provider, model: request.model, endpoint: request.endpoint, startedAt, keepAlive, release }
+                        : { data, target, provider, model: request.model, endpoint: request.endpoint };
+                }
+
+                statusCode = response.status;
+                retryAfter = response.headers.get('retry-after');
+                retryable = isRetryableAIStatus(statusCode);
+                lastError = `${provider.name} ${request.model}: HTTP ${statusCode} ${(await response.text()).substring(0, 500)}`;
+            } catch (error) {
+                lastError = `${provider.name} ${request.model}: ${error.name === 'AbortError' ? `таймаут ${timeoutSeconds} с` : error.message}`;
+            } finally {
+                if (!streaming) {
+                    release();
+                }
+            }
+
+            const willRetry = retryable && attempt <= maxRetries;
+            const delay = willRetry ? getAIRetryDelay(attempt, retryAfter) : 0;
+            recordAIRequest(botData, {
+                chatId,
+                model: request.model,
+                provider,
+                status: 'error',
+                latencyMs: Date.now() - startedAt,
+                error: lastError
+            });
+            addLog('WARNING', 'API', `AI attempt failed: ${provider.name} ${request.model}`, {
+                botId: botData.id,
+                endpoint: request.endpoint,
+                provider: provider.id,
+                model: request.model,
+                fallbackIndex: targetIndex,
+                attempt: attempt,
+                statusCode: statusCode,
+                durationMs: Date.now() - startedAt,
+                error: lastError,
+                retryInMs: willRetry ? delay : null
+            });
+            addPlaygroundTrace(botData, 'ai_attempt', {
+                provider: provider.id,
+                model: request.model,
+                attempt: attempt,
+                error: lastError
+            });
+
+            if (!willRetry) break;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    addLog('ERROR', 'API', `All AI providers failed for bot ${botData.id}`, {
+        botId: botData.id,
+        targets: targets.length,
+        error: lastError
+    });
+    return { error: lastError };
+}
+
+// Price of model: exact name or the longest price key the model name starts with
+// (gpt-4o prices cover gpt-4o-2024-08-06). prices - { model: { prompt, completion } } in USD per 1M tokens
+function findModelPrice(prices, model) {
+    if (Object.prototype.hasOwnProperty.call(prices, model)) {
+        return prices[model];
+    }
+    const key = Object.keys(prices)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? prices[key] : null;
+}
+
+// Price table is validated on save, invalid JSON here means no prices
+function parseModelPrices(value) {
+    try {
+        const prices = JSON.parse(value || '{}');
+        return prices && typeof prices === 'object' && !Array.isArray(prices) ? prices : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Returns error message or null
+function validateModelPrices(value) {
+    let prices;
+    try {
+        prices = JSON.parse(value || '{}');
+    } catch (error) {
+        return `Таблица цен: некорректный JSON (${error.message})`;
+    }
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+        return 'Таблица цен должна быть объектом {"модель": {"prompt": цена, "completion": цена}}';
+    }
+    for (const [model, price] of Object.entries(prices)) {
+        if (!price || typeof price !== 'object') {
+            return `Таблица цен: у модели ${model} должны быть поля prompt и completion`;
+        }
+        for (const field of ['prompt', 'completion']) {
+            if (typeof price[field] !== 'number' || !Number.isFinite(price[field]) || price[field] < 0) {
+                return `Таблица цен: ${model}.${field} должно быть неотрицательным числом`;
+            }
+        }
+    }
+    return null;
+}
+
+// Cost in USD, null when model has no price or provider did not report tokens
+function calculateAICost(prices, model, usage) {
+    const price = findModelPrice(prices, model);
+    if (!price || !usage || (usage.promptTokens === null && usage.completionTokens === null)) {
+        return null;
+    }
+    return ((usage.promptTokens || 0) * price.prompt + (usage.completionTokens || 0) * price.completion) / 1000000;
+}
+
+// Streamed usage comes in parts, later events override reported fields
+function mergeAIUsage(usage, update) {
+    if (!update) return usage;
+    return {
+        promptTokens: update.promptTokens ?? usage?.promptTokens ?? null,
+        completionTokens: update.completionTokens ?? usage?.completionTokens ?? null
+    };
+}
+
+// Save one provider attempt to ai_requests, errors are only logged
+function recordAIRequest(botData, { chatId = null, model, provider, status, usage = null, latencyMs, error = null }) {
+    // Requests without chat (command detection) in playground are still marked as playground ones
+    const requestChatId = chatId ?? (botData.playground ? botData.playground.chatId : null);
+
+    db.get(`SELECT value FROM settings WHERE key = 'ai_model_prices'`, (err, row) => {
+        const cost = status === 'success' ? calculateAICost(parseModelPrices(row?.value), model, usage) : null;
+        db.run(`INSERT INTO ai_requests (bot_id, chat_id, provider, model, status, prompt_tokens, completion_tokens, latency_ms, cost, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [botData.id || null, requestChatId !== null ? String(requestChatId) : null, provider.id, model, status,
+             usage?.promptTokens ?? null, usage?.completionTokens ?? null, latencyMs, cost, error ? error.substring(0, 500) : null],
+            (insertErr) => {
+                if (insertErr) {
+                    addLog('ERROR', 'DATABASE', 'Failed to save AI request usage', {
+                        botId: botData.id,
+                        error: insertErr.message
+                    });
+                }
+            }
+        );
+    });
+}
+
+// Group chats policy: mention - respond to @mention, reply to bot or slash command; all - respond to every message; disabled - ignore groups
+const GROUP_POLICIES = ['mention', 'all', 'disabled'];
+
+function isGroupChat(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+// Allowlist is stored as text with chat IDs separated by commas, spaces or new lines
+function parseGroupAllowlist(value) {
+    if (!value) return [];
+    return String(value).split(/[\s,;]+/).map(id => id.trim()).filter(Boolean);
+}
+
+function getSenderInfo(msg) {
+    if (!msg.from) return null;
+    const name = [msg.from.first_name, msg.from.last_name].filter(Boolean).join(' ') ||
+        (msg.from.username ? `@${msg.from.username}` : String(msg.from.id));
+    return {
+        id: msg.from.id,
+        name: name,
+        first_name: msg.from.first_name || '',
+        last_name: msg.from.last_name || '',
+        username: msg.from.username || '',
+        language_code: msg.from.language_code || ''
+    };
+}
+
+// Decide whether bot should react to a group message. Returns { respond, text, reason },
+// text has bot mention removed and "/command@bot_username" normalized to "/command"
+function getGroupTrigger(botData, msg) {
+    const policy = GROUP_POLICIES.includes(botData.group_policy) ? botData.group_policy : 'mention';
+    const text = msg.text || msg.caption || '';
+    const allowlist = parseGroupAllowlist(botData.group_allowlist);
+
+    if (policy === 'disabled') {
+        return { respond: false, text, reason: 'groups disabled' };
+    }
+    if (allowlist.length > 0 && !allowlist.includes(String(msg.chat.id))) {
+        return { respond: false, text, reason: 'chat not in allowlist' };
+    }
+
+    const username = (botData.telegram_username || '').toLowerCase();
+    const mentionPattern = username ? `@${username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b` : null;
+    const isMentioned = mentionPattern ? new RegExp(mentionPattern, 'i').test(text) : false;
+    const withoutMention = mentionPattern ? text.replace(new RegExp(mentionPattern, 'gi'), '').replace(/\s{2,}/g, ' ').trim() : text;
+
+    // Slash command, possibly addressed to a specific bot: /command@bot_username
+    const commandMatch = text.match(/^\/([a-zA-Z0-9_]+)(?:@([a-zA-Z0-9_]+))?(.*)$/s);
+    if (commandMatch) {
+        const [, command, addressee, rest] = commandMatch;
+        if (addressee && addressee.toLowerCase() !== username) {
+            return { respond: false, text, reason: 'command for another bot' };
+        }
+        return { respond: true, text: `/${command}${rest}`, reason: 'command' };
+    }
+
+    if (policy === 'all') {
+        return { respond: true, text: withoutMention || text, reason: 'all messages' };
+    }
+
+    if (isMentioned) {
+        return { respond: true, text: withoutMention || text, reason: 'mention' };
+    }
+
+    const repliedTo = msg.reply_to_message?.from;
+    if (repliedTo && ((botData.telegram_bot_id && repliedTo.id === botData.telegram_bot_id) ||
+        (username && (repliedTo.username || '').toLowerCase() === username))) {
+        return { respond: true, text, reason: 'reply' };
+    }
+
+    return { respond: false, text, reason: 'not addressed to bot' };
+}
+
+// Inline mode: "@bot query" in any chat returns database matches and an AI answer as inline articles
+const INLINE_MIN_QUERY_LENGTH = 3;
+const INLINE_DEBOUNCE_DELAY = 700; // Telegram sends a query on every keystroke, answer only the last one
+const INLINE_MAX_DATABASE_RESULTS = 5;
+const INLINE_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_INLINE_CACHE_SECONDS = 300;
+// System prompt with these template variables gives a different answer to each user
+const INLINE_PERSONAL_TEMPLATE_REGEX = /\{\{\s*(?:user|chat|chat_id|form)\b/;
+const inlineResultsCache = new Map();
+const inlineLatestQueries = new Map();
+
+function getCachedInlineResults(cacheKey) {
+    const cached = inlineResultsCache.get(cacheKey);
+    if (!cached) return null;
+    if (cached.expiresAt < Date.now()) {
+        inlineResultsCache.delete(cacheKey);
+        return null;
+    }
+    return cached.results;
+}
+
+function setCachedInlineResults(cacheKey, results, ttlSeconds) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    if (inlineResultsCache.size >= INLINE_CACHE_MAX_ENTRIES) {
+        inlineResultsCache.delete(inlineResultsCache.keys().next().value);
+    }
+    inlineResultsCache.set(cacheKey, { results, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+function clearInlineCache(botId) {
+    for (const cacheKey of inlineResultsCache.keys()) {
+        if (cacheKey.startsWith(`${botId}:`)) {
+            inlineResultsCache.delete(cacheKey);
+        }
+    }
+}
+
+function truncateText(text, maxLength) {
+    const value = String(text || '');
+    return value.length > maxLength ? value.substring(0, maxLength - 1) + '…' : value;
+}
+
+// Find records in bot database matching all words of the query
+function searchDatabaseForInline(database, query) {
+    if (!database || !database.content) return [];
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = (text) => words.every(word => text.toLowerCase().includes(word));
+    const results = [];
+
+    if (database.type === 'json') {
+        let data;
+        try {
+            data = JSON.parse(database.content);
+        } catch (error) {
+            return [];
+        }
+
+        // Collect objects from top-level arrays: [...] or { "products": [...], ... }
+        const items = Array.isArray(data)
+            ? data
+            : Object.values(data || {}).filter(Array.isArray).flat();
+
+        items.filter(item => item && typeof item === 'object' && matches(JSON.stringify(item)))
+            .slice(0, INLINE_MAX_DATABASE_RESULTS)
+            .forEach(item => {
+                const title = item.name || item.title || Object.values(item).find(value => typeof value === 'string') || 'Запись';
+                const lines = Object.entries(item)
+                    .filter(([, value]) => value === null || typeof value !== 'object')
+                    .map(([key, value]) => `${key}: ${value}`);
+                results.push({
+                    title: truncateText(title, 100),
+                    description: truncateText(lines.join(', '), 200),
+                    text: lines.join('\n')
+                });
+            });
+    } else {
+        database.content.split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph && matches(paragraph))
+            .slice(0, INLINE_MAX_DATABASE_RESULTS)
+            .forEach(paragraph => {
+                const [firstLine, ...rest] = paragraph.split('\n');
+                results.push({
+                    title: truncateText(firstLine, 100),
+                    description: truncateText(rest.join(' ') || firstLine, 200),
+                    text: paragraph
+                });
+            });
+    }
+
+    return results;
+}
+
+async function buildInlineResults(botData, query, templateContext = {}) {
+    const results = [];
+
+    if (botData.database_id) {
+        const database = await new Promise((resolve) => {
+            db.get('SELECT * FROM databases WHERE id = ?', [botData.database_id], (err, row) => {
+                resolve(err ? null : row);
+            });
+        });
+
+        searchDatabaseForInline(database, query).forEach((match, index) => {
+            results.push({
+                type: 'article',
+                id: `db-${index}`,
+                title: match.title,
+                description: match.description,
+                input_message_content: { message_text: truncateText(match.text, 4096) }
+            });
+        });
+    }
+
+    // Same provider call path as regular messages. Without AI answer results are incomplete and not cached
+    let aiResponse;
+    try {
+        aiResponse = await callAI(botData, query, [], templateContext);
+    } catch (error) {
+        if (!(error instanceof AIUnavailableError)) throw error;
+        return { results, complete: false };
+    }
+    results.push({
+        type: 'article',
+        id: 'ai',
+        title: `Ответ: ${truncateText(query, 60)}`,
+        description: truncateText(aiResponse, 200),
+        input_message_content: { message_text: truncateText(aiResponse, 4096) }
+    });
+
+    return { results, complete: true };
+}
+
+// Create inline query handler for bot that always uses fresh data from database
+function createInlineQueryHandler(initialBotData) {
+    return async (inlineQuery) => {
+        const query = (inlineQuery.query || '').trim();
+        const userKey = `${initialBotData.id}:${inlineQuery.from.id}`;
+        inlineLatestQueries.set(userKey, inlineQuery.id);
+
+        const telegramBot = activeBots.get(initialBotData.id);
+        if (!telegramBot) return;
+
+        const freshBotData = await new Promise((resolve) => {
+            db.get('SELECT * FROM bots WHERE id = ?', [initialBotData.id], (err, row) => resolve(err ? null : row));
+        });
+
+        if (!freshBotData || !freshBotData.inline_enabled || query.length < INLINE_MIN_QUERY_LENGTH) {
+            return telegramBot.answerInlineQuery(inlineQuery.id, [], { cache_time: 0 }).catch(() => {});
+        }
+
+        // Wait for user to stop typing
+        await new Promise(resolve => setTimeout(resolve, INLINE_DEBOUNCE_DELAY));
+        if (inlineLatestQueries.get(userKey) !== inlineQuery.id) {
+            return;
+        }
+        inlineLatestQueries.delete(userKey);
+
+        // Same template context as a private chat with the user. Answers that depend on the user
+        // are cached per user, on our side and in Telegram (is_personal)
+        const sender = getSenderInfo(inlineQuery);
+        const templateContext = { chatId: inlineQuery.from.id, sender: sender };
+        const personal = INLINE_PERSONAL_TEMPLATE_REGEX.test(freshBotData.system_prompt || '');
+
+        const cacheSeconds = freshBotData.inline_cache_seconds ?? DEFAULT_INLINE_CACHE_SECONDS;
+        const cacheKey = `${freshBotData.id}:${personal ? `${inlineQuery.from.id}:` : ''}${query.toLowerCase()}`;
+
+        try {
+            let results = getCachedInlineResults(cacheKey);
+            const fromCache = !!results;
+            let cacheTime = cacheSeconds;
+
+            if (!results) {
+                const built = await buildInlineResults(freshBotData, query, templateContext);
+                results = built.results;
+                if (!built.complete) {
+                    cacheTime = 0;
+                } else if (cacheSeconds > 0) {
+                    setCachedInlineResults(cacheKey, results, cacheSeconds);
+                }
+            }
+
+            addLog('INFO', 'BOT', `INLINE QUERY: "${query}"`, {
+                botId: freshBotData.id,
+                botName: freshBotData.name,
+                resultsCount: results.length,
+                fromCache: fromCache
+            });
+
+            await telegramBot.answerInlineQuery(inlineQuery.id, results, { cache_time: cacheTime, is_personal: personal });
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Failed to answer inline query for bot ${freshBotData.name}`, {
+                botId: freshBotData.id,
+                query: query,
+                error: error.message
+            });
+        }
+    };
+}
+
+// Create message handler for bot that always uses fresh data from database
+function createBotMessageHandler(initialBotData) {
+    return async (msg) => {
+        const messageText = msg.text;
+
+        // Get fresh bot data from database for each message
+        db.get('SELECT * FROM bots WHERE id = ?', [initialBotData.id], async (err, freshBotData) => {
+            if (err || !freshBotData) {
+                console.error('Error getting fresh bot data:', err);
+                return;
+            }
+
+            // Check if bot is still supposed to be running
+            if (!freshBotData.is_running) {
+                addLog('WARNING', 'BOT', `Bot ${freshBotData.name} received message but is marked as stopped, ignoring`, {
+                    botId: freshBotData.id,
+                    botName: freshBotData.name,
+                    messageText: messageText
+                });
+                return;
+            }
+
+            // Check if bot is still in activeBots
+            if (!activeBots.has(initialBotData.id)) {
+                addLog('WARNING', 'BOT', `Bot ${freshBotData.name} received message but is not in activeBots, ignoring`, {
+                    botId: freshBotData.id,
+                    botName: freshBotData.name,
+                    messageText: messageText
+                });
+                return;
+            }
+
+            await processBotMessage(freshBotData, msg);
+        });
+    };
+}
+
+// Message pipeline: group filter, form answers, media, multi-command context, commands and AI reply.
+// Used by Telegram handler and by playground
+async function processBotMessage(botData, msg) {
+    const chatId = msg.chat.id;
+    let messageText = msg.text;
+
+    // In groups bot reacts only to messages addressed to it (see group_policy)
+    const isGroup = isGroupChat(msg.chat);
+    if (isGroup) {
+        const trigger = getGroupTrigger(botData, msg);
+        if (!trigger.respond) {
+            addLog('INFO', 'BOT', `Group message ignored: ${trigger.reason}`, {
+                botId: botData.id,
+                chatId: chatId,
+                reason: trigger.reason
+            });
+            return;
+        }
+
+        if (messageText) {
+            messageText = trigger.text;
+        } else if (msg.caption) {
+            msg = { ...msg, caption: trigger.text };
+        }
+    }
+
+    // Chat is handled by operator: messages go to the panel, commands and AI are paused
+    const handoff = await getChatHandoff(botData.id, chatId);
+    if (handoff) {
+        await recordHandoffMessage(botData.id, chatId, 'user', describeHandoffMessage(msg, messageText));
+        addPlaygroundTrace(botData, 'handoff', { status: handoff.status });
+        return;
+    }
+
+    const handoffTrigger = matchHandoffTrigger(botData, messageText);
+    if (handoffTrigger) {
+        try {
+            await startHandoff(botData, chatId, { sender: getSenderInfo(msg), text: messageText, trigger: handoffTrigger });
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Error starting operator handoff for bot ${botData.name}`, {
+                botId: botData.id,
+                chatId: chatId,
+                error: error.message
+            });
+        }
+        return;
+    }
+
+    // Unfinished form takes the message as an answer (contact is accepted for phone fields).
+    // In groups only the user who started the form answers it, other members are handled as usual
+    const formSession = await getFormSession(botData.id, chatId);
+    if (formSession && isFormSessionOwner(formSession, getSenderInfo(msg))) {
+        addPlaygroundTrace(botData, 'form', { commandId: formSession.command_id, field: formSession.step });
+        try {
+            await handleFormAnswer(botData, formSession, msg, messageText);
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Error processing form answer for bot ${botData.name}`, {
+                botId: botData.id,
+                chatId: chatId,
+                error: error.message
+            });
+        }
+        return;
+    }
+
+    if (!messageText) {
+        const telegramBot = getTelegramClient(botData);
+        if (telegramBot) {
+            try {
+                await handleMediaMessage(telegramBot, botData, msg);
+            } catch (error) {
+                console.error(`Error processing media message for bot ${botData.name}:`, error);
+                telegramBot.sendMessage(chatId, 'Извините, произошла ошибка при обработке вашего сообщения.');
+            }
+        }
+        return;
+    }
+
+    addLog('INFO', 'BOT', `USER MESSAGE: "${messageText}"`, {
+        botId: botData.id,
+        botName: botData.name,
+        messageLength: messageText.length,
+        fullUserMessage: messageText
+    });
+
+    try {
+        // Check if we're in a multi-command context
+        const context = await getMultiCommandContext(botData.id, chatId);
+        const currentMultiCommandId = context ? context.command_id : null;
+        if (context) {
+            addPlaygroundTrace(botData, 'context', { multiCommand: context.command_name });
+        }
+
+        if (context && await handleMultiCommandExit(botData, context, chatId, messageText)) {
+            addPlaygroundTrace(botData, 'context_exit', { multiCommand: context.command_name });
+            return;
+        }
+        
+        // Check if message contains a custom command (with context)
+        const commandExecuted = await checkAndExecuteCommand(botData, messageText, chatId, currentMultiCommandId, {
+            sender: getSenderInfo(msg),
+            chat: msg.chat
+        });
+        
+        if (!commandExecuted) {
+            // Get AI response using fresh bot data and chat history
+            const aiResponse = await withAIErrorMessage(callAIWithMemory(botData, messageText, chatId, {
+                sender: getSenderInfo(msg),
+                chat: msg.chat,
+                isGroup: isGroup
+            }));
+            
+            addLog('SUCCESS', 'BOT', `AI RESPONSE: "${aiResponse}"`, {
+                botId: botData.id,
+                fullUserMessage: messageText,
+                fullAiResponse: aiResponse,
+                responseLength: aiResponse.length
+            });
+            
+            const telegramBot = getTelegramClient(botData);
+            if (telegramBot) {
+                // In groups answer as a reply so it's clear who the response is for
+                telegramBot.sendMessage(chatId, aiResponse, isGroup ? { reply_to_message_id: msg.message_id } : {});
+            }
+        }
+    } catch (error) {
+        const telegramBot = getTelegramClient(botData);
+        // AI command detection failed: the answer would go through the same failover chain, report outage at once
+        if (error instanceof AIUnavailableError) {
+            if (telegramBot) {
+                telegramBot.sendMessage(chatId, error.userMessage, isGroupChat(msg.chat) ? { reply_to_message_id: msg.message_id } : {});
+            }
+            return;
+        }
+        console.error(`Error processing message for bot ${botData.name}:`, error);
+        if (telegramBot) {
+            telegramBot.sendMessage(chatId, 'Извините, произошла ошибка при обработке вашего сообщения.');
+        }
+    }
+}
+
+// Command triggers declared in command JSON:
+// "triggers": { "commands": ["/menu"], "keywords": ["меню", "каталог"], "patterns": ["^покажи\\s+товары"], "callbacks": ["product:{id}"] }
+// "/<command name>" always triggers the command
+function getCommandTriggers(command) {
+    let triggers = {};
+    try {
+        triggers = JSON.parse(command.json_code).triggers || {};
+    } catch (error) {
+        triggers = {};
+    }
+
+    const toList = (value) => (Array.isArray(value) ? value : (value ? [value] : []))
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim());
+
+    const slashCommands = toList(triggers.commands).map(name => name.replace(/^\//, '').toLowerCase());
+    slashCommands.push(command.name.toLowerCase());
+
+    return {
+        commands: [...new Set(slashCommands)],
+        keywords: toList(triggers.keywords).map(keyword => keyword.toLowerCase()),
+        patterns: toList(triggers.patterns),
+        callbacks: toList(triggers.callbacks)
+    };
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Match message against command triggers locally: slash commands first, then regex patterns,
+// then keywords (whole words only, the longest keyword wins). Returns { command, trigger } or null
+function matchCommandTriggers(commands, userMessage, botId = null) {
+    const text = userMessage.trim();
+    const lowerText = text.toLowerCase();
+    const withTriggers = commands.map(command => ({ command, triggers: getCommandTriggers(command) }));
+
+    // "/command args" - only the command part is compared
+    const slashMatch = lowerText.match(/^\/([^\s@]+)/);
+    if (slashMatch) {
+        const found = withTriggers.find(({ triggers }) => triggers.commands.includes(slashMatch[1]));
+        if (found) {
+            return { command: found.command, trigger: `/${slashMatch[1]}` };
+        }
+    }
+
+    for (const { command, triggers } of withTriggers) {
+        for (const pattern of triggers.patterns) {
+            try {
+                if (new RegExp(pattern, 'iu').test(text)) {
+                    return { command, trigger: `pattern ${pattern}` };
+                }
+            } catch (error) {
+                addLog('WARNING', 'BOT', `Invalid trigger pattern in command ${command.name}: ${pattern}`, {
+                    botId: botId,
+                    commandName: command.name,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    let bestMatch = null;
+    for (const { command, triggers } of withTriggers) {
+        for (const keyword of triggers.keywords) {
+            const keywordRegex = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}_])`, 'iu');
+            if (keywordRegex.test(lowerText) && (!bestMatch || keyword.length > bestMatch.keyword.length)) {
+                bestMatch = { command, keyword };
+            }
+        }
+    }
+
+    return bestMatch ? { command: bestMatch.command, trigger: `keyword ${bestMatch.keyword}` } : null;
+}
+
+// Find command named in AI classification answer. Exact name match is preferred,
+// otherwise the longest command name found as a separate word
+function findCommandInAIResponse(commands, aiResponse) {
+    const normalized = aiResponse.trim().toLowerCase().replace(/^["'`/\s]+|["'`.\s]+$/g, '');
+    if (!normalized || normalized === 'нет') {
+        return null;
+    }
+
+    const exact = commands.find(cmd => cmd.name.toLowerCase() === normalized);
+    if (exact) {
+        return exact;
+    }
+
+    const words = normalized.match(/[\p{L}\p{N}_-]+/gu) || [];
+    if (words.includes('нет')) {
+        return null;
+    }
+
+    return commands
+        .filter(cmd => words.includes(cmd.name.toLowerCase()))
+        .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+// Telegram command menu (setMyCommands): active top-level commands are pushed to Telegram on bot start
+// and after command changes. Per-command settings in command JSON:
+// "menu": { "hidden": false, "command": "menu", "scopes": ["private", "group"], "descriptions": { "en": "Open menu" } }
+const TELEGRAM_COMMAND_SCOPES = { private: 'all_private_chats', group: 'all_group_chats' };
+const TELEGRAM_COMMAND_NAME_REGEX = /^[a-z0-9_]{1,32}$/;
+const TELEGRAM_COMMANDS_LIMIT = 100;
+const COMMANDS_SYNC_DELAY = 2000;
+const commandsSyncTimers = new Map();
+
+// Build command lists for every scope and language. Returns { targets, skipped }
+function buildTelegramCommandMenu(commands) {
+    const entries = [];
+    const skipped = [];
+    const languages = new Set();
+
+    commands
+        .filter(command => command.is_active && !command.parent_multi_command_id)
+        .forEach(command => {
+            let menu = {};
+            try {
+                menu = JSON.parse(command.json_code).menu || {};
+            } catch (error) {
+                menu = {};
+            }
+
+            if (menu.hidden) {
+                skipped.push({ name: command.name, reason: 'Скрыта из меню' });
+                return;
+            }
+
+            const name = String(menu.command || command.name).replace(/^\//, '').toLowerCase();
+            if (!TELEGRAM_COMMAND_NAME_REGEX.test(name)) {
+                skipped.push({ name: command.name, reason: 'Имя должно содержать только a-z, 0-9 и _ (до 32 символов), задайте menu.command' });
+                return;
+            }
+
+            const descriptions = {};
+            Object.entries(menu.descriptions || {}).forEach(([language, text]) => {
+                if (/^[a-z]{2}$/.test(language) && typeof text === 'string' && text.trim()) {
+                    descriptions[language] = text.trim().substring(0, 256);
+                    languages.add(language);
+                }
+            });
+
+            const scopes = Array.isArray(menu.scopes)
+                ? menu.scopes.filter(scope => TELEGRAM_COMMAND_SCOPES[scope])
+                : Object.keys(TELEGRAM_COMMAND_SCOPES);
+
+            entries.push({
+                command: name,
+                description: (command.description || command.name).trim().substring(0, 256),
+                descriptions: descriptions,
+                scopes: scopes
+            });
+        });
+
+    const targets = [];
+    Object.keys(TELEGRAM_COMMAND_SCOPES).forEach(scope => {
+        ['', ...languages].forEach(language => {
+            const scopeCommands = entries
+                .filter(entry => entry.scopes.includes(scope))
+                .slice(0, TELEGRAM_COMMANDS_LIMIT)
+                .map(entry => ({
+                    command: entry.command,
+                    description: (language && entry.descriptions[language]) || entry.description
+                }));
+
+            if (scopeCommands.length > 0) {
+                targets.push({ scope: scope, language_code: language, commands: scopeCommands });
+            }
+        });
+    });
+
+    return { targets, skipped };
+}
+
+function getCommandsSyncState(bot) {
+    try {
+        return bot.commands_sync_state ? JSON.parse(bot.commands_sync_state) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveCommandsSyncState(botId, state) {
+    db.run('UPDATE bots SET commands_sync_state = ? WHERE id = ?', [JSON.stringify(state), botId], (err) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to save commands sync state', {
+                botId: botId,
+                error: err.message
+            });
+        }
+    });
+}
+
+// Push command menu to Telegram. Lists synced earlier but now empty are deleted
+async function syncTelegramCommands(botId, telegramBot = null) {
+    const bot = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM bots WHERE id = ?', [botId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+    if (!bot) {
+        throw new Error('Bot not found');
+    }
+
+    const commands = await new Promise((resolve, reject) => {
+        db.all('SELECT * FROM bot_commands WHERE bot_id = ? ORDER BY created_at ASC, id ASC', [botId], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+
+    // Stopped bot can be synced too - API calls don't need polling
+    const client = telegramBot || activeBots.get(botId) || createTelegramBot(bot.telegram_token, 'webhook');
+    const { targets, skipped } = buildTelegramCommandMenu(commands);
+    const previousTargets = getCommandsSyncState(bot)?.targets || [];
+    const targetKey = (target) => `${target.scope}:${target.language_code}`;
+    const toForm = (target) => {
+        const form = { scope: { type: TELEGRAM_COMMAND_SCOPES[target.scope] } };
+        if (target.language_code) form.language_code = target.language_code;
+        return form;
+    };
+
+    try {
+        for (const target of targets) {
+            await client.setMyCommands(target.commands, toForm(target));
+        }
+
+        // deleteMyCommands doesn't serialize scope itself
+        const currentKeys = targets.map(targetKey);
+        for (const target of previousTargets.filter(previous => !currentKeys.includes(targetKey(previous)))) {
+            const form = toForm(target);
+            await client.deleteMyCommands({ ...form, scope: JSON.stringify(form.scope) });
+        }
+    } catch (error) {
+        saveCommandsSyncState(botId, {
+            syncedAt: getCommandsSyncState(bot)?.syncedAt || null,
+            targets: previousTargets,
+            error: error.message
+        });
+        addLog('ERROR', 'TELEGRAM', `Failed to sync command menu for bot ${bot.name}`, {
+            botId: botId,
+            error: error.message
+        });
+        throw error;
+    }
+
+    const state = {
+        syncedAt: new Date().toISOString(),
+        targets: targets.map(target => ({ scope: target.scope, language_code: target.language_code, count: target.commands.length })),
+        error: null
+    };
+    saveCommandsSyncState(botId, state);
+
+    addLog('SUCCESS', 'TELEGRAM', `Command menu synced for bot ${bot.name}`, {
+        botId: botId,
+        targets: state.targets,
+        skipped: skipped.length
+    });
+
+    return { ...state, skipped };
+}
+
+// Debounced sync after command changes, only for running bots
+function scheduleTelegramCommandsSync(botId) {
+    if (!activeBots.has(botId)) return;
+
+    clearTimeout(commandsSyncTimers.get(botId));
+    commandsSyncTimers.set(botId, setTimeout(() => {
+        commandsSyncTimers.delete(botId);
+        syncTelegramCommands(botId).catch(() => {
+            // Error is logged and saved in commands_sync_state
+        });
+    }, COMMANDS_SYNC_DELAY));
+}
+
+// Check if message contains a command and execute it
+// input: { sender, chat } of the message, passed to executed command
+// Rejects with AIUnavailableError when AI command detection could not get an answer
+async function checkAndExecuteCommand(botData, userMessage, chatId, currentMultiCommandId = null, input = {}) {
+    return new Promise((resolve, reject) => {
+        // Get commands based on context
+        let query, params;
+        
+        if (currentMultiCommandId) {
+            // If we're in a multi-command context, get commands from that multi-command
+            db.get('SELECT allow_external_commands FROM bot_commands WHERE id = ? AND bot_id = ?', 
+                [currentMultiCommandId, botData.id], 
+                (err, multiCommand) => {
+                    if (err || !multiCommand) {
+                        return resolve(false);
+                    }
+                    
+                    if (multiCommand.allow_external_commands) {
+                        // Allow both internal and external commands
+                        query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND (parent_multi_command_id = ? OR parent_multi_command_id IS NULL)';
+                        params = [botData.id, currentMultiCommandId];
+                    } else {
+                        // Only internal commands of this multi-command
+                        query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1 AND parent_multi_command_id = ?';
+                        params = [botData.id, currentMultiCommandId];
+                    }
+                    
+                    executeCommandCheck(query, params, botData, userMessage, chatId, resolve, currentMultiCommandId, input, reject);
+                }
+            );
+        } else {
+            // Normal mode - get all active commands (including multi-commands)
+            query = 'SELECT * FROM bot_commands WHERE bot_id = ? AND is_active = 1';
+            params = [botData.id];
+            executeCommandCheck(query, params, botData, userMessage, chatId, resolve, null, input, reject);
+        }
+    });
+}
+
+function executeCommandCheck(query, params, botData, userMessage, chatId, resolve, currentMultiCommandId = null, messageInput = {}, reject = null) {
+    db.all(query, params, async (err, commands) => {
+        if (err || !commands || commands.length === 0) {
+            return resolve(false);
+        }
+
+        const input = { ...messageInput, text: userMessage };
+
+        try {
+            // Exact triggers are checked locally, without AI request
+            const localMatch = matchCommandTriggers(commands, userMessage, botData.id);
+            addPlaygroundTrace(botData, 'triggers', {
+                availableCommands: commands.map(command => command.name),
+                command: localMatch ? localMatch.command.name : null,
+                trigger: localMatch ? localMatch.trigger : null
+            });
+            if (localMatch) {
+                addLog('SUCCESS', 'BOT', `COMMAND TRIGGERED: ${localMatch.command.name} by ${localMatch.trigger}`, {
+                    botId: botData.id,
+                    commandName: localMatch.command.name,
+                    trigger: localMatch.trigger,
+                    fullUserMessage: userMessage
+                });
+
+                if (localMatch.command.is_multi_command) {
+                    await executeCommand(botData, localMatch.command, chatId, null, true, input);
+                } else {
+                    await executeCommand(botData, localMatch.command, chatId, null, false, input);
+                }
+                return resolve(true);
+            }
+
+            // AI classification is an optional fallback
+            if (botData.ai_command_detection === 0) {
+                return resolve(false);
+            }
+
+            // Ask AI to check if the message requests a command
+            const commandCheckPrompt = `Проанализируй сообщение пользователя и определи, просит ли он выполнить одну из доступных команд.
+
+Доступные команды:
+${commands.map(cmd => `- ${cmd.name}: ${cmd.description}`).join('\n')}
+
+Сообщение пользователя: "${userMessage}"
+
+Если пользователь просит выполнить команду, ответь ТОЛЬКО названием команды (например: "open_menu").
+Если команда не запрашивается, ответь "НЕТ".
+
+Ответ:`;
+
+            const aiResponse = await callAI({
+                ...botData,
+                system_prompt: 'Ты помощник для определения команд. Отвечай кратко и точно.'
+            }, commandCheckPrompt);
+
+            // Log user message and AI response for debugging
+            addLog('INFO', 'BOT', `COMMAND CHECK - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
+                botId: botData.id,
+                fullUserMessage: userMessage,
+                fullAiResponse: aiResponse.trim(),
+                availableCommands: commands.map(cmd => cmd.name).join(', ')
+            });
+
+            // Check if AI identified a command
+            const requestedCommand = findCommandInAIResponse(commands, aiResponse);
+            addPlaygroundTrace(botData, 'command_detection', {
+                aiResponse: aiResponse.trim(),
+                command: requestedCommand ? requestedCommand.name : null
+            });
+
+            if (requestedCommand) {
+                addLog('SUCCESS', 'BOT', `COMMAND EXECUTED: ${requestedCommand.name} - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
+                    botId: botData.id,
+                    commandName: requestedCommand.name,
+                    fullUserMessage: userMessage,
+                    fullAiResponse: aiResponse.trim()
+                });
+
+                // Check if this is a multi-command
+                if (requestedCommand.is_multi_command) {
+                    // Execute multi-command welcome message
+                    await executeCommand(botData, requestedCommand, chatId, null, true, input);
+                } else {
+                    // First, let AI respond to the user naturally
+                    // Confirmation is optional, command is executed even if AI is unavailable now
+                    const naturalResponse = await callAI({
+                        ...botData,
+                        system_prompt: `Ты дружелюбный помощник. Пользователь просит "${requestedCommand.description || requestedCommand.name}". 
+
+ВАЖНО: Просто кратко подтверди что выполняешь просьбу (1-2 предложения). НЕ создавай никакого меню или списка - это будет показано автоматически после твоего ответа.
+
+Отвечай на запросы о меню коротко и дружелюбно, но без строгого следования шаблону. Важно, чтобы суть была ясна, а тон оставался helpful и непринуждённым. Можешь использовать разные формулировки, легкий юмор или даже смайлы — главное, чтобы ответ был понятным и человечным."
+
+Примеры ответов:
+"Уже открываю! Вот менюшка 😊"
+"Лови список разделов — выбирай, что нравится!"
+"Сейчас будет... барабанная дробь... меню!"
+"Один момент, подгружаю вариантики для вас."
+"Готово! Что из этого вам подойдёт?"
+
+НЕ пиши списки, пункты меню или кнопки - только подтверждение!`
+                    }, userMessage).catch(error => {
+                        if (error instanceof AIUnavailableError) return null;
+                        throw error;
+                    });
+
+                    addLog('SUCCESS', 'BOT', `NATURAL AI RESPONSE BEFORE COMMAND: "${naturalResponse}"`, {
+                        botId: botData.id,
+                        commandName: requestedCommand.name,
+                        naturalResponse: naturalResponse
+                    });
+
+                    const telegramBot = getTelegramClient(botData);
+                    if (telegramBot) {
+                        if (naturalResponse) {
+                            // Send natural response first
+                            await telegramBot.sendMessage(chatId, naturalResponse);
+                            
+                            // Small delay before showing menu
+                            await new Promise(resolve => setTimeout(resolve, 500));
+                        }
+                        
+                        // Then execute the command
+                        await executeCommand(botData, requestedCommand, chatId, null, false, input);
+                    }
+                }
+                
+                return resolve(true);
+            } else {
+                addLog('INFO', 'BOT', `NO COMMAND - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
+                    botId: botData.id,
+                    fullUserMessage: userMessage,
+                    fullAiResponse: aiResponse.trim(),
+                    reason: 'AI did not identify any command'
+                });
+            }
+
+            return resolve(false);
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Error checking commands for bot ${botData.id}`, {
+                error: error.message,
+                botId: botData.id
+            });
+            // AI answer would fail the same way, caller reports outage instead of asking AI again
+            if (error instanceof AIUnavailableError && reject) {
+                return reject(error);
+            }
+            return resolve(false);
+        }
+    });
+}
+
+// Templates in command texts, button labels and system prompt: {{user.first_name}}, {{chat.id}}, {{date}},
+// {{db.products[0].name}}, {{form.phone}}. Missing values are rendered empty and logged,
+// unknown variables are rejected when command is saved
+const TEMPLATE_PLACEHOLDER_REGEX = /\{\{([^{}]*)\}\}/g;
+const TEMPLATE_PATH_REGEX = /^[\p{L}\w]+(?:\.[\p{L}\w]+|\[\d+\])*$/u;
+const TEMPLATE_ROOTS = ['user', 'chat', 'bot', 'date', 'time', 'datetime', 'db', 'form', 'params', 'args', 'message', 'response', 'chat_id',
+    'item', 'index', 'page', 'pages', 'total', 'vars'];
+
+// "db.products[0].name" -> ['db', 'products', '0', 'name'], null for invalid path
+function parseTemplatePath(path) {
+    if (!TEMPLATE_PATH_REGEX.test(path)) return null;
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.');
+}
+
+// Read nested value, only own properties are visible to templates
+function getValueByPath(source, path) {
+    const keys = parseTemplatePath(path);
+    if (!keys) return undefined;
+    return keys.reduce((value, key) => (
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+    ), source);
+}
+
+// Replace {{path}} placeholders with values, objects are inserted as JSON.
+// escape is applied to inserted values only, missing paths are collected into missing array
+function renderTemplate(template, variables, { escape = null, missing = null } = {}) {
+    return String(template).replace(TEMPLATE_PLACEHOLDER_REGEX, (match, rawPath) => {
+        const path = rawPath.trim();
+        const value = getValueByPath(variables, path);
+        if (value === undefined || value === null) {
+            if (missing && !missing.includes(path)) missing.push(path);
+            return '';
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return escape ? escape(text) : text;
+    });
+}
+
+// Escape inserted values for Telegram parse_mode so user data can't break markup
+function getTemplateEscape(parseMode) {
+    if (parseMode === 'HTML') {
+        return (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    if (parseMode === 'MarkdownV2') {
+        return (value) => value.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+    }
+    if (parseMode === 'Markdown') {
+        return (value) => value.replace(/[_*`[]/g, '\\$&');
+    }
+    return null;
+}
+
+// Check placeholders in every string of command JSON. Returns list of { path, message }
+function validateTemplates(value, errors = [], path = '') {
+    if (typeof value === 'string') {
+        for (const [match, rawPath] of value.matchAll(TEMPLATE_PLACEHOLDER_REGEX)) {
+            const keys = parseTemplatePath(rawPath.trim());
+            if (!keys) {
+                errors.push({ path, message: `${match}: некорректный путь переменной` });
+            } else if (!TEMPLATE_ROOTS.includes(keys[0])) {
+                errors.push({ path, message: `${match}: неизвестная переменная "${keys[0]}", доступны ${TEMPLATE_ROOTS.join(', ')}` });
+            }
+        }
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => validateTemplates(item, errors, joinJsonPath(path, key, Array.isArray(value))));
+    }
+    return errors;
+}
+
+function buildTemplateVariables(botData, { chatId = null, chat = null, sender = null, database = null, form = null } = {}) {
+    const now = new Date();
+    let databaseValue = null;
+    if (database && database.content) {
+        if (database.type === 'json') {
+            try {
+                databaseValue = JSON.parse(database.content);
+            } catch (error) {
+                databaseValue = null;
+            }
+        } else {
+            databaseValue = database.content;
+        }
+    }
+
+    return {
+        user: sender || {},
+        chat: { ...(chat || {}), id: chatId },
+        chat_id: chatId,
+        bot: { id: botData.id, name: botData.name, username: botData.telegram_username },
+        date: now.toLocaleDateString('ru-RU'),
+        time: now.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }),
+        datetime: now.toLocaleString('ru-RU'),
+        db: databaseValue,
+        form: form || {}
+    };
+}
+
+// Load bot database and latest form answers of the sender in this chat for templates.
+// In groups answers of other members are never shown, without sender there are no answers
+async function loadTemplateVariables(botData, { chatId = null, chat = null, sender = null, form = null } = {}) {
+    const database = botData.database_id ? await new Promise((resolve) => {
+        db.get('SELECT * FROM databases WHERE id = ?', [botData.database_id], (err, row) => resolve(err ? null : row));
+    }) : null;
+
+    let formAnswers = form;
+    if (!formAnswers && chatId !== null && sender) {
+        formAnswers = await new Promise((resolve) => {
+            db.get('SELECT answers FROM form_submissions WHERE bot_id = ? AND chat_id = ? AND user_id = ? ORDER BY id DESC LIMIT 1',
+                [botData.id, String(chatId), sender.id], (err, row) => {
+                    try {
+                        resolve(row ? JSON.parse(row.answers) : null);
+                    } catch (error) {
+                        resolve(null);
+                    }
+                });
+        });
+    }
+
+    return buildTemplateVariables(botData, { chatId, chat, sender, database, form: formAnswers });
+}
+
+// Render labels and callback data of keyboard rows, reply keyboard buttons may be plain strings
+function renderButtonRows(buttons, variables, missing) {
+    return (buttons || []).map(row => row.map(button => {
+        if (typeof button === 'string') {
+            return renderTemplate(button, variables, { missing });
+        }
+        const rendered = { ...button, text: renderTemplate(button.text || '', variables, { missing }) };
+        if (typeof button.callback_data === 'string') {
+            rendered.callback_data = renderTemplate(button.callback_data, variables, { missing });
+        }
+        return rendered;
+    }));
+}
+
+function logMissingTemplateVariables(botData, source, missing) {
+    if (missing.length === 0) return;
+    addLog('WARNING', 'BOT', `Template variables not found in ${source}: ${missing.join(', ')}`, {
+        botId: botData.id,
+        source: source,
+        missing: missing
+    });
+}
+
+// Bot system prompt with template variables ({{user.first_name}}, {{date}}, {{db...}})
+function renderSystemPrompt(botData, database, context = {}) {
+    const missing = [];
+    const text = renderTemplate(botData.system_prompt.trim(), buildTemplateVariables(botData, { ...context, database }), { missing });
+    logMissingTemplateVariables(botData, 'system prompt', missing);
+    return text;
+}
+
+// List commands: "type": "list" shows items from JSON database page by page.
+// "source": "products" - path in bot database ("database_id" selects another one), "page_size": 5,
+// "item_template": "{{item.name}} — {{item.price}}", "button_template": "{{item.name}}",
+// "detail_template": "{{item.name}}\nЦена: {{item.price}}", "detail_buttons": [[...]], "empty_text": "..."
+// Navigation buttons call the same command with "<name>:page:<n>" and "<name>:item:<key>:<page>"
+const LIST_DEFAULT_PAGE_SIZE = 5;
+const LIST_MAX_PAGE_SIZE = 20;
+
+function isListCommand(command) {
+    try {
+        return JSON.parse(command.json_code).type === 'list';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Navigation callbacks of list command. Returns params or null
+function matchListCallback(command, data) {
+    const prefix = `${command.name}:`;
+    if (!data.startsWith(prefix) || !isListCommand(command)) {
+        return null;
+    }
+
+    const rest = data.substring(prefix.length);
+    const pageMatch = rest.match(/^page:(\d+)$/);
+    if (pageMatch) {
+        return { page: pageMatch[1] };
+    }
+    const itemMatch = rest.match(/^item:([^:]+):(\d+)$/);
+    if (itemMatch) {
+        return { item: itemMatch[1], page: itemMatch[2] };
+    }
+    return null;
+}
+
+async function loadListItems(botData, commandData, variables) {
+    let source = variables.db;
+    if (commandData.database_id && commandData.database_id !== botData.database_id) {
+        const database = await new Promise((resolve) => {
+            db.get('SELECT * FROM databases WHERE id = ?', [commandData.database_id], (err, row) => resolve(err ? null : row));
+        });
+        source = buildTemplateVariables(botData, { database }).db;
+    }
+
+    const items = commandData.source ? getValueByPath(source, commandData.source) : source;
+    if (!Array.isArray(items)) {
+        throw new Error(`List source "${commandData.source || ''}" is not an array`);
+    }
+    return items;
+}
+
+function getListItemKey(commandData, item, index) {
+    const keyField = commandData.key_field || 'id';
+    const key = item && typeof item === 'object' && item[keyField] !== undefined ? item[keyField] : index;
+    // Key is used inside callback data, ":" separates its parts
+    return String(key).replace(/:/g, '_');
+}
+
+// Build list page or item detail view. Returns { text, keyboard }
+async function renderListCommand(botData, command, commandData, variables, params, escape, missing) {
+    const items = await loadListItems(botData, commandData, variables);
+    const pageSize = Math.max(1, Math.min(parseInt(commandData.page_size) || LIST_DEFAULT_PAGE_SIZE, LIST_MAX_PAGE_SIZE));
+    const pages = Math.max(1, Math.ceil(items.length / pageSize));
+    const page = Math.max(1, Math.min(parseInt(params.page) || 1, pages));
+    const render = (template, extra) => renderTemplate(template, { ...variables, ...extra }, { escape, missing });
+    const renderPlain = (template, extra) => renderTemplate(template, { ...variables, ...extra }, { missing });
+
+    // Detail view of one item
+    if (params.item !== undefined) {
+        const index = items.findIndex((item, itemIndex) => getListItemKey(commandData, item, itemIndex) === params.item);
+        if (index === -1) {
+            return {
+                text: 'Элемент не найден.',
+                keyboard: [[{ text: '← Назад', callback_data: `${command.name}:page:${page}` }]]
+            };
+        }
+
+        const itemVariables = { item: items[index], index: index + 1, page, pages, total: items.length };
+        const detailButtons = (commandData.detail_buttons || []).map(row => row.map(button => ({
+            ...button,
+            text: renderPlain(button.text || '', itemVariables),
+            ...(typeof button.callback_data === 'string' ? { callback_data: renderPlain(button.callback_data, itemVariables) } : {})
+        })));
+
+        return {
+            text: render(commandData.detail_template || commandData.item_template || '{{item}}', itemVariables),
+            keyboard: [...detailButtons, [{ text: '← Назад', callback_data: `${command.name}:page:${page}` }]]
+        };
+    }
+
+    const pageVariables = { page, pages, total: items.length };
+    if (items.length === 0) {
+        return { text: render(commandData.empty_text || 'Список пуст.', pageVariables), keyboard: [] };
+    }
+
+    const start = (page - 1) * pageSize;
+    const pageItems = items.slice(start, start + pageSize);
+    const lines = pageItems.map((item, offset) => render(commandData.item_template || '{{index}}. {{item.name}}', {
+        ...pageVariables,
+        item,
+        index: start + offset + 1
+    }));
+
+    const keyboard = [];
+    if (commandData.detail_template) {
+        pageItems.forEach((item, offset) => {
+            const itemVariables = { ...pageVariables, item, index: start + offset + 1 };
+            keyboard.push([{
+                text: renderPlain(commandData.button_template || '{{item.name}}', itemVariables) || String(start + offset + 1),
+                callback_data: `${command.name}:item:${getListItemKey(commandData, item, start + offset)}:${page}`
+            }]);
+        });
+    }
+
+    if (pages > 1) {
+        const navigation = [];
+        if (page > 1) navigation.push({ text: '◀️', callback_data: `${command.name}:page:${page - 1}` });
+        navigation.push({ text: `${page} / ${pages}`, callback_data: `${command.name}:page:${page}` });
+        if (page < pages) navigation.push({ text: '▶️', callback_data: `${command.name}:page:${page + 1}` });
+        keyboard.push(navigation);
+    }
+
+    const header = commandData.text ? render(commandData.text, pageVariables) + '\n\n' : '';
+    return { text: header + lines.join('\n'), keyboard };
+}
+
+// Media commands: "type": "photo" | "document" | "media_group" | "location" | "contact".
+// File is "media:<id>" (uploaded in the panel), URL or Telegram file_id. Captions support templates,
+// "buttons" adds inline keyboard. Uploaded file is sent once, then its Telegram file_id is reused
+const MEDIA_COMMAND_TYPES = ['photo', 'document', 'media_group', 'location', 'contact'];
+const MEDIA_UPLOAD_MAX_SIZE = 20 * 1024 * 1024;
+const MEDIA_REFERENCE_PREFIX = 'media:';
+const CAPTION_MAX_LENGTH = 1024;
+// Uploaded files are opened in the panel only with these types, others (HTML, SVG) could run scripts and are downloaded
+const MEDIA_INLINE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+// Returns { media, fileOptions, mediaId } ready for node-telegram-bot-api send methods
+async function resolveMediaSource(botId, source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new Error('Media file is not specified');
+    }
+    if (!source.startsWith(MEDIA_REFERENCE_PREFIX)) {
+        return { media: source.trim(), fileOptions: undefined, mediaId: null };
+    }
+
+    const mediaId = source.substring(MEDIA_REFERENCE_PREFIX.length).trim();
+    const cachedFileId = await new Promise((resolve) => {
+        db.get('SELECT file_id FROM media_telegram_files WHERE media_id = ? AND bot_id = ?', [mediaId, botId], (err, row) => {
+            resolve(err || !row ? null : row.file_id);
+        });
+    });
+    if (cachedFileId) {
+        return { media: cachedFileId, fileOptions: undefined, mediaId };
+    }
+
+    const file = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM media_files WHERE id = ?', [mediaId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+    if (!file) {
+        throw new Error(`Media file ${mediaId} not found`);
+    }
+    return {
+        media: file.data,
+        fileOptions: { filename: file.name, contentType: file.mime_type || 'application/octet-stream' },
+        mediaId
+    };
+}
+
+// Remember file_id of uploaded file sent by this bot (file_id is valid only for the same bot)
+function rememberTelegramFileId(botId, source, sentMessage, type) {
+    if (!source.mediaId || !Buffer.isBuffer(source.media) || !sentMessage) return;
+
+    const fileId = type === 'photo'
+        ? sentMessage.photo && sentMessage.photo[sentMessage.photo.length - 1].file_id
+        : sentMessage[type] && sentMessage[type].file_id;
+    if (fileId) {
+        db.run('INSERT OR REPLACE INTO media_telegram_files (media_id, bot_id, file_id) VALUES (?, ?, ?)', [source.mediaId, botId, fileId]);
+    }
+}
+
+async function executeMediaCommand(botData, commandData, chatId, messageId, { render, renderPlain, textOptions, replyMarkup }) {
+    const telegramBot = getTelegramClient(botData);
+    const markup = replyMarkup ? { reply_markup: replyMarkup } : {};
+    const caption = (template) => (template ? truncateText(render(template), CAPTION_MAX_LENGTH) : undefined);
+
+    switch (commandData.type) {
+        case 'photo':
+        case 'document': {
+            const type = commandData.type;
+            const source = await resolveMediaSource(botData.id, commandData[type] || commandData.file);
+            const text = caption(commandData.caption);
+
+            // Callback on media message: replace the file in place, otherwise send a new message
+            if (messageId && typeof source.media === 'string') {
+                try {
+                    await telegramBot.editMessageMedia(
+                        { type, media: source.media, ...(text ? { caption: text } : {}), ...textOptions },
+                        { chat_id: chatId, message_id: messageId, ...markup }
+                    );
+                    return;
+                } catch (error) {
+                    addLog('INFO', 'BOT', `Can't edit message media, sending new message`, {
+                        botId: botData.id,
+                        chatId: chatId,
+                        error: error.message
+                    });
+                }
+            }
+
+            const options = { ...textOptions, ...markup, ...(text ? { caption: text } : {}) };
+            const sent = type === 'photo'
+                ? await telegramBot.sendPhoto(chatId, source.media, options, source.fileOptions)
+                : await telegramBot.sendDocument(chatId, source.media, options, source.fileOptions);
+            rememberTelegramFileId(botData.id, source, sent, type);
+            return;
+        }
+        case 'media_group': {
+            const items = (Array.isArray(commandData.media) ? commandData.media : []).slice(0, 10);
+            if (items.length === 0) {
+                throw new Error('Media group has no items');
+            }
+
+            const sources = await Promise.all(items.map(item => resolveMediaSource(botData.id, item.media)));
+            const media = items.map((item, index) => ({
+                type: item.type || 'photo',
+                media: sources[index].media,
+                fileOptions: sources[index].fileOptions,
+                ...(item.caption ? { caption: caption(item.caption), ...textOptions } : {})
+            }));
+
+            // Albums can't be edited or carry buttons, buttons go in a separate message
+            const sent = await telegramBot.sendMediaGroup(chatId, media);
+            (sent || []).forEach((message, index) => {
+                if (sources[index]) rememberTelegramFileId(botData.id, sources[index], message, media[index].type);
+            });
+            if (replyMarkup) {
+                await telegramBot.sendMessage(chatId, render(commandData.text || 'Выберите действие:'), { ...textOptions, ...markup });
+            }
+            return;
+        }
+        case 'location': {
+            const latitude = Number(commandData.latitude);
+            const longitude = Number(commandData.longitude);
+            if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+                throw new Error('Location command needs numeric latitude and longitude');
+            }
+
+            // Venue shows title and address together with the map
+            if (commandData.title && commandData.address) {
+                await telegramBot.sendVenue(chatId, latitude, longitude, renderPlain(commandData.title), renderPlain(commandData.address), markup);
+            } else {
+                await telegramBot.sendLocation(chatId, latitude, longitude, markup);
+            }
+            return;
+        }
+        case 'contact': {
+            if (!commandData.phone_number || !commandData.first_name) {
+                throw new Error('Contact command needs phone_number and first_name');
+            }
+            await telegramBot.sendContact(chatId, renderPlain(commandData.phone_number), renderPlain(commandData.first_name), {
+                ...(commandData.last_name ? { last_name: renderPlain(commandData.last_name) } : {}),
+                ...markup
+            });
+            return;
+        }
+    }
+}
+
+// Form commands: "type": "form" asks questions one by one and collects answers.
+// "fields": [{ "name": "phone", "prompt": "Ваш телефон?", "type": "phone", "required": true, "error": "..." }]
+// Field types: text (min_length, max_length), number (min, max), phone, email, choice (options).
+// Partial answers are stored in form_sessions, completed forms in form_submissions
+// and optionally POSTed to "webhook_url"
+const FORM_FIELD_TYPES = ['text', 'number', 'phone', 'email', 'choice'];
+const DEFAULT_FORM_SESSION_TTL_MINUTES = 1440;
+const DEFAULT_FORM_CANCEL_TRIGGERS = ['/cancel'];
+const FORM_SKIP_TRIGGER = '/skip';
+const FORM_WEBHOOK_TIMEOUT = 10000;
+const FORM_FIELD_ERRORS = {
+    text: 'Пожалуйста, отправьте текстовый ответ.',
+    number: 'Пожалуйста, введите число.',
+    phone: 'Пожалуйста, введите номер телефона, например +79991234567.',
+    email: 'Пожалуйста, введите корректный email.',
+    choice: 'Пожалуйста, выберите один из вариантов.'
+};
+
+function getFormSettings(commandData) {
+    const fields = (Array.isArray(commandData.fields) ? commandData.fields : [])
+        .filter(field => field && field.name && field.prompt)
+        .map(field => ({
+            ...field,
+            type: FORM_FIELD_TYPES.includes(field.type) ? field.type : 'text',
+            required: field.required !== false,
+            options: Array.isArray(field.options) ? field.options.map(String) : []
+        }));
+    const ttl = Number(commandData.session_ttl_minutes);
+    const cancelTriggers = (Array.isArray(commandData.cancel_triggers) ? commandData.cancel_triggers : [])
+        .filter(trigger => typeof trigger === 'string' && trigger.trim())
+        .map(trigger => trigger.trim().toLowerCase());
+
+    return {
+        fields: fields,
+        ttlMinutes: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_FORM_SESSION_TTL_MINUTES,
+        cancelTriggers: [...new Set([...DEFAULT_FORM_CANCEL_TRIGGERS, ...cancelTriggers])],
+        cancelMessage: commandData.cancel_message || 'Заполнение формы отменено.',
+        successMessage: commandData.success_message || 'Спасибо! Ваша заявка принята.',
+        webhookUrl: commandData.webhook_url || null,
+        webhookHeaders: commandData.webhook_headers && typeof commandData.webhook_headers === 'object' ? commandData.webhook_headers : {}
+    };
+}
+
+// Validate answer for field. Returns { valid, value }
+function validateFormAnswer(field, text) {
+    const value = (text || '').trim();
+    if (!value) {
+        return { valid: false };
+    }
+
+    switch (field.type) {
+        case 'number': {
+            const number = Number(value.replace(',', '.').replace(/\s/g, ''));
+            if (!Number.isFinite(number)) return { valid: false };
+            if (field.min !== undefined && number < field.min) return { valid: false };
+            if (field.max !== undefined && number > field.max) return { valid: false };
+            return { valid: true, value: number };
+        }
+        case 'phone': {
+            const phone = value.replace(/[\s\-()]/g, '');
+            return /^\+?\d{7,15}$/.test(phone) ? { valid: true, value: phone } : { valid: false };
+        }
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? { valid: true, value: value.toLowerCase() } : { valid: false };
+        case 'choice': {
+            // Option text or its number in the list
+            const index = /^\d+$/.test(value) ? Number(value) - 1 : -1;
+            const option = field.options[index] || field.options.find(item => item.toLowerCase() === value.toLowerCase());
+            return option ? { valid: true, value: option } : { valid: false };
+        }
+        default:
+            if (field.min_length && value.length < field.min_length) return { valid: false };
+            if (field.max_length && value.length > field.max_length) return { valid: false };
+            return { valid: true, value: value };
+    }
+}
+
+function getFormSession(botId, chatId) {
+    return new Promise((resolve) => {
+        db.get(`SELECT s.*, bc.name AS command_name, bc.json_code
+                FROM form_sessions s
+                LEFT JOIN bot_commands bc ON bc.id = s.command_id
+                WHERE s.bot_id = ? AND s.chat_id = ?`,
+            [botId, String(chatId)], (err, session) => {
+                if (err || !session) {
+                    return resolve(null);
+                }
+
+                // Form was deleted or session expired
+                if (!session.json_code || session.expires_at < Date.now()) {
+                    clearFormSession(botId, chatId).then(() => resolve(null));
+                    return;
+                }
+
+                try {
+                    session.answers = JSON.parse(session.answers || '{}');
+                } catch (error) {
+                    session.answers = {};
+                }
+                resolve(session);
+            }
+        );
+    });
+}
+
+// Sessions saved before user_id was stored can be answered by anyone in the chat
+function isFormSessionOwner(session, sender) {
+    return !session.user_id || (!!sender && String(session.user_id) === String(sender.id));
+}
+
+function saveFormSession(botId, chatId, userId, commandId, step, answers, ttlMinutes) {
+    return new Promise((resolve, reject) => {
+        db.run(`INSERT OR REPLACE INTO form_sessions (bot_id, chat_id, user_id, command_id, step, answers, expires_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [botId, String(chatId), userId, commandId, step, JSON.stringify(answers), Date.now() + ttlMinutes * 60 * 1000], (err) => {
+                if (err) reject(err);
+                else resolve();
+            }
+        );
+    });
+}
+
+function clearFormSession(botId, chatId) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM form_sessions WHERE bot_id = ? AND chat_id = ?', [botId, String(chatId)], () => resolve());
+    });
+}
+
+async function sendFormPrompt(telegramBot, chatId, field, variables) {
+    let reply_markup = { remove_keyboard: true };
+    if (field.type === 'choice' && field.options.length > 0) {
+        reply_markup = {
+            keyboard: field.options.map(option => [{ text: option }]),
+            resize_keyboard: true,
+            one_time_keyboard: true
+        };
+    } else if (field.type === 'phone') {
+        reply_markup = {
+            keyboard: [[{ text: 'Отправить номер', request_contact: true }]],
+            resize_keyboard: true,
+            one_time_keyboard: true
+        };
+    }
+
+    const hint = field.required ? '' : `\n(необязательно, ${FORM_SKIP_TRIGGER} чтобы пропустить)`;
+    await telegramBot.sendMessage(chatId, renderTemplate(field.prompt, variables) + hint, { reply_markup });
+}
+
+async function startForm(botData, command, commandData, chatId, variables, sender = null) {
+    const telegramBot = getTelegramClient(botData);
+    const settings = getFormSettings(commandData);
+
+    if (settings.fields.length === 0) {
+        throw new Error('Form has no fields');
+    }
+
+    // One form per chat: in groups another member can't replace form that is being filled
+    const activeSession = await getFormSession(botData.id, chatId);
+    if (activeSession && !isFormSessionOwner(activeSession, sender)) {
+        addLog('INFO', 'BOT', `Form not started: chat ${chatId} has unfinished form of another user`, {
+            botId: botData.id,
+            chatId: chatId,
+            commandName: command.name,
+            formUserId: activeSession.user_id
+        });
+        await telegramBot.sendMessage(chatId, 'В этом чате уже заполняется форма другим пользователем. Попробуйте позже.');
+        return;
+    }
+
+    const userId = sender ? sender.id : null;
+    await saveFormSession(botData.id, chatId, userId, command.id, 0, {}, settings.ttlMinutes);
+    addLog('INFO', 'BOT', `Form started: ${command.name}`, {
+        botId: botData.id,
+        chatId: chatId,
+        userId: userId,
+        commandName: command.name,
+        fieldsCount: settings.fields.length
+    });
+
+    if (commandData.text) {
+        await telegramBot.sendMessage(chatId, renderTemplate(commandData.text, variables));
+    }
+    await sendFormPrompt(telegramBot, chatId, settings.fields[0], variables);
+}
+
+// Send completed form to configured HTTP endpoint
+async function deliverFormSubmission(url, headers, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(FORM_WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+async function completeForm(botData, session, settings, answers, sender) {
+    const submission = {
+        bot_id: botData.id,
+        bot_name: botData.name,
+        form: session.command_name,
+        chat_id: String(session.chat_id),
+        user: sender,
+        answers: answers,
+        submitted_at: new Date().toISOString()
+    };
+
+    const dryRun = !!settings.webhookUrl && isPlaygroundDryRun(botData);
+    const deliveryStatus = settings.webhookUrl ? (dryRun ? 'playground' : 'pending') : 'none';
+
+    const submissionId = await new Promise((resolve, reject) => {
+        db.run(`INSERT INTO form_submissions (bot_id, command_id, form_name, chat_id, user_id, user_name, answers, delivery_status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [botData.id, session.command_id, session.command_name, String(session.chat_id), sender ? sender.id : null,
+                sender ? sender.name : null, JSON.stringify(answers), deliveryStatus],
+            function(err) {
+                if (err) reject(err);
+                else resolve(this.lastID);
+            }
+        );
+    });
+    await clearFormSession(botData.id, session.chat_id);
+
+    addLog('SUCCESS', 'BOT', `Form submitted: ${session.command_name}`, {
+        botId: botData.id,
+        chatId: session.chat_id,
+        submissionId: submissionId,
+        answers: answers
+    });
+
+    if (dryRun) {
+        addPlaygroundTrace(botData, 'webhook_dry_run', { url: settings.webhookUrl, payload: { id: submissionId, ...submission } });
+    } else if (settings.webhookUrl) {
+        // Delivery result doesn't affect the user, it's visible in the panel
+        deliverFormSubmission(settings.webhookUrl, settings.webhookHeaders, { id: submissionId, ...submission })
+            .then(() => {
+                db.run('UPDATE form_submissions SET delivery_status = ? WHERE id = ?', ['delivered', submissionId]);
+            })
+            .catch((error) => {
+                db.run('UPDATE form_submissions SET delivery_status = ?, delivery_error = ? WHERE id = ?', ['failed', error.message, submissionId]);
+                addLog('ERROR', 'BOT', `Failed to deliver form submission ${submissionId}`, {
+                    botId: botData.id,
+                    url: settings.webhookUrl,
+                    error: error.message
+                });
+            });
+    }
+}
+
+// Handle message of chat with active form session: validate answer, ask next question or finish
+async function handleFormAnswer(botData, session, msg, messageText) {
+    const telegramBot = getTelegramClient(botData);
+    if (!telegramBot) return;
+
+    const chatId = msg.chat.id;
+    let commandData = {};
+    try {
+        commandData = JSON.parse(session.json_code);
+    } catch (error) {
+        commandData = {};
+    }
+    const settings = getFormSettings(commandData);
+    const field = settings.fields[session.step];
+    const text = (messageText || '').trim();
+
+    if (!field) {
+        await clearFormSession(botData.id, chatId);
+        return;
+    }
+
+    if (settings.cancelTriggers.includes(text.toLowerCase())) {
+        await clearFormSession(botData.id, chatId);
+        addLog('INFO', 'BOT', `Form cancelled: ${session.command_name}`, {
+            botId: botData.id,
+            chatId: chatId,
+            step: session.step
+        });
+        await telegramBot.sendMessage(chatId, settings.cancelMessage, { reply_markup: { remove_keyboard: true } });
+        return;
+    }
+
+    const answers = { ...session.answers };
+    if (!field.required && text.toLowerCase() === FORM_SKIP_TRIGGER) {
+        answers[field.name] = null;
+    } else {
+        // Phone can be shared with contact button
+        const answerText = field.type === 'phone' && msg.contact ? msg.contact.phone_number : text;
+        const result = validateFormAnswer(field, answerText);
+        if (!result.valid) {
+            await telegramBot.sendMessage(chatId, field.error || FORM_FIELD_ERRORS[field.type]);
+            return;
+        }
+        answers[field.name] = result.value;
+    }
+
+    // Prompts and success message can use answers given so far: {{form.name}}
+    const variables = await loadTemplateVariables(botData, { chatId, chat: msg.chat, sender: getSenderInfo(msg), form: answers });
+    const nextStep = session.step + 1;
+    if (nextStep < settings.fields.length) {
+        await saveFormSession(botData.id, chatId, session.user_id, session.command_id, nextStep, answers, settings.ttlMinutes);
+        await sendFormPrompt(telegramBot, chatId, settings.fields[nextStep], variables);
+        return;
+    }
+
+    await completeForm(botData, session, settings, answers, getSenderInfo(msg));
+    await telegramBot.sendMessage(chatId, renderTemplate(settings.successMessage, variables), { reply_markup: { remove_keyboard: true } });
+}
+
+// Execute a specific command
+// HTTP commands: "type": "http" calls external API and renders response into the reply.
+// "request": { "method": "GET", "url": "https://api.example.com/orders/{{args}}", "headers": {}, "body": {} },
+// "response_template": "Заказ {{response.id}}: {{response.status}}", "timeout_ms": 10000, "retries": 1, "error_message": "..."
+// Besides common template variables: {{args}} (text after command), {{message}}, {{response.<path>}}
+const HTTP_COMMAND_DEFAULT_TIMEOUT = 10000;
+const HTTP_COMMAND_MAX_TIMEOUT = 30000;
+const HTTP_COMMAND_MAX_RETRIES = 5;
+const HTTP_COMMAND_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+const HTTP_COMMAND_DEFAULT_ERROR = 'Не удалось выполнить запрос. Попробуйте позже.';
+
+// Render placeholders in every string of request body
+function renderTemplateDeep(value, variables) {
+    if (typeof value === 'string') return renderTemplate(value, variables);
+    if (Array.isArray(value)) return value.map(item => renderTemplateDeep(item, variables));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplateDeep(item, variables)]));
+    }
+    return value;
+}
+
+// Text after "/command", or the whole message for keyword triggers
+function getCommandArgs(text) {
+    const value = (text || '').trim();
+    return value.startsWith('/') ? value.replace(/^\/\S+\s*/, '') : value;
+}
+
+async function performHttpRequest(request, variables, timeout, retries) {
+    const method = (request.method || 'GET').toUpperCase();
+    const url = renderTemplate(request.url, variables, { escape: encodeURIComponent });
+    const headers = renderTemplateDeep(request.headers || {}, variables);
+    let body;
+    if (request.body !== undefined && method !== 'GET' && method !== 'HEAD') {
+        body = typeof request.body === 'string'
+            ? renderTemplate(request.body, variables)
+            : JSON.stringify(renderTemplateDeep(request.body, variables));
+        if (typeof request.body !== 'string' && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+            headers['Content-Type'] = 'application/json';
+        }
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+
+        try {
+            const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeout) });
+            const text = await response.text();
+            let data = text;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                // Plain text response
+            }
+
+            if (response.ok) {
+                return { status: response.status, data, attempts: attempt + 1 };
+            }
+
+            lastError = new Error(`HTTP ${response.status}`);
+            // Client errors won't be fixed by retrying
+            if (response.status < 500 && response.status !== 429) {
+                break;
+            }
+        } catch (error) {
+            lastError = error.name === 'TimeoutError' ? new Error(`Timeout after ${timeout} ms`) : error;
+        }
+    }
+
+    lastError.url = url;
+    throw lastError;
+}
+
+// HTTP request of command or actions step. In playground the request is only shown in trace
+// unless live requests are enabled
+async function performCommandHttpRequest(botData, request, variables, timeout, retries) {
+    if (isPlaygroundDryRun(botData)) {
+        const method = (request.method || 'GET').toUpperCase();
+        const url = renderTemplate(request.url, variables, { escape: encodeURIComponent });
+        addPlaygroundTrace(botData, 'http_dry_run', { method, url });
+        return { status: 0, data: {}, attempts: 0 };
+    }
+
+    return performHttpRequest(request, variables, timeout, retries);
+}
+
+async function executeHttpCommand(botData, command, commandData, templateVariables, input) {
+    const request = commandData.request || {};
+    if (!request.url) {
+        throw new Error('HTTP command has no request.url');
+    }
+
+    const timeout = Math.min(Number(commandData.timeout_ms) || HTTP_COMMAND_DEFAULT_TIMEOUT, HTTP_COMMAND_MAX_TIMEOUT);
+    const retries = Math.max(0, Math.min(parseInt(commandData.retries) || 0, HTTP_COMMAND_MAX_RETRIES));
+    const variables = {
+        ...templateVariables,
+        args: getCommandArgs(input.text),
+        message: input.text || ''
+    };
+
+    try {
+        const result = await performCommandHttpRequest(botData, request, variables, timeout, retries);
+        addLog('SUCCESS', 'BOT', `HTTP command ${command.name}: ${result.status}`, {
+            botId: botData.id,
+            commandName: command.name,
+            status: result.status,
+            attempts: result.attempts
+        });
+
+        if (commandData.response_template) {
+            const missing = [];
+            const text = renderTemplate(commandData.response_template, { ...variables, response: result.data }, {
+                escape: getTemplateEscape(commandData.parse_mode),
+                missing
+            });
+            logMissingTemplateVariables(botData, `command ${command.name}`, missing);
+            return text;
+        }
+        return typeof result.data === 'string' ? result.data : JSON.stringify(result.data, null, 2);
+    } catch (error) {
+        addLog('ERROR', 'BOT', `HTTP command ${command.name} failed: ${error.message}`, {
+            botId: botData.id,
+            commandName: command.name,
+            url: error.url,
+            error: error.message
+        });
+        return commandData.error_message || HTTP_COMMAND_DEFAULT_ERROR;
+    }
+}
+
+// Actions chain: "type": "actions" runs "actions" one by one, so a single command can describe a whole flow.
+// {"type": "send", "text": "...", "buttons": [[...]]}, {"type": "edit", "text": "..."} - edits the last sent message (or the one with pressed button),
+// {"type": "wait", "seconds": 2}, {"type": "set", "name": "plan", "value": "{{params.plan}}"} - read as {{vars.plan}},
+// {"type": "http", "request": {...}, "save_as": "order"}, {"type": "context", "command": "shop"} / {"type": "context", "exit": true},
+// {"type": "ai", "prompt": "{{message}}"}. Any action may have "if" condition, {"if": ..., "then": [...], "else": [...]} branches
+const ACTION_TYPES = ['send', 'edit', 'wait', 'set', 'http', 'context', 'ai'];
+const ACTIONS_MAX_STEPS = 50;
+const ACTIONS_MAX_DEPTH = 5;
+const ACTIONS_MAX_WAIT_SECONDS = 30;
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'contains', 'matches', 'exists', 'gt', 'lt'];
+
+// Conditions: {"language": "ru"}, {"chat_type": ["group", "supergroup"]}, {"var": "vars.plan", "equals": "pro"},
+// combined with {"all": [...]}, {"any": [...]}, {"not": {...}}. String operands may contain templates
+function evaluateCondition(condition, variables) {
+    if (!condition || typeof condition !== 'object') {
+        return Boolean(condition);
+    }
+    if (Array.isArray(condition.all)) {
+        return condition.all.every(item => evaluateCondition(item, variables));
+    }
+    if (Array.isArray(condition.any)) {
+        return condition.any.some(item => evaluateCondition(item, variables));
+    }
+    if (condition.not !== undefined) {
+        return !evaluateCondition(condition.not, variables);
+    }
+    if (condition.language !== undefined) {
+        // "ru" matches "ru" and regional codes like "ru-RU"
+        const language = String((variables.user && variables.user.language_code) || '').toLowerCase();
+        return [].concat(condition.language).some(code => {
+            const expected = String(code).toLowerCase();
+            return language === expected || language.startsWith(`${expected}-`);
+        });
+    }
+    if (condition.chat_type !== undefined) {
+        return [].concat(condition.chat_type).includes(variables.chat && variables.chat.type);
+    }
+    if (typeof condition.var !== 'string') {
+        throw new Error(`Unknown condition: ${JSON.stringify(condition)}`);
+    }
+
+    const value = getValueByPath(variables, condition.var);
+    const operand = (expected) => (typeof expected === 'string' ? renderTemplate(expected, variables) : expected);
+    const isEmpty = value === undefined || value === null || value === '';
+
+    if (condition.equals !== undefined) return !isEmpty && String(value) === String(operand(condition.equals));
+    if (condition.not_equals !== undefined) return isEmpty || String(value) !== String(operand(condition.not_equals));
+    if (condition.in !== undefined) return !isEmpty && [].concat(condition.in).map(item => String(operand(item))).includes(String(value));
+    if (condition.contains !== undefined) {
+        return !isEmpty && String(value).toLowerCase().includes(String(operand(condition.contains)).toLowerCase());
+    }
+    if (condition.matches !== undefined) return !isEmpty && new RegExp(condition.matches, 'i').test(String(value));
+    if (condition.gt !== undefined) return !isEmpty && Number(value) > Number(operand(condition.gt));
+    if (condition.lt !== undefined) return !isEmpty && Number(value) < Number(operand(condition.lt));
+    if (condition.exists !== undefined) return isEmpty !== Boolean(condition.exists);
+    // Only "var" - value must be set and not false
+    return !isEmpty && value !== false && value !== 'false' && value !== 0;
+}
+
+// Check actions structure when command is saved. Returns list of { path, message }
+function validateActions(actions, errors = [], path = 'actions', depth = 0) {
+    if (!Array.isArray(actions)) {
+        errors.push({ path, message: 'должен быть массивом' });
+        return errors;
+    }
+    if (depth >= ACTIONS_MAX_DEPTH) {
+        errors.push({ path, message: `вложенность условий больше ${ACTIONS_MAX_DEPTH}` });
+        return errors;
+    }
+
+    actions.forEach((action, index) => {
+        const actionPath = `${path}[${index}]`;
+        if (!action || typeof action !== 'object' || Array.isArray(action)) {
+            errors.push({ path: actionPath, message: 'действие должно быть объектом' });
+            return;
+        }
+        if (action.if !== undefined) {
+            validateCondition(action.if, errors, `${actionPath}.if`);
+        }
+        if (action.then !== undefined || action.else !== undefined) {
+            if (action.if === undefined) errors.push({ path: actionPath, message: 'для "then" и "else" нужно условие "if"' });
+            if (action.then !== undefined) validateActions(action.then, errors, `${actionPath}.then`, depth + 1);
+            if (action.else !== undefined) validateActions(action.else, errors, `${actionPath}.else`, depth + 1);
+            return;
+        }
+
+        if (!ACTION_TYPES.includes(action.type)) {
+            errors.push({ path: actionPath, message: `неизвестный тип "${action.type}", доступны ${ACTION_TYPES.join(', ')}` });
+        } else if ((action.type === 'send' || action.type === 'edit') && !action.text) {
+            errors.push({ path: actionPath, message: 'нужен "text"' });
+        } else if (action.type === 'set' && !action.name) {
+            errors.push({ path: actionPath, message: 'нужно имя переменной "name"' });
+        } else if (action.type === 'http' && !(action.request && action.request.url)) {
+            errors.push({ path: actionPath, message: 'нужен "request.url"' });
+        } else if (action.type === 'context' && !action.command && !action.exit) {
+            errors.push({ path: actionPath, message: 'укажите "command" или "exit": true' });
+        }
+        if (action.buttons !== undefined) {
+            validateSchema(action.buttons, INLINE_KEYBOARD_SCHEMA, `${actionPath}.buttons`, errors);
+        }
+    });
+    return errors;
+}
+
+function validateCondition(condition, errors, path) {
+    if (!condition || typeof condition !== 'object') {
+        errors.push({ path, message: 'условие должно быть объектом' });
+    } else if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+        (condition.all || condition.any).forEach((item, index) => validateCondition(item, errors, `${path}[${index}]`));
+    } else if (condition.not !== undefined) {
+        validateCondition(condition.not, errors, `${path}.not`);
+    } else if (condition.language === undefined && condition.chat_type === undefined && typeof condition.var !== 'string') {
+        errors.push({ path, message: 'нужен "var", "language" или "chat_type"' });
+    } else if (condition.matches !== undefined) {
+        try {
+            new RegExp(condition.matches);
+        } catch (error) {
+            errors.push({ path: `${path}.matches`, message: 'некорректное регулярное выражение' });
+        }
+    }
+}
+
+async function executeActions(botData, command, commandData, chatId, messageId, variables, input, missing) {
+    const telegramBot = getTelegramClient(botData);
+    const state = { steps: 0, waited: 0, lastMessageId: messageId };
+
+    const run = async (actions, depth) => {
+        if (depth >= ACTIONS_MAX_DEPTH) {
+            throw new Error(`Actions nesting is deeper than ${ACTIONS_MAX_DEPTH}`);
+        }
+
+        for (const action of actions || []) {
+            if (++state.steps > ACTIONS_MAX_STEPS) {
+                throw new Error(`Actions chain is longer than ${ACTIONS_MAX_STEPS} steps`);
+            }
+
+            const passed = action.if === undefined || evaluateCondition(action.if, variables);
+            if (action.then !== undefined || action.else !== undefined) {
+                if (await run(passed ? action.then : action.else, depth + 1) === false) return false;
+                continue;
+            }
+            if (!passed) continue;
+
+            if (await executeAction(action) === false) return false;
+        }
+        return true;
+    };
+
+    // Returns false to stop the chain
+    const executeAction = async (action) => {
+        const parseMode = action.parse_mode || commandData.parse_mode;
+        const textOptions = parseMode ? { parse_mode: parseMode } : {};
+        const render = (template) => renderTemplate(template, variables, { escape: getTemplateEscape(parseMode), missing });
+        const markup = action.buttons
+            ? { reply_markup: { inline_keyboard: await packInlineKeyboard(botData.id, renderButtonRows(action.buttons, variables, missing)) } }
+            : {};
+
+        switch (action.type) {
+            case 'send': {
+                const sent = await telegramBot.sendMessage(chatId, truncateText(render(action.text), 4096), { ...textOptions, ...markup });
+                state.lastMessageId = sent && sent.message_id;
+                return true;
+            }
+            case 'edit': {
+                const text = truncateText(render(action.text), 4096);
+                if (!state.lastMessageId) {
+                    const sent = await telegramBot.sendMessage(chatId, text, { ...textOptions, ...markup });
+                    state.lastMessageId = sent && sent.message_id;
+                    return true;
+                }
+                await telegramBot.editMessageText(text, {
+                    chat_id: chatId,
+                    message_id: state.lastMessageId,
+                    ...textOptions,
+                    ...markup
+                });
+                return true;
+            }
+            case 'wait': {
+                const seconds = Math.max(0, Math.min(Number(action.seconds) || 1, ACTIONS_MAX_WAIT_SECONDS - state.waited));
+                state.waited += seconds;
+                if (action.typing !== false) {
+                    await telegramBot.sendChatAction(chatId, 'typing').catch(() => {});
+                }
+                await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+                return true;
+            }
+            case 'set': {
+                variables.vars[action.name] = typeof action.value === 'string'
+                    ? renderTemplate(action.value, variables, { missing })
+                    : renderTemplateDeep(action.value, variables);
+                return true;
+            }
+            case 'http': {
+                const timeout = Math.min(Number(action.timeout_ms) || HTTP_COMMAND_DEFAULT_TIMEOUT, HTTP_COMMAND_MAX_TIMEOUT);
+                const retries = Math.max(0, Math.min(parseInt(action.retries) || 0, HTTP_COMMAND_MAX_RETRIES));
+                try {
+                    const result = await performCommandHttpRequest(botData, action.request, variables, timeout, retries);
+                    variables.response = result.data;
+                    if (action.save_as) {
+                        variables.vars[action.save_as] = result.data;
+                    }
+                    return true;
+                } catch (error) {
+                    addLog('ERROR', 'BOT', `HTTP action of command ${command.name} failed: ${error.message}`, {
                         botId: botData.id,
-                        commandName: requestedCommand.name,
-                        naturalResponse: naturalResponse
+                        commandName: command.name,
+                        url: error.url,
+                        error: error.message
                     });
+                    await telegramBot.sendMessage(chatId, render(action.error_message || HTTP_COMMAND_DEFAULT_ERROR), textOptions);
+                    return false;
+                }
+            }
+            case 'context': {
+                if (action.exit) {
+                    await clearMultiCommandContext(botData.id, chatId);
+                    return true;
+                }
 
-                    const telegramBot = activeBots.get(botData.id);
-                    if (telegramBot) {
-                        // Send natural response first
-                        await telegramBot.sendMessage(chatId, naturalResponse);
-                        
-                        // Small delay before showing menu
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                        
-                        // Then execute the command
-                        await executeCommand(botData, requestedCommand, chatId);
+                const target = await new Promise((resolve) => {
+                    db.get('SELECT * FROM bot_commands WHERE bot_id = ? AND name = ? AND is_multi_command = 1',
+                        [botData.id, renderTemplate(action.command, variables)], (err, row) => resolve(err ? null : row));
+                });
+                if (!target) {
+                    throw new Error(`Multi-command "${action.command}" not found`);
+                }
+                await setMultiCommandContext(botData.id, chatId, target);
+                return true;
+            }
+            case 'ai': {
+                await telegramBot.sendChatAction(chatId, 'typing').catch(() => {});
+                const prompt = renderTemplate(action.prompt || '{{message}}', variables, { missing });
+                let aiResponse;
+                try {
+                    aiResponse = await callAIWithMemory(botData, prompt, chatId, {
+                        sender: input.sender,
+                        chat: input.chat,
+                        isGroup: Boolean(input.chat) && isGroupChat(input.chat)
+                    });
+                } catch (error) {
+                    if (!(error instanceof AIUnavailableError)) throw error;
+                    // Next actions may depend on the answer, chain stops
+                    await telegramBot.sendMessage(chatId, error.userMessage);
+                    return false;
+                }
+                if (action.save_as) {
+                    variables.vars[action.save_as] = aiResponse;
+                } else {
+                    const sent = await telegramBot.sendMessage(chatId, truncateText(aiResponse, 4096));
+                    state.lastMessageId = sent && sent.message_id;
+                }
+                return true;
+            }
+            default:
+                throw new Error(`Unknown action type: ${action.type}`);
+        }
+    };
+
+    variables.vars = {};
+    variables.message = input.text || '';
+    variables.args = getCommandArgs(input.text);
+    await run(commandData.actions, 0);
+}
+
+// Command JSON schema: every type lists its fields, checked when command is saved.
+// Supported keywords: type (one or several), enum, required, requiredOneOf, properties, items,
+// minItems, maxItems, minimum, maximum, minLength, exactlyOne (for Telegram buttons), validate (custom check).
+// Unknown fields are allowed, so commands may keep notes and settings for future versions
+const STRING_SCHEMA = { type: 'string' };
+const STRING_LIST_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 } };
+const INLINE_BUTTON_SCHEMA = {
+    type: 'object',
+    required: ['text'],
+    exactlyOne: ['callback_data', 'url', 'switch_inline_query', 'switch_inline_query_current_chat'],
+    properties: {
+        text: { type: 'string', minLength: 1 },
+        callback_data: { type: 'string', minLength: 1 },
+        url: { type: 'string', minLength: 1 },
+        switch_inline_query: STRING_SCHEMA,
+        switch_inline_query_current_chat: STRING_SCHEMA
+    }
+};
+const INLINE_KEYBOARD_SCHEMA = { type: 'array', items: { type: 'array', minItems: 1, items: INLINE_BUTTON_SCHEMA } };
+const REPLY_KEYBOARD_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: ['string', 'object'],
+            minLength: 1,
+            required: ['text'],
+            properties: { text: { type: 'string', minLength: 1 }, request_contact: { type: 'boolean' }, request_location: { type: 'boolean' } }
+        }
+    }
+};
+const MEDIA_CAPTION_PROPERTIES = { caption: STRING_SCHEMA, text: STRING_SCHEMA, buttons: INLINE_KEYBOARD_SCHEMA };
+
+const COMMAND_SCHEMAS = {
+    message: { properties: { text: STRING_SCHEMA } },
+    menu: { required: ['buttons'], properties: { text: STRING_SCHEMA, buttons: INLINE_KEYBOARD_SCHEMA } },
+    keyboard: { required: ['buttons'], properties: { text: STRING_SCHEMA, buttons: REPLY_KEYBOARD_SCHEMA, one_time: { type: 'boolean' } } },
+    multi_command: {
+        properties: {
+            welcome_message: STRING_SCHEMA,
+            context_ttl_minutes: { type: 'number', minimum: 0 },
+            exit_triggers: STRING_LIST_SCHEMA,
+            exit_message: STRING_SCHEMA
+        }
+    },
+    list: {
+        properties: {
+            text: STRING_SCHEMA,
+            source: STRING_SCHEMA,
+            database_id: STRING_SCHEMA,
+            page_size: { type: 'integer', minimum: 1, maximum: LIST_MAX_PAGE_SIZE },
+            key_field: STRING_SCHEMA,
+            item_template: STRING_SCHEMA,
+            button_template: STRING_SCHEMA,
+            detail_template: STRING_SCHEMA,
+            detail_buttons: INLINE_KEYBOARD_SCHEMA,
+            empty_text: STRING_SCHEMA
+        }
+    },
+    photo: { requiredOneOf: ['photo', 'file'], properties: { photo: { type: 'string', minLength: 1 }, file: { type: 'string', minLength: 1 }, ...MEDIA_CAPTION_PROPERTIES } },
+    document: { requiredOneOf: ['document', 'file'], properties: { document: { type: 'string', minLength: 1 }, file: { type: 'string', minLength: 1 }, ...MEDIA_CAPTION_PROPERTIES } },
+    media_group: {
+        required: ['media'],
+        properties: {
+            media: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 10,
+                items: {
+                    type: 'object',
+                    required: ['media'],
+                    properties: {
+                        type: { enum: ['photo', 'video', 'document', 'audio'] },
+                        media: { type: 'string', minLength: 1 },
+                        caption: STRING_SCHEMA
                     }
                 }
-                
-                return resolve(true);
-            } else {
-                addLog('INFO', 'BOT', `NO COMMAND - User: "${userMessage}" | AI: "${aiResponse.trim()}"`, {
-                    botId: botData.id,
-                    fullUserMessage: userMessage,
-                    fullAiResponse: aiResponse.trim(),
-                    reason: 'AI did not identify any command'
+            },
+            text: STRING_SCHEMA,
+            buttons: INLINE_KEYBOARD_SCHEMA
+        }
+    },
+    location: {
+        required: ['latitude', 'longitude'],
+        properties: {
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            longitude: { type: 'number', minimum: -180, maximum: 180 },
+            title: STRING_SCHEMA,
+            address: STRING_SCHEMA,
+            buttons: INLINE_KEYBOARD_SCHEMA
+        }
+    },
+    contact: {
+        required: ['phone_number', 'first_name'],
+        properties: {
+            phone_number: { type: 'string', minLength: 1 },
+            first_name: { type: 'string', minLength: 1 },
+            last_name: STRING_SCHEMA,
+            buttons: INLINE_KEYBOARD_SCHEMA
+        }
+    },
+    form: {
+        required: ['fields'],
+        properties: {
+            text: STRING_SCHEMA,
+            fields: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['name', 'prompt'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        prompt: { type: 'string', minLength: 1 },
+                        type: { enum: FORM_FIELD_TYPES },
+                        required: { type: 'boolean' },
+                        options: STRING_LIST_SCHEMA,
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                        min_length: { type: 'integer', minimum: 0 },
+                        max_length: { type: 'integer', minimum: 1 },
+                        error: STRING_SCHEMA
+                    },
+                    validate: (field, path, errors) => {
+                        if (field.type === 'choice' && !(Array.isArray(field.options) && field.options.length > 0)) {
+                            errors.push({ path: `${path}.options`, message: 'для поля типа choice нужны варианты ответа' });
+                        }
+                    }
+                }
+            },
+            session_ttl_minutes: { type: 'number', minimum: 1 },
+            cancel_triggers: STRING_LIST_SCHEMA,
+            cancel_message: STRING_SCHEMA,
+            success_message: STRING_SCHEMA,
+            webhook_url: STRING_SCHEMA,
+            webhook_headers: { type: 'object' }
+        }
+    },
+    http: {
+        required: ['request'],
+        properties: {
+            request: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                    method: {
+                        type: 'string',
+                        validate: (method, path, errors) => {
+                            if (!HTTP_COMMAND_METHODS.includes(method.toUpperCase())) {
+                                errors.push({ path, message: `допустимые значения: ${HTTP_COMMAND_METHODS.join(', ')}` });
+                            }
+                        }
+                    },
+                    url: { type: 'string', minLength: 1 },
+                    headers: { type: 'object' },
+                    body: { type: ['string', 'object', 'array'] }
+                }
+            },
+            response_template: STRING_SCHEMA,
+            timeout_ms: { type: 'number', minimum: 1, maximum: HTTP_COMMAND_MAX_TIMEOUT },
+            retries: { type: 'integer', minimum: 0, maximum: HTTP_COMMAND_MAX_RETRIES },
+            error_message: STRING_SCHEMA
+        }
+    },
+    actions: {
+        required: ['actions'],
+        properties: {
+            actions: { type: 'array', validate: (actions, path, errors) => validateActions(actions, errors, path) }
+        }
+    }
+};
+
+// Fields shared by all command types
+const COMMAND_COMMON_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: Object.keys(COMMAND_SCHEMAS) },
+        description: STRING_SCHEMA,
+        parse_mode: { enum: ['HTML', 'Markdown', 'MarkdownV2'] },
+        triggers: {
+            type: 'object',
+            properties: {
+                commands: { type: ['string', 'array'], items: STRING_SCHEMA },
+                keywords: { type: ['string', 'array'], items: STRING_SCHEMA },
+                patterns: {
+                    type: ['string', 'array'],
+                    items: STRING_SCHEMA,
+                    validate: (patterns, path, errors) => {
+                        [].concat(patterns).forEach((pattern, index) => {
+                            try {
+                                new RegExp(pattern, 'i');
+                            } catch (error) {
+                                errors.push({ path: Array.isArray(patterns) ? `${path}[${index}]` : path, message: 'некорректное регулярное выражение' });
+                            }
+                        });
+                    }
+                },
+                callbacks: { type: ['string', 'array'], items: STRING_SCHEMA }
+            }
+        },
+        menu: {
+            type: 'object',
+            properties: {
+                command: STRING_SCHEMA,
+                hidden: { type: 'boolean' },
+                descriptions: { type: 'object' },
+                scopes: { type: 'array', items: { enum: Object.keys(TELEGRAM_COMMAND_SCOPES) } }
+            }
+        }
+    }
+};
+
+const SCHEMA_TYPE_NAMES = {
+    string: 'строка',
+    number: 'число',
+    integer: 'целое число',
+    boolean: 'true или false',
+    object: 'объект',
+    array: 'массив'
+};
+
+// "buttons" + 0 -> "buttons[0]", "request" + "url" -> "request.url"
+function joinJsonPath(path, key, isIndex = typeof key === 'number') {
+    if (isIndex) return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function getSchemaType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Validate value against schema, errors get exact JSON path
+function validateSchema(value, schema, path, errors) {
+    const valueType = getSchemaType(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const matches = types.some(type => (
+            type === 'integer' ? Number.isInteger(value) : valueType === type
+        ));
+        if (!matches) {
+            errors.push({ path, message: `ожидается ${types.map(type => SCHEMA_TYPE_NAMES[type]).join(' или ')}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `допустимые значения: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (valueType === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'не может быть пустым' });
+    }
+    if (valueType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `должно быть не меньше ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `должно быть не больше ${schema.maximum}` });
+    }
+
+    if (valueType === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: schema.minItems === 1 ? 'не может быть пустым' : `нужно минимум ${schema.minItems} элементов` });
+        }
+        if (schema.maxItems && value.length > schema.maxItems) {
+            errors.push({ path, message: `не больше ${schema.maxItems} элементов` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateSchema(item, schema.items, joinJsonPath(path, index), errors));
+        }
+    }
+
+    if (valueType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinJsonPath(path, key), message: 'обязательное поле' });
+            }
+        });
+        if (schema.requiredOneOf && !schema.requiredOneOf.some(key => value[key] !== undefined)) {
+            errors.push({ path, message: `укажите одно из полей: ${schema.requiredOneOf.join(', ')}` });
+        }
+        if (schema.exactlyOne) {
+            const present = schema.exactlyOne.filter(key => value[key] !== undefined);
+            if (present.length !== 1) {
+                errors.push({
+                    path,
+                    message: present.length === 0
+                        ? `кнопке нужно одно из полей: ${schema.exactlyOne.join(', ')}`
+                        : `у кнопки может быть только одно из полей ${present.join(', ')}`
                 });
             }
+        }
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                validateSchema(value[key], propertySchema, joinJsonPath(path, key), errors);
+            }
+        });
+    }
 
-            return resolve(false);
-        } catch (error) {
-            addLog('ERROR', 'BOT', `Error checking commands for bot ${botData.id}`, {
-                error: error.message,
-                botId: botData.id
+    if (schema.validate) {
+        schema.validate(value, path, errors);
+    }
+}
+
+// Inline buttons with callback_data declared in command JSON: [{ path, data }]
+function collectCallbackButtons(commandData) {
+    const buttons = [];
+    const collect = (rows, path) => {
+        if (!Array.isArray(rows)) return;
+        rows.forEach((row, rowIndex) => {
+            if (!Array.isArray(row)) return;
+            row.forEach((button, index) => {
+                if (button && typeof button.callback_data === 'string') {
+                    buttons.push({ path: `${path}[${rowIndex}][${index}].callback_data`, data: button.callback_data });
+                }
             });
-            return resolve(false);
+        });
+    };
+    const collectActions = (actions, path) => {
+        if (!Array.isArray(actions)) return;
+        actions.forEach((action, index) => {
+            if (!action || typeof action !== 'object') return;
+            const actionPath = `${path}[${index}]`;
+            collect(action.buttons, `${actionPath}.buttons`);
+            collectActions(action.then, `${actionPath}.then`);
+            collectActions(action.else, `${actionPath}.else`);
+        });
+    };
+
+    // Reply keyboard buttons send text, not callback data
+    if (commandData.type !== 'keyboard') {
+        collect(commandData.buttons, 'buttons');
+    }
+    collect(commandData.detail_buttons, 'detail_buttons');
+    collectActions(commandData.actions, 'actions');
+    return buttons;
+}
+
+// Validate command JSON before saving. Returns { errors, warnings }, both lists of { path, message }.
+// commands - other commands of the bot, used to find buttons that lead nowhere
+function validateCommandJson(commandData, commands = []) {
+    const errors = [];
+    if (getSchemaType(commandData) !== 'object') {
+        errors.push({ path: '', message: 'команда должна быть JSON объектом' });
+        return { errors, warnings: [] };
+    }
+
+    validateSchema(commandData, COMMAND_COMMON_SCHEMA, '', errors);
+    if (COMMAND_SCHEMAS[commandData.type]) {
+        validateSchema(commandData, COMMAND_SCHEMAS[commandData.type], '', errors);
+    }
+    validateTemplates(commandData, errors);
+
+    const warnings = [];
+    collectCallbackButtons(commandData).forEach(({ path, data }) => {
+        // Templated data is known only when the button is rendered
+        if (data.includes('{{')) return;
+        // Exit buttons of multi-commands are handled before routing
+        const isExitTrigger = commands.some(command => (
+            command.is_multi_command && getContextSettings(command).exitTriggers.includes(data.trim().toLowerCase())
+        ));
+        if (!isExitTrigger && !routeCallbackData(commands, data)) {
+            warnings.push({ path, message: `нет активной команды для "${data}"` });
         }
     });
+
+    return { errors, warnings };
 }
 
-// Execute a specific command
-async function executeCommand(botData, command, chatId, messageId = null, setMultiCommandContext = null) {
+// "buttons[0][1].text: обязательное поле; type: допустимые значения: ..."
+function formatValidationErrors(errors) {
+    return errors.map(error => (error.path ? `${error.path}: ${error.message}` : error.message)).join('; ');
+}
+
+// input: { text, sender, chat } - message that triggered the command, used by templates and http commands
+async function executeCommand(botData, command, chatId, messageId = null, enterMultiCommand = false, input = {}) {
+    // Rendered message that is being edited: sent as new message if Telegram can't edit original one
+    let editFallback = null;
+
     try {
         const commandData = JSON.parse(command.json_code);
-        const telegramBot = activeBots.get(botData.id);
+        const telegramBot = getTelegramClient(botData);
         
         if (!telegramBot) {
             throw new Error('Bot not active');
@@ -735,103 +4524,184 @@ async function executeCommand(botData, command, chatId, messageId = null, setMul
             commandType: commandData.type || 'unknown',
             isMultiCommand: command.is_multi_command
         });
+        addPlaygroundTrace(botData, 'command', { command: command.name, type: commandData.type || null, params: input.params || {} });
 
         // Set multi-command context if specified
-        if (setMultiCommandContext) {
-            const contextKey = `${botData.id}:${chatId}`;
-            multiCommandContexts.set(contextKey, setMultiCommandContext);
+        if (enterMultiCommand) {
+            await setMultiCommandContext(botData.id, chatId, command);
             addLog('INFO', 'BOT', `Multi-command context set for chat ${chatId}`, {
                 botId: botData.id,
                 chatId: chatId,
-                multiCommandId: setMultiCommandContext
+                multiCommandId: command.id,
+                ttlMinutes: getContextSettings(command).ttlMinutes
             });
         }
 
+        // Texts and button labels may contain template variables
+        const missing = [];
+        const variables = await loadTemplateVariables(botData, { chatId, chat: input.chat, sender: input.sender });
+        // Parameters captured from callback data pattern: {{params.id}}
+        variables.params = input.params || {};
+        const escape = getTemplateEscape(commandData.parse_mode);
+        const render = (template) => renderTemplate(template, variables, { escape, missing });
+        const renderButtons = (buttons) => renderButtonRows(buttons, variables, missing);
+        const textOptions = commandData.parse_mode ? { parse_mode: commandData.parse_mode } : {};
+
         // Handle different command types
-        if (commandData.type === 'multi_command') {
+        if (commandData.type === 'actions') {
+            await executeActions(botData, command, commandData, chatId, messageId, variables, input, missing);
+        }
+        else if (commandData.type === 'multi_command') {
             // Send welcome message for multi-command
-            const welcomeText = commandData.welcome_message || commandData.description || 'Добро пожаловать в мульти-команду!';
+            const welcomeText = render(commandData.welcome_message || commandData.description || 'Добро пожаловать в мульти-команду!');
             
             if (messageId) {
+                editFallback = { text: welcomeText, options: textOptions };
                 await telegramBot.editMessageText(welcomeText, {
                     chat_id: chatId,
-                    message_id: messageId
+                    message_id: messageId,
+                    ...textOptions
                 });
             } else {
-                await telegramBot.sendMessage(chatId, welcomeText);
+                await telegramBot.sendMessage(chatId, welcomeText, textOptions);
             }
             
-            // Set context for future commands in this chat
-            // This would typically be stored in a database or memory
-            
         } else if (commandData.type === 'menu') {
             // Send menu with inline keyboard
             const options = {
+                ...textOptions,
                 reply_markup: {
-                    inline_keyboard: commandData.buttons || []
+                    inline_keyboard: await packInlineKeyboard(botData.id, renderButtons(commandData.buttons))
                 }
             };
             
+            const text = render(commandData.text || 'Выберите действие:');
+
             if (messageId) {
                 // Edit existing message (for callback queries)
-                await telegramBot.editMessageText(commandData.text || 'Выберите действие:', {
+                editFallback = { text, options };
+                await telegramBot.editMessageText(text, {
                     chat_id: chatId,
                     message_id: messageId,
-                    reply_markup: options.reply_markup
+                    ...options
                 });
             } else {
                 // Send new message (for text commands)
-                await telegramBot.sendMessage(chatId, commandData.text || 'Выберите действие:', options);
+                await telegramBot.sendMessage(chatId, text, options);
             }
         }
         else if (commandData.type === 'message') {
+            const text = render(commandData.text || 'Команда выполнена');
+
             if (messageId) {
                 // Edit existing message
-                await telegramBot.editMessageText(commandData.text || 'Команда выполнена', {
+                editFallback = { text, options: textOptions };
+                await telegramBot.editMessageText(text, {
                     chat_id: chatId,
-                    message_id: messageId
+                    message_id: messageId,
+                    ...textOptions
                 });
             } else {
                 // Send new message
-                await telegramBot.sendMessage(chatId, commandData.text || 'Команда выполнена');
+                await telegramBot.sendMessage(chatId, text, textOptions);
+            }
+        }
+        else if (commandData.type === 'list') {
+            const { text, keyboard } = await renderListCommand(botData, command, commandData, variables, input.params || {}, escape, missing);
+            const options = {
+                ...textOptions,
+                reply_markup: { inline_keyboard: await packInlineKeyboard(botData.id, keyboard) }
+            };
+
+            if (messageId) {
+                // Pagination and detail views replace the list message
+                editFallback = { text: truncateText(text, 4096), options };
+                await telegramBot.editMessageText(truncateText(text, 4096), {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    ...options
+                });
+            } else {
+                await telegramBot.sendMessage(chatId, truncateText(text, 4096), options);
+            }
+        }
+        else if (MEDIA_COMMAND_TYPES.includes(commandData.type)) {
+            const replyMarkup = commandData.buttons
+                ? { inline_keyboard: await packInlineKeyboard(botData.id, renderButtons(commandData.buttons)) }
+                : null;
+            await executeMediaCommand(botData, commandData, chatId, messageId, {
+                render,
+                renderPlain: (template) => renderTemplate(template, variables, { missing }),
+                textOptions,
+                replyMarkup
+            });
+        }
+        else if (commandData.type === 'form') {
+            // Questions are sent as new messages, answers are handled by handleFormAnswer
+            await startForm(botData, command, commandData, chatId, { ...variables, form: {} }, input.sender);
+        }
+        else if (commandData.type === 'http') {
+            await telegramBot.sendChatAction(chatId, 'typing').catch(() => {});
+            const text = truncateText(await executeHttpCommand(botData, command, commandData, variables, input), 4096) || 'Пустой ответ';
+
+            if (messageId) {
+                editFallback = { text, options: textOptions };
+                await telegramBot.editMessageText(text, {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    ...textOptions
+                });
+            } else {
+                await telegramBot.sendMessage(chatId, text, textOptions);
             }
         }
         else if (commandData.type === 'keyboard') {
             // Reply keyboards can't be edited, always send new message
             const options = {
+                ...textOptions,
                 reply_markup: {
-                    keyboard: commandData.buttons || [],
+                    keyboard: renderButtons(commandData.buttons),
                     resize_keyboard: true,
                     one_time_keyboard: commandData.one_time || false
                 }
             };
             
-            await telegramBot.sendMessage(chatId, commandData.text || 'Выберите действие:', options);
+            await telegramBot.sendMessage(chatId, render(commandData.text || 'Выберите действие:'), options);
         }
         else {
-            // Generic command
-            const text = commandData.text || JSON.stringify(commandData, null, 2);
+            // Generic command: only commands saved before schema validation can have unknown type
+            addLog('WARNING', 'BOT', `Unknown command type "${commandData.type}" in command ${command.name}`, {
+                botId: botData.id,
+                commandName: command.name,
+                commandType: commandData.type
+            });
+            const text = commandData.text ? render(commandData.text) : JSON.stringify(commandData, null, 2);
             
             if (messageId) {
                 // Edit existing message
+                editFallback = { text, options: commandData.text ? textOptions : {} };
                 await telegramBot.editMessageText(text, {
                     chat_id: chatId,
-                    message_id: messageId
+                    message_id: messageId,
+                    ...(commandData.text ? textOptions : {})
                 });
             } else {
                 // Send new message
-                await telegramBot.sendMessage(chatId, text);
+                await telegramBot.sendMessage(chatId, text, commandData.text ? textOptions : {});
             }
         }
 
+        logMissingTemplateVariables(botData, `command ${command.name}`, missing);
+
     } catch (error) {
         addLog('ERROR', 'BOT', `Failed to execute command: ${command.name}`, {
             error: error.message,
             botId: botData.id,
             commandName: command.name
         });
+        addPlaygroundTrace(botData, 'error', { command: command.name, error: error.message });
 
-        const telegramBot = activeBots.get(botData.id);
+        const telegramBot = getTelegramClient(botData);
         if (telegramBot) {
             // If editing failed, try sending a new message
             if (error.message && error.message.includes('message is not modified')) {
@@ -848,17 +4718,12 @@ async function executeCommand(botData, command, chatId, messageId = null, setMul
                 });
                 
                 try {
-                    const commandData = JSON.parse(command.json_code);
-                    if (commandData.type === 'menu') {
-                        const options = {
-                            reply_markup: {
-                                inline_keyboard: commandData.buttons || []
-                            }
-                        };
-                        await telegramBot.sendMessage(chatId, commandData.text || 'Выберите действие:', options);
-                    } else {
-                        await telegramBot.sendMessage(chatId, commandData.text || 'Команда выполнена');
+                    if (!editFallback) {
+                        throw error;
                     }
+
+                    // Options already contain packed inline keyboard of menu and list commands
+                    await telegramBot.sendMessage(chatId, editFallback.text, editFallback.options);
                 } catch (fallbackError) {
                     telegramBot.sendMessage(chatId, 'Ошибка выполнения команды.');
                 }
@@ -870,11 +4735,14 @@ async function executeCommand(botData, command, chatId, messageId = null, setMul
 }
 
 // AI API integration function
-async function callAI(botData, userMessage) {
+// templateContext: { chatId, chat, sender } for template variables in system prompt
+async function callAI(botData, userMessage, attachments = [], templateContext = {}) {
     const { api_url, api_key, ai_model, system_prompt, database_id } = botData;
+    const provider = getAIProvider(botData);
     
     addLog('INFO', 'API', `callAI called for bot ${botData.id}`, {
         botId: botData.id,
+        provider: provider.id,
         hasApiUrl: !!api_url,
         hasApiKey: !!api_key,
         hasModel: !!ai_model,
@@ -882,15 +4750,17 @@ async function callAI(botData, userMessage) {
         databaseId: database_id || 'none'
     });
     
-    if (!api_url || !api_key || !ai_model) {
+    if (!hasConfiguredAITarget(botData)) {
         return 'Бот не настроен правильно. Обратитесь к администратору.';
     }
 
+    let endpoint;
     try {
         // Get database content if database is connected
         let databaseContent = '';
+        let database = null;
         if (database_id) {
-            const database = await new Promise((resolve, reject) => {
+            database = await new Promise((resolve, reject) => {
                 db.get('SELECT * FROM databases WHERE id = ?', [database_id], (err, result) => {
                     if (err) reject(err);
                     else resolve(result);
@@ -906,124 +4776,19 @@ async function callAI(botData, userMessage) {
             }
         }
 
-        let requestBody, headers, endpoint;
-        
-        // Prepare messages array for chat-based APIs
-        const messages = [];
-        
         // Combine system prompt with database content
         let combinedSystemPrompt = '';
         if (system_prompt && system_prompt.trim()) {
-            combinedSystemPrompt = system_prompt.trim();
+            combinedSystemPrompt = renderSystemPrompt(botData, database, templateContext);
         }
         if (databaseContent) {
             combinedSystemPrompt += databaseContent;
         }
-        
-        if (combinedSystemPrompt) {
-            messages.push({
-                role: 'system',
-                content: combinedSystemPrompt
-            });
-        }
-        
-        messages.push({
-            role: 'user',
-            content: userMessage
-        });
 
-        // Standard headers for all APIs
-        headers = {
-            'Authorization': `Bearer ${api_key}`,
-            'Content-Type': 'application/json'
-        };
-
-        // Determine API type and format request
-        if (api_url.includes('langdock.com')) {
-            // LangDock API (Anthropic format) - system prompt handled separately
-            endpoint = api_url;
-            requestBody = {
-                model: ai_model,
-                max_tokens: 1024,
-                messages: messages.filter(msg => msg.role !== 'system') // Remove system messages
-            };
-            
-            // Add combined system prompt (includes database content)
-            if (combinedSystemPrompt) {
-                requestBody.system = combinedSystemPrompt;
-            }
-        }
-        else if (api_url.includes('openai.com') || api_url.includes('api.openai.com')) {
-            // OpenAI API
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
-        }
-        else if (api_url.includes('deepseek.com')) {
-            // DeepSeek API (OpenAI compatible)
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
-        }
-        else if (api_url.includes('anthropic.com')) {
-            // Anthropic Claude API
-            endpoint = api_url;
-            headers['anthropic-version'] = '2023-06-01';
-            requestBody = {
-                model: ai_model,
-                max_tokens: 1024,
-                messages: messages.filter(msg => msg.role !== 'system') // System prompt handled separately
-            };
-            
-            // Add combined system prompt (includes database content)
-            if (combinedSystemPrompt) {
-                requestBody.system = combinedSystemPrompt;
-            }
-        }
-        else if (api_url.includes('googleapis.com') || api_url.includes('generativelanguage')) {
-            // Google Gemini API
-            endpoint = api_url;
-            headers = {
-                'Content-Type': 'application/json'
-            };
-            // Add API key to URL for Google
-            endpoint += `?key=${api_key}`;
-            requestBody = {
-                contents: [{
-                    parts: [{
-                        text: combinedSystemPrompt ? `${combinedSystemPrompt}\n\n${userMessage}` : userMessage
-                    }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 1024,
-                    temperature: 0.7
-                }
-            };
-        }
-        else {
-            // Generic OpenAI-compatible API (fallback)
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
-        }
+        const messages = [{ role: 'user', content: userMessage }];
 
-        addLog('INFO', 'API', `AI Request: ${getAPIType(api_url)} ${ai_model}`, {
-            endpoint: endpoint,
+        addLog('INFO', 'API', `AI Request: ${provider.name} ${ai_model}`, {
+            endpoint: api_url,
             model: ai_model,
             hasSystemPrompt: !!(system_prompt && system_prompt.trim()),
             hasDatabaseContent: !!databaseContent,
@@ -1032,133 +4797,284 @@ async function callAI(botData, userMessage) {
             databaseId: database_id || 'none'
         });
         
-        requestStats.apiCalls++;
-
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(requestBody)
+        addPlaygroundTrace(botData, 'ai_request', {
+            endpoint: api_url,
+            provider: provider.id,
+            model: ai_model,
+            generation: getGenerationParams(botData),
+            systemPrompt: combinedSystemPrompt,
+            messages: messages
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            addLog('ERROR', 'API', `AI API Error: ${response.status} ${response.statusText}`, {
-                endpoint: endpoint,
-                model: ai_model,
-                statusCode: response.status,
-                error: errorText
-            });
-            return `Ошибка AI API (${response.status}): Проверьте настройки ключа и модели.`;
+        const result = await requestAIWithFailover(botData, {
+            systemPrompt: combinedSystemPrompt,
+            messages: messages,
+            attachments: attachments,
+            generation: getGenerationParams(botData)
+        }, { chatId: templateContext.chatId });
+        if (result.error) {
+            addPlaygroundTrace(botData, 'error', { message: result.error });
+            throw new AIUnavailableError(botData, result.error);
         }
-
-        const data = await response.json();
+        const { data, model } = result;
+        endpoint = result.endpoint;
         
         // Log raw response data for debugging
         addLog('INFO', 'API', `RAW AI RESPONSE DATA: ${JSON.stringify(data)}`, {
             endpoint: endpoint,
-            model: ai_model,
+            model: model,
             rawResponseData: data
         });
         
-        addLog('SUCCESS', 'API', `AI Response: ${getAPIType(api_url)} ${ai_model}`, {
+        addLog('SUCCESS', 'API', `AI Response: ${result.provider.name} ${model}`, {
             endpoint: endpoint,
-            model: ai_model,
+            model: model,
             responseLength: JSON.stringify(data).length
         });
         
-        // Parse response based on API type
-        let responseText;
+        const finalResponse = result.provider.parseResponse(data) || 'Получен пустой ответ от AI сервиса.';
+        
+        addPlaygroundTrace(botData, 'ai_response', { text: finalResponse, provider: result.provider.id, model: model });
+
+        // Log final parsed response for debugging
+        addLog('INFO', 'API', `FINAL AI RESPONSE: "${finalResponse}"`, {
+            endpoint: endpoint,
+            model: model,
+            finalResponse: finalResponse,
+            responseLength: finalResponse.length
+        });
+        
+        return finalResponse;
         
-        if (api_url.includes('langdock.com')) {
-            // LangDock response format
-            responseText = data.content?.[0]?.text || data.message?.content;
+    } catch (error) {
+        if (error instanceof AIUnavailableError) {
+            throw error;
         }
-        else if (api_url.includes('openai.com') || api_url.includes('deepseek.com') || api_url.includes('chat/completions')) {
-            // OpenAI/DeepSeek/OpenAI-compatible response format
-            responseText = data.choices?.[0]?.message?.content;
+        addLog('ERROR', 'API', 'AI API Connection Error', {
+            endpoint: endpoint || api_url,
+            model: ai_model,
+            error: error.message,
+            stack: error.stack
+        });
+        throw new AIUnavailableError(botData, error.message);
+    }
+}
+
+// AI API integration function with memory support
+// options: attachments - images for vision models, sender - { id, name } of message author,
+// isGroup - group chat, history messages are prefixed with speaker names
+async function callAIWithMemory(botData, userMessage, chatId, { attachments = [], sender = null, chat = null, isGroup = false } = {}) {
+    addLog('INFO', 'BOT', `Memory check for bot ${botData.id}`, {
+        botId: botData.id,
+        memoryEnabled: botData.memory_enabled,
+        memoryCount: botData.memory_messages_count,
+        chatId: chatId,
+        userMessage: userMessage.substring(0, 50) + '...'
+    });
+
+    // If memory is disabled, use regular AI call
+    if (!botData.memory_enabled) {
+        addLog('INFO', 'BOT', `Memory disabled for bot ${botData.id}, using regular AI call`);
+        return await callAI(botData, userMessage, attachments, { chatId, chat, sender });
+    }
+
+    const { api_url, api_key, ai_model, system_prompt, database_id, memory_messages_count } = botData;
+    const provider = getAIProvider(botData);
+    
+    if (!hasConfiguredAITarget(botData)) {
+        return 'Бот не настроен правильно. Обратитесь к администратору.';
+    }
+
+    let endpoint;
+    try {
+        // Get chat history
+        const chatHistory = await new Promise((resolve, reject) => {
+            const limit = Math.min(memory_messages_count || 5, 50); // Max 50 messages
+            db.all(`SELECT user_message, ai_response, user_name FROM chat_history 
+                    WHERE bot_id = ? AND chat_id = ? 
+                    ORDER BY timestamp DESC 
+                    LIMIT ?`, 
+                [botData.id, chatId, limit], 
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows.reverse()); // Reverse to get chronological order
+                }
+            );
+        });
+
+        // Get database content if database is connected
+        let databaseContent = '';
+        let database = null;
+        if (database_id) {
+            database = await new Promise((resolve, reject) => {
+                db.get('SELECT * FROM databases WHERE id = ?', [database_id], (err, result) => {
+                    if (err) reject(err);
+                    else resolve(result);
+                });
+            });
+            
+            if (database && database.content) {
+                if (database.type === 'text') {
+                    databaseContent = `\n\nБаза знаний:\n${database.content}`;
+                } else if (database.type === 'json') {
+                    databaseContent = `\n\nДанные из базы (JSON):\n${database.content}`;
+                }
+            }
         }
-        else if (api_url.includes('anthropic.com')) {
-            // Anthropic Claude response format
-            responseText = data.content?.[0]?.text;
+
+        // Combine system prompt with database content
+        let combinedSystemPrompt = '';
+        if (system_prompt && system_prompt.trim()) {
+            combinedSystemPrompt = renderSystemPrompt(botData, database, { chatId, chat, sender });
         }
-        else if (api_url.includes('googleapis.com') || api_url.includes('generativelanguage')) {
-            // Google Gemini response format
-            responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (databaseContent) {
+            combinedSystemPrompt += databaseContent;
         }
-        else {
-            // Generic response parsing
-            responseText = data.choices?.[0]?.message?.content || 
-                         data.content?.[0]?.text || 
-                         data.response || 
-                         data.text || 
-                         data.content;
+        if (isGroup) {
+            combinedSystemPrompt += '\n\nЭто групповой чат: сообщения пользователей начинаются с имени автора.';
+            combinedSystemPrompt = combinedSystemPrompt.trim();
         }
 
-        const finalResponse = responseText || 'Получен пустой ответ от AI сервиса.';
+        // Speaker name prefix for group chats
+        const withSpeaker = (text, name) => (isGroup && name ? `${name}: ${text}` : text);
+
+        // Chat history and current user message
+        const messages = [];
+        chatHistory.forEach(historyItem => {
+            messages.push({
+                role: 'user',
+                content: withSpeaker(historyItem.user_message, historyItem.user_name)
+            });
+            messages.push({
+                role: 'assistant',
+                content: historyItem.ai_response
+            });
+        });
+        messages.push({
+            role: 'user',
+            content: withSpeaker(userMessage, sender?.name)
+        });
+
+        addLog('INFO', 'API', `AI Request with memory: ${provider.name} ${ai_model}`, {
+            endpoint: api_url,
+            model: ai_model,
+            hasSystemPrompt: !!combinedSystemPrompt,
+            historyCount: chatHistory.length,
+            userMessage: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : '')
+        });
         
-        // Log final parsed response for debugging
-        addLog('INFO', 'API', `FINAL AI RESPONSE: "${finalResponse}"`, {
-            endpoint: endpoint,
+        addPlaygroundTrace(botData, 'ai_request', {
+            endpoint: api_url,
+            provider: provider.id,
             model: ai_model,
-            finalResponse: finalResponse,
-            responseLength: finalResponse.length
+            generation: getGenerationParams(botData),
+            systemPrompt: combinedSystemPrompt,
+            historyCount: chatHistory.length,
+            messages: messages
+        });
+
+        const result = await requestAIWithFailover(botData, {
+            systemPrompt: combinedSystemPrompt,
+            messages: messages,
+            attachments: attachments,
+            generation: getGenerationParams(botData)
+        }, { chatId });
+        if (result.error) {
+            // Failed exchange is not saved to chat history
+            addPlaygroundTrace(botData, 'error', { message: result.error });
+            throw new AIUnavailableError(botData, result.error);
+        }
+        const { data, model } = result;
+        endpoint = result.endpoint;
+
+        addLog('SUCCESS', 'API', `AI Response with memory: ${result.provider.name} ${model}`, {
+            endpoint: endpoint,
+            model: model,
+            responseLength: JSON.stringify(data).length,
+            historyCount: chatHistory.length
         });
         
+        const finalResponse = result.provider.parseResponse(data) || 'Получен пустой ответ от AI сервиса.';
+        addPlaygroundTrace(botData, 'ai_response', { text: finalResponse, memory: true, provider: result.provider.id, model: model });
+        
+        // Save conversation to chat history
+        db.run(`INSERT INTO chat_history (bot_id, chat_id, user_message, ai_response, user_id, user_name) 
+                VALUES (?, ?, ?, ?, ?, ?)`,
+            [botData.id, chatId, userMessage, finalResponse, sender?.id || null, sender?.name || null],
+            (err) => {
+                if (err) {
+                    addLog('ERROR', 'DATABASE', 'Failed to save chat history', {
+                        botId: botData.id,
+                        chatId: chatId,
+                        error: err.message
+                    });
+                } else {
+                    addLog('INFO', 'DATABASE', 'Chat history saved', {
+                        botId: botData.id,
+                        chatId: chatId,
+                        messageLength: userMessage.length,
+                        responseLength: finalResponse.length
+                    });
+                }
+            }
+        );
+
+        // Clean up old chat history (keep only last 100 messages per chat)
+        // Optimized cleanup with better performance
+        db.run(`DELETE FROM chat_history 
+                WHERE bot_id = ? AND chat_id = ? 
+                AND id NOT IN (
+                    SELECT id FROM chat_history 
+                    WHERE bot_id = ? AND chat_id = ? 
+                    ORDER BY timestamp DESC 
+                    LIMIT 100
+                )`,
+            [botData.id, chatId, botData.id, chatId],
+            (err) => {
+                if (err) {
+                    addLog('WARNING', 'DATABASE', 'Failed to clean up old chat history', {
+                        botId: botData.id,
+                        chatId: chatId,
+                        error: err.message
+                    });
+                }
+            }
+        );
+
         return finalResponse;
         
     } catch (error) {
-        addLog('ERROR', 'API', 'AI API Connection Error', {
+        if (error instanceof AIUnavailableError) {
+            throw error;
+        }
+        addLog('ERROR', 'API', 'AI API Connection Error with memory', {
             endpoint: endpoint || api_url,
             model: ai_model,
             error: error.message,
             stack: error.stack
         });
-        return 'Извините, не удалось связаться с AI сервисом. Проверьте настройки API и подключение к интернету.';
+        throw new AIUnavailableError(botData, error.message);
     }
 }
 
-// AI API integration function with memory support
-async function callAIWithMemory(botData, userMessage, chatId) {
-    addLog('INFO', 'BOT', `Memory check for bot ${botData.id}`, {
-        botId: botData.id,
-        memoryEnabled: botData.memory_enabled,
-        memoryCount: botData.memory_messages_count,
-        chatId: chatId,
-        userMessage: userMessage.substring(0, 50) + '...'
-    });
-
-    // If memory is disabled, use regular AI call
-    if (!botData.memory_enabled) {
-        addLog('INFO', 'BOT', `Memory disabled for bot ${botData.id}, using regular AI call`);
-        return await callAI(botData, userMessage);
-    }
-
-    const { api_url, api_key, ai_model, system_prompt, database_id, memory_messages_count } = botData;
+// AI API streaming function
+async function callAIStreaming(botData, userMessage, res) {
+    const { api_url, api_key, ai_model, system_prompt, database_id } = botData;
+    const provider = getAIProvider(botData);
     
-    if (!api_url || !api_key || !ai_model) {
-        return 'Бот не настроен правильно. Обратитесь к администратору.';
+    if (!hasConfiguredAITarget(botData)) {
+        res.write(`data: ${JSON.stringify({ error: 'Бот не настроен правильно' })}\n\n`);
+        res.end();
+        return;
     }
 
+    let endpoint;
     try {
-        // Get chat history
-        const chatHistory = await new Promise((resolve, reject) => {
-            const limit = Math.min(memory_messages_count || 5, 50); // Max 50 messages
-            db.all(`SELECT user_message, ai_response FROM chat_history 
-                    WHERE bot_id = ? AND chat_id = ? 
-                    ORDER BY timestamp DESC 
-                    LIMIT ?`, 
-                [botData.id, chatId, limit], 
-                (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows.reverse()); // Reverse to get chronological order
-                }
-            );
-        });
-
         // Get database content if database is connected
         let databaseContent = '';
+        let database = null;
         if (database_id) {
-            const database = await new Promise((resolve, reject) => {
+            database = await new Promise((resolve, reject) => {
                 db.get('SELECT * FROM databases WHERE id = ?', [database_id], (err, result) => {
                     if (err) reject(err);
                     else resolve(result);
@@ -1174,451 +5090,879 @@ async function callAIWithMemory(botData, userMessage, chatId) {
             }
         }
 
-        let requestBody, headers, endpoint;
-        
-        // Prepare messages array for chat-based APIs
-        const messages = [];
-        
         // Combine system prompt with database content
         let combinedSystemPrompt = '';
         if (system_prompt && system_prompt.trim()) {
-            combinedSystemPrompt = system_prompt.trim();
+            combinedSystemPrompt = renderSystemPrompt(botData, database);
         }
         if (databaseContent) {
             combinedSystemPrompt += databaseContent;
         }
-        
-        if (combinedSystemPrompt) {
-            messages.push({
-                role: 'system',
-                content: combinedSystemPrompt
-            });
+
+        addLog('INFO', 'API', `AI Streaming Request: ${provider.name} ${ai_model}`, {
+            endpoint: api_url,
+            model: ai_model,
+            hasSystemPrompt: !!(system_prompt && system_prompt.trim()),
+            userMessage: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : '')
+        });
+
+        // Failover works until the first byte of answer, stream is not restarted on another provider
+        const result = await requestAIWithFailover(botData, {
+            systemPrompt: combinedSystemPrompt,
+            messages: [{ role: 'user', content: userMessage }],
+            generation: getGenerationParams(botData)
+        }, { stream: true });
+        if (result.error) {
+            res.write(`data: ${JSON.stringify({ error: getAIErrorMessage(botData) })}\n\n`);
+            res.end();
+            return;
         }
+        const { response } = result;
+        endpoint = result.endpoint;
 
-        // Add chat history to messages
-        chatHistory.forEach(historyItem => {
-            messages.push({
-                role: 'user',
-                content: historyItem.user_message
-            });
-            messages.push({
-                role: 'assistant',
-                content: historyItem.ai_response
+        // Handle streaming response: server-sent events ("data: {...}") or JSON lines (Ollama).
+        // Line can be split between chunks
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let usage = null;
+        let finished = false;
+
+        // Stalled stream is aborted by timeout, reader rejects and connection is released
+        try {
+            while (!finished) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                result.keepAlive();
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+                    if (data === '[DONE]') {
+                        finished = true;
+                        break;
+                    }
+                    if (!data.startsWith('{')) {
+                        continue;
+                    }
+
+                    try {
+                        const event = JSON.parse(data);
+                        usage = mergeAIUsage(usage, result.provider.parseUsage(event));
+                        const content = result.provider.parseStream(event);
+                        if (content) {
+                            res.write(`data: ${JSON.stringify({ content })}\n\n`);
+                        }
+                    } catch (e) {
+                        // Ignore parsing errors for partial data
+                    }
+                }
+            }
+        } catch (error) {
+            recordAIRequest(botData, {
+                model: result.model,
+                provider: result.provider,
+                status: 'error',
+                usage: usage,
+                latencyMs: Date.now() - result.startedAt,
+                error: error.name === 'AbortError' ? 'stream stalled' : error.message
             });
+            throw error;
+        } finally {
+            result.release();
+            reader.cancel().catch(() => {});
+        }
+
+        recordAIRequest(botData, {
+            model: result.model,
+            provider: result.provider,
+            status: 'success',
+            usage: usage,
+            latencyMs: Date.now() - result.startedAt
         });
         
-        // Add current user message
-        messages.push({
-            role: 'user',
-            content: userMessage
+        res.write('data: [DONE]\n\n');
+        res.end();
+
+    } catch (error) {
+        addLog('ERROR', 'API', 'AI Streaming API Connection Error', {
+            endpoint: endpoint || api_url,
+            model: ai_model,
+            error: error.message
         });
+        const message = error.name === 'AbortError' ? 'AI сервис перестал отвечать' : 'Ошибка соединения с AI сервисом';
+        res.write(`data: ${JSON.stringify({ error: message })}\n\n`);
+        res.end();
+    }
+}
 
-        // Standard headers for all APIs
-        headers = {
-            'Authorization': `Bearer ${api_key}`,
-            'Content-Type': 'application/json'
-        };
+// Create Telegram bot instance for the given delivery mode (polling or webhook)
+function createTelegramBot(token, deliveryMode = 'polling') {
+    return new TelegramBot(token, {
+        polling: deliveryMode !== 'webhook',
+        baseApiUrl: TELEGRAM_API_URL
+    });
+}
 
-        // Determine API type and format request
-        if (api_url.includes('langdock.com')) {
-            // LangDock API (Anthropic format) - system prompt handled separately
-            endpoint = api_url;
-            requestBody = {
-                model: ai_model,
-                max_tokens: 1024,
-                messages: messages.filter(msg => msg.role !== 'system') // Remove system messages
-            };
-            
-            // Only add system field if system_prompt exists and is not empty
-            if (combinedSystemPrompt) {
-                requestBody.system = combinedSystemPrompt;
-            }
-        }
-        else if (api_url.includes('openai.com') || api_url.includes('api.openai.com')) {
-            // OpenAI API
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
+// Get public base URL for webhooks (WEBHOOK_BASE_URL env variable overrides settings)
+function getWebhookBaseUrl() {
+    return new Promise((resolve, reject) => {
+        if (process.env.WEBHOOK_BASE_URL) {
+            return resolve(process.env.WEBHOOK_BASE_URL.trim().replace(/\/+$/, ''));
         }
-        else if (api_url.includes('deepseek.com')) {
-            // DeepSeek API (OpenAI compatible)
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
+
+        db.get('SELECT value FROM settings WHERE key = ?', ['webhook_base_url'], (err, row) => {
+            if (err) reject(err);
+            else resolve((row?.value || '').trim().replace(/\/+$/, ''));
+        });
+    });
+}
+
+// Register webhook for a bot, generating its secret token on first use
+async function registerWebhook(telegramBot, bot) {
+    const baseUrl = await getWebhookBaseUrl();
+    if (!baseUrl) {
+        throw new Error('Не указан публичный URL для webhook (Настройки → Telegram)');
+    }
+
+    let secret = bot.webhook_secret;
+    if (!secret) {
+        secret = crypto.randomBytes(24).toString('hex');
+        await new Promise((resolve, reject) => {
+            db.run('UPDATE bots SET webhook_secret = ? WHERE id = ?', [secret, bot.id], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    const webhookUrl = `${baseUrl}/telegram/webhook/${bot.id}/${secret}`;
+    await telegramBot.setWebHook(webhookUrl, { secret_token: secret });
+
+    addLog('SUCCESS', 'TELEGRAM', `Webhook registered for bot ${bot.name}`, {
+        botId: bot.id,
+        botName: bot.name,
+        webhookUrl: `${baseUrl}/telegram/webhook/${bot.id}/***`
+    });
+
+    return webhookUrl;
+}
+
+// Constant-time comparison for webhook secrets
+function webhookSecretMatches(value, secret) {
+    if (!value || !secret) return false;
+
+    const valueBuffer = Buffer.from(String(value));
+    const secretBuffer = Buffer.from(String(secret));
+    return valueBuffer.length === secretBuffer.length && crypto.timingSafeEqual(valueBuffer, secretBuffer);
+}
+
+// Bot supervisor: lifecycle state and automatic restarts with exponential backoff
+// States: starting, running, degraded, backing_off, stopped, failed
+const SUPERVISOR_MAX_RETRIES = 5;
+const SUPERVISOR_BASE_DELAY = 5000; // First restart after 5 seconds, doubled on each retry
+const SUPERVISOR_MAX_DELAY = 5 * 60 * 1000;
+const SUPERVISOR_STABLE_PERIOD = 60000; // Retry counter resets after a minute without errors
+const botSupervisor = new Map();
+
+function getSupervisorRecord(botId) {
+    if (!botSupervisor.has(botId)) {
+        botSupervisor.set(botId, {
+            state: 'stopped',
+            lastError: null,
+            lastErrorAt: null,
+            retries: 0,
+            nextRetryAt: null,
+            updatedAt: new Date().toISOString(),
+            restartTimer: null,
+            stableTimer: null
+        });
+    }
+    return botSupervisor.get(botId);
+}
+
+function clearSupervisorTimers(record) {
+    if (record.restartTimer) {
+        clearTimeout(record.restartTimer);
+        record.restartTimer = null;
+    }
+    if (record.stableTimer) {
+        clearTimeout(record.stableTimer);
+        record.stableTimer = null;
+    }
+}
+
+function setBotState(botId, state, error = null) {
+    const record = getSupervisorRecord(botId);
+    const previousState = record.state;
+
+    record.state = state;
+    record.updatedAt = new Date().toISOString();
+    if (error) {
+        record.lastError = error.message || String(error);
+        record.lastErrorAt = record.updatedAt;
+    }
+    if (state !== 'backing_off') {
+        record.nextRetryAt = null;
+    }
+
+    if (previousState !== state) {
+        addLog(state === 'failed' ? 'ERROR' : 'INFO', 'BOT', `Bot ${botId} state: ${previousState} → ${state}`, {
+            botId: botId,
+            previousState: previousState,
+            state: state,
+            lastError: record.lastError,
+            retries: record.retries
+        });
+    }
+
+    return record;
+}
+
+// Public supervisor state for API responses
+function getBotState(botId, isRunning = false) {
+    const record = botSupervisor.get(botId);
+    if (!record) {
+        return {
+            state: isRunning ? 'running' : 'stopped',
+            lastError: null,
+            lastErrorAt: null,
+            retries: 0,
+            maxRetries: SUPERVISOR_MAX_RETRIES,
+            nextRetryAt: null
+        };
+    }
+
+    return {
+        state: record.state,
+        lastError: record.lastError,
+        lastErrorAt: record.lastErrorAt,
+        retries: record.retries,
+        maxRetries: SUPERVISOR_MAX_RETRIES,
+        nextRetryAt: record.nextRetryAt
+    };
+}
+
+// Bot should be considered running even while it waits for a (re)start
+function isBotExpectedRunning(botId) {
+    const state = botSupervisor.get(botId)?.state;
+    return activeBots.has(botId) || pendingResumeBots.has(botId) || state === 'starting' || state === 'backing_off';
+}
+
+function markBotRunning(botId) {
+    const record = setBotState(botId, 'running');
+    clearSupervisorTimers(record);
+
+    record.stableTimer = setTimeout(() => {
+        record.stableTimer = null;
+        if (record.state === 'running') {
+            record.retries = 0;
         }
-        else if (api_url.includes('anthropic.com')) {
-            // Anthropic Claude API
-            endpoint = api_url;
-            headers['anthropic-version'] = '2023-06-01';
-            requestBody = {
-                model: ai_model,
-                max_tokens: 1024,
-                messages: messages.filter(msg => msg.role !== 'system') // System prompt handled separately
-            };
-            
-            // Only add system field if system_prompt exists and is not empty
-            if (combinedSystemPrompt) {
-                requestBody.system = combinedSystemPrompt;
-            }
+    }, SUPERVISOR_STABLE_PERIOD);
+}
+
+// Transient errors (network) keep polling alive, bot returns to running after a quiet period
+function markBotDegraded(botId, error) {
+    const record = setBotState(botId, 'degraded', error);
+    clearSupervisorTimers(record);
+
+    record.stableTimer = setTimeout(() => {
+        record.stableTimer = null;
+        if (record.state === 'degraded' && activeBots.has(botId)) {
+            markBotRunning(botId);
         }
-        else if (api_url.includes('googleapis.com') || api_url.includes('generativelanguage')) {
-            // Google Gemini API
-            endpoint = api_url;
-            headers = {
-                'Content-Type': 'application/json'
-            };
-            // Add API key to URL for Google
-            endpoint += `?key=${api_key}`;
-            
-            // Convert messages to Gemini format
-            let conversationText = '';
-            if (combinedSystemPrompt) {
-                conversationText += combinedSystemPrompt + '\n\n';
-            }
-            
-            messages.filter(msg => msg.role !== 'system').forEach(msg => {
-                conversationText += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
+    }, SUPERVISOR_STABLE_PERIOD);
+}
+
+// Manual start begins a new supervision cycle
+function resetBotRetries(botId) {
+    const record = getSupervisorRecord(botId);
+    clearSupervisorTimers(record);
+    record.retries = 0;
+}
+
+function forgetBotState(botId) {
+    if (botSupervisor.has(botId)) {
+        clearSupervisorTimers(botSupervisor.get(botId));
+        botSupervisor.delete(botId);
+    }
+}
+
+function markBotStopped(botId) {
+    const record = getSupervisorRecord(botId);
+    clearSupervisorTimers(record);
+    record.retries = 0;
+    setBotState(botId, 'stopped');
+}
+
+function markBotFailed(botId, error) {
+    const record = getSupervisorRecord(botId);
+    clearSupervisorTimers(record);
+    setBotState(botId, 'failed', error);
+
+    db.run('UPDATE bots SET is_running = 0 WHERE id = ?', [botId], (err) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to update status of failed bot', {
+                botId: botId,
+                error: err.message
             });
-            
-            requestBody = {
-                contents: [{
-                    parts: [{
-                        text: conversationText
-                    }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 1024,
-                    temperature: 0.7
-                }
-            };
-        }
-        else {
-            // Generic OpenAI-compatible API (fallback)
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: false
-            };
         }
+    });
+}
 
-        addLog('INFO', 'API', `AI Request with memory: ${getAPIType(api_url)} ${ai_model}`, {
-            endpoint: endpoint,
-            model: ai_model,
-            hasSystemPrompt: !!combinedSystemPrompt,
-            historyCount: chatHistory.length,
-            userMessage: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : '')
-        });
-        
-        requestStats.apiCalls++;
+// Stop failed instance and schedule restart with exponential backoff
+async function handleBotFailure(botId, telegramBot, error, restart = true) {
+    // Ignore errors from instances that were already replaced or stopped
+    if (activeBots.get(botId) !== telegramBot) {
+        return;
+    }
+
+    activeBots.delete(botId);
+    telegramBot.removeAllListeners();
+    try {
+        await telegramBot.stopPolling();
+    } catch (stopError) {
+        // Polling may already be stopped
+    }
+
+    if (restart) {
+        scheduleBotRestart(botId, error);
+    } else {
+        markBotFailed(botId, error);
+    }
+}
+
+function scheduleBotRestart(botId, error) {
+    const record = getSupervisorRecord(botId);
+    clearSupervisorTimers(record);
+
+    // Bot is resumed on next server start instead
+    if (BotManager.shuttingDown) {
+        return;
+    }
 
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(requestBody)
+    if (record.retries >= SUPERVISOR_MAX_RETRIES) {
+        addLog('ERROR', 'BOT', `Bot ${botId} failed after ${record.retries} restart attempts`, {
+            botId: botId,
+            error: error?.message
         });
+        markBotFailed(botId, error);
+        return;
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            addLog('ERROR', 'API', `AI API Error: ${response.status} ${response.statusText}`, {
-                endpoint: endpoint,
-                model: ai_model,
-                statusCode: response.status,
-                error: errorText
+    const delay = Math.min(SUPERVISOR_BASE_DELAY * Math.pow(2, record.retries), SUPERVISOR_MAX_DELAY);
+    record.retries++;
+    setBotState(botId, 'backing_off', error);
+    record.nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+    addLog('WARNING', 'BOT', `Bot ${botId} will restart in ${Math.round(delay / 1000)}s (attempt ${record.retries}/${SUPERVISOR_MAX_RETRIES})`, {
+        botId: botId,
+        delay: delay,
+        attempt: record.retries,
+        error: error?.message
+    });
+
+    record.restartTimer = setTimeout(() => {
+        record.restartTimer = null;
+
+        db.get('SELECT * FROM bots WHERE id = ?', [botId], async (err, bot) => {
+            if (err || !bot || !bot.is_running || record.state !== 'backing_off') {
+                // Bot was deleted or stopped while waiting for restart
+                if (record.state === 'backing_off') {
+                    markBotStopped(botId);
+                }
+                return;
+            }
+
+            BotManager.start(botId, { supervised: true }).catch(() => {
+                // Failure is handled by BotManager (next restart is scheduled)
             });
-            return `Ошибка AI API (${response.status}): Проверьте настройки ключа и модели.`;
-        }
+        });
+    }, delay);
+}
 
-        const data = await response.json();
-        addLog('SUCCESS', 'API', `AI Response with memory: ${getAPIType(api_url)} ${ai_model}`, {
-            endpoint: endpoint,
-            model: ai_model,
-            responseLength: JSON.stringify(data).length,
-            historyCount: chatHistory.length
+// Webhook bots get no polling_error, so the supervisor checks their webhook info periodically
+const WEBHOOK_CHECK_INTERVAL = 5 * 60 * 1000;
+
+async function checkWebhookBot(botId, telegramBot) {
+    const bot = await new Promise((resolve) => {
+        db.get('SELECT * FROM bots WHERE id = ?', [botId], (err, row) => resolve(err ? null : row));
+    });
+    if (!bot || bot.delivery_mode !== 'webhook' || activeBots.get(botId) !== telegramBot) {
+        return;
+    }
+
+    let info;
+    try {
+        info = await telegramBot.getWebHookInfo();
+    } catch (error) {
+        const statusCode = error.response?.statusCode;
+
+        addLog('ERROR', 'BOT', `Webhook check failed for bot ${bot.name}`, {
+            botId: botId,
+            error: error.message,
+            code: error.code,
+            statusCode: statusCode
         });
-        
-        // Parse response based on API type
-        let responseText;
-        
-        if (api_url.includes('langdock.com')) {
-            // LangDock response format
-            responseText = data.content?.[0]?.text || data.message?.content;
-        }
-        else if (api_url.includes('openai.com') || api_url.includes('deepseek.com') || api_url.includes('chat/completions')) {
-            // OpenAI/DeepSeek/OpenAI-compatible response format
-            responseText = data.choices?.[0]?.message?.content;
-        }
-        else if (api_url.includes('anthropic.com')) {
-            // Anthropic Claude response format
-            responseText = data.content?.[0]?.text;
-        }
-        else if (api_url.includes('googleapis.com') || api_url.includes('generativelanguage')) {
-            // Google Gemini response format
-            responseText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+        if (error.code === 'ETELEGRAM' && (statusCode === 401 || statusCode === 404)) {
+            // Invalid or revoked token - restarting won't help
+            handleBotFailure(botId, telegramBot, error, false);
+        } else if (error.code === 'ETELEGRAM' && statusCode >= 500) {
+            handleBotFailure(botId, telegramBot, error);
+        } else {
+            markBotDegraded(botId, error);
         }
-        else {
-            // Generic response parsing
-            responseText = data.choices?.[0]?.message?.content || 
-                         data.content?.[0]?.text || 
-                         data.response || 
-                         data.text || 
-                         data.content;
+        return;
+    }
+
+    const baseUrl = await getWebhookBaseUrl().catch(() => '');
+    const expectedUrl = `${baseUrl}/telegram/webhook/${bot.id}/${bot.webhook_secret}`;
+
+    if (info.url !== expectedUrl) {
+        // Webhook was deleted or replaced outside of this server (e.g. by another deployment)
+        addLog('WARNING', 'BOT', `Webhook of bot ${bot.name} is not registered, registering again`, {
+            botId: botId,
+            hasWebhook: !!info.url
+        });
+
+        try {
+            await registerWebhook(telegramBot, bot);
+        } catch (error) {
+            handleBotFailure(botId, telegramBot, error);
         }
+        return;
+    }
+
+    // Telegram could not deliver updates to this server since the previous check
+    if (info.last_error_message && info.last_error_date * 1000 > Date.now() - WEBHOOK_CHECK_INTERVAL) {
+        addLog('WARNING', 'BOT', `Telegram failed to deliver webhook updates to bot ${bot.name}`, {
+            botId: botId,
+            error: info.last_error_message,
+            pendingUpdates: info.pending_update_count
+        });
+        markBotDegraded(botId, new Error(info.last_error_message));
+    }
+}
+
+// Start Telegram bot instance with message, callback and error handlers
+async function startBot(bot, userId = null) {
+    const id = bot.id;
+
+    setBotState(id, 'starting');
 
-        const finalResponse = responseText || 'Получен пустой ответ от AI сервиса.';
+    // Небольшая задержка перед запуском для избежания конфликтов
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    const telegramBot = createTelegramBot(bot.telegram_token, bot.delivery_mode);
+    
+    // Get bot info from Telegram
+    telegramBot.getMe().then((botInfo) => {
+        addLog('INFO', 'BOT', `Bot info retrieved: @${botInfo.username}`, {
+            botId: id,
+            telegramUsername: botInfo.username,
+            telegramFirstName: botInfo.first_name
+        });
         
-        // Save conversation to chat history
-        db.run(`INSERT INTO chat_history (bot_id, chat_id, user_message, ai_response) 
-                VALUES (?, ?, ?, ?)`,
-            [botData.id, chatId, userMessage, finalResponse],
+        // Update bot info in database
+        db.run(`UPDATE bots SET 
+            telegram_username = ?, 
+            telegram_first_name = ?, 
+            telegram_bot_id = ?,
+            updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?`,
+            [botInfo.username, botInfo.first_name, botInfo.id, id],
             (err) => {
                 if (err) {
-                    addLog('ERROR', 'DATABASE', 'Failed to save chat history', {
-                        botId: botData.id,
-                        chatId: chatId,
+                    addLog('ERROR', 'DATABASE', 'Failed to update bot Telegram info', {
+                        botId: id,
                         error: err.message
                     });
-                } else {
-                    addLog('INFO', 'DATABASE', 'Chat history saved', {
-                        botId: botData.id,
-                        chatId: chatId,
-                        messageLength: userMessage.length,
-                        responseLength: finalResponse.length
-                    });
                 }
             }
         );
+    }).catch((error) => {
+        addLog('WARNING', 'BOT', `Failed to get bot info: ${bot.name}`, {
+            botId: id,
+            error: error.message
+        });
+    });
+    
+    // AI-powered message handler
+    telegramBot.on('message', createBotMessageHandler({ id, ...bot }));
+    
+    // Callback query handler for inline buttons
+    telegramBot.on('callback_query', createCallbackHandler({ id, ...bot }));
 
-        // Clean up old chat history (keep only last 100 messages per chat)
-        // Optimized cleanup with better performance
-        db.run(`DELETE FROM chat_history 
-                WHERE bot_id = ? AND chat_id = ? 
-                AND id NOT IN (
-                    SELECT id FROM chat_history 
-                    WHERE bot_id = ? AND chat_id = ? 
-                    ORDER BY timestamp DESC 
-                    LIMIT 100
-                )`,
-            [botData.id, chatId, botData.id, chatId],
-            (err) => {
-                if (err) {
-                    addLog('WARNING', 'DATABASE', 'Failed to clean up old chat history', {
-                        botId: botData.id,
-                        chatId: chatId,
-                        error: err.message
-                    });
-                }
-            }
-        );
+    // Inline mode handler (@bot query), answers only if inline mode is enabled for bot
+    telegramBot.on('inline_query', createInlineQueryHandler({ id, ...bot }));
 
-        return finalResponse;
-        
-    } catch (error) {
-        addLog('ERROR', 'API', 'AI API Connection Error with memory', {
-            endpoint: endpoint || api_url,
-            model: ai_model,
+    telegramBot.on('polling_error', (error) => {
+        const statusCode = error.response?.statusCode;
+
+        addLog('ERROR', 'BOT', `Polling error for bot ${bot.name}`, {
+            botId: id,
             error: error.message,
-            stack: error.stack
+            code: error.code,
+            statusCode: statusCode
         });
-        return 'Извините, не удалось связаться с AI сервисом. Проверьте настройки API и подключение к интернету.';
+        
+        if (error.code === 'ETELEGRAM' && (statusCode === 401 || statusCode === 404)) {
+            // Invalid or revoked token - restarting won't help
+            handleBotFailure(id, telegramBot, error, false);
+        } else if (error.code === 'ETELEGRAM' && (statusCode === 409 || statusCode >= 500)) {
+            // Conflict (another instance is running) or Telegram server error - restart with backoff
+            addLog('WARNING', 'BOT', `Bot ${bot.name} will be restarted by supervisor`, {
+                botId: id,
+                botName: bot.name,
+                statusCode: statusCode,
+                reason: statusCode === 409 ? 'Telegram API conflict - another instance may be running' : 'Telegram server error'
+            });
+            handleBotFailure(id, telegramBot, error);
+        } else {
+            // Network and parse errors - polling keeps running
+            markBotDegraded(id, error);
+        }
+    });
+
+    // Webhook bots receive updates through /telegram/webhook/:botId/:secret.
+    // Instance is not in activeBots yet, so it's stopped here if registration fails
+    if (bot.delivery_mode === 'webhook') {
+        try {
+            await registerWebhook(telegramBot, bot);
+        } catch (error) {
+            await stopTelegramInstance(telegramBot, bot);
+            throw error;
+        }
     }
+
+    activeBots.set(id, telegramBot);
+    markBotRunning(id);
+
+    // Push command menu to Telegram in background
+    syncTelegramCommands(id, telegramBot).catch(() => {
+        // Error is logged and saved in commands_sync_state
+    });
+    addLog('SUCCESS', 'BOT', `Bot started successfully: ${bot.name}`, {
+        botId: id,
+        name: bot.name,
+        deliveryMode: bot.delivery_mode || 'polling',
+        userId: userId
+    });
+
+    return telegramBot;
 }
 
-// AI API streaming function
-async function callAIStreaming(botData, userMessage, res) {
-    const { api_url, api_key, ai_model, system_prompt, database_id } = botData;
-    
-    if (!api_url || !api_key || !ai_model) {
-        res.write(`data: ${JSON.stringify({ error: 'Бот не настроен правильно' })}\n\n`);
-        res.end();
-        return;
-    }
+// Remove multi-command contexts of all chats for this bot
+function clearBotContexts(botId) {
+    return new Promise((resolve) => {
+        db.run('DELETE FROM multi_command_contexts WHERE bot_id = ?', [botId], function(err) {
+            resolve(err ? 0 : this.changes);
+        });
+    });
+}
+
+// Stop polling, drop webhook and listeners of a Telegram bot instance
+async function stopTelegramInstance(telegramBot, bot) {
+    telegramBot.removeAllListeners();
 
     try {
-        // Get database content if database is connected
-        let databaseContent = '';
-        if (database_id) {
-            const database = await new Promise((resolve, reject) => {
-                db.get('SELECT * FROM databases WHERE id = ?', [database_id], (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
+        await telegramBot.deleteWebHook();
+    } catch (webhookError) {
+        // Webhook может не быть установлен, это нормально
+        addLog('INFO', 'BOT', `Webhook cleanup attempt for bot ${bot.name}: ${webhookError.message}`, {
+            botId: bot.id,
+            name: bot.name
+        });
+    }
+
+    // Останавливаем polling с повторными попытками
+    let stopAttempts = 0;
+    const maxAttempts = 3;
+
+    while (stopAttempts < maxAttempts) {
+        try {
+            await telegramBot.stopPolling();
+            break;
+        } catch (pollingError) {
+            stopAttempts++;
+            addLog('WARNING', 'BOT', `Stop polling attempt ${stopAttempts} failed for bot ${bot.name}: ${pollingError.message}`, {
+                botId: bot.id,
+                name: bot.name,
+                attempt: stopAttempts,
+                error: pollingError.message
             });
-            
-            if (database && database.content) {
-                if (database.type === 'text') {
-                    databaseContent = `\n\nБаза знаний:\n${database.content}`;
-                } else if (database.type === 'json') {
-                    databaseContent = `\n\nДанные из базы (JSON):\n${database.content}`;
-                }
+
+            if (stopAttempts < maxAttempts) {
+                // Ждем перед следующей попыткой
+                await new Promise(resolve => setTimeout(resolve, 1000));
             }
         }
+    }
 
-        let requestBody, headers, endpoint;
-        
-        // Prepare messages array for chat-based APIs
-        const messages = [];
-        
-        // Combine system prompt with database content
-        let combinedSystemPrompt = '';
-        if (system_prompt && system_prompt.trim()) {
-            combinedSystemPrompt = system_prompt.trim();
+    return stopAttempts;
+}
+
+// In-flight starts by bot id: concurrent start requests (toggle, resume, supervisor restart)
+// wait for the same start instead of creating second polling instance for the token
+const botStartLocks = new Map();
+
+// Bot lifecycle manager: the only place where bots are started and stopped.
+// Used by API routes, supervisor restarts, resume after server start and graceful shutdown.
+const BotManager = {
+    // Set by stopAll: no new starts or supervisor restarts during shutdown
+    shuttingDown: false,
+
+    // Start bot with fresh settings from database and mark it as running
+    start(botId, options = {}) {
+        if (botStartLocks.has(botId)) {
+            return botStartLocks.get(botId);
         }
-        if (databaseContent) {
-            combinedSystemPrompt += databaseContent;
+
+        if (this.shuttingDown) {
+            return Promise.reject(new Error('Server is shutting down'));
         }
-        
-        if (combinedSystemPrompt) {
-            messages.push({
-                role: 'system',
-                content: combinedSystemPrompt
+
+        const pending = this.startInstance(botId, options).finally(() => {
+            botStartLocks.delete(botId);
+        });
+        botStartLocks.set(botId, pending);
+        return pending;
+    },
+
+    async startInstance(botId, { userId = null, supervised = false } = {}) {
+        const bot = await new Promise((resolve, reject) => {
+            db.get('SELECT * FROM bots WHERE id = ?', [botId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
             });
-        }
-        
-        messages.push({
-            role: 'user',
-            content: userMessage
         });
 
-        // Standard headers for all APIs
-        headers = {
-            'Authorization': `Bearer ${api_key}`,
-            'Content-Type': 'application/json'
-        };
+        if (!bot) {
+            throw new Error('Bot not found');
+        }
 
-        // Determine API type and format request for streaming
-        if (api_url.includes('openai.com') || api_url.includes('api.openai.com')) {
-            // OpenAI API
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: true
-            };
+        if (activeBots.has(botId)) {
+            return activeBots.get(botId);
         }
-        else if (api_url.includes('deepseek.com')) {
-            // DeepSeek API (OpenAI compatible)
-            endpoint = api_url.endsWith('/chat/completions') ? api_url : `${api_url}/chat/completions`;
-            requestBody = {
-                model: ai_model,
-                messages: messages,
-                max_tokens: 1024,
-                temperature: 0.7,
-                stream: true
-            };
+
+        // Manual start begins a new supervision cycle
+        if (!supervised) {
+            resetBotRetries(botId);
         }
-        else {
-            // For APIs that don't support streaming, fall back to regular call
-            const response = await callAI(botData, userMessage);
-            res.write(`data: ${JSON.stringify({ content: response })}\n\n`);
-            res.write('data: [DONE]\n\n');
-            res.end();
-            return;
+
+        try {
+            const telegramBot = await startBot(bot, userId);
+
+            await new Promise((resolve, reject) => {
+                db.run('UPDATE bots SET is_running = 1 WHERE id = ?', [botId], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+
+            return telegramBot;
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Failed to start bot: ${bot.name}`, {
+                botId: botId,
+                error: error.message,
+                supervised: supervised,
+                userId: userId
+            });
+
+            // Instance may have been registered before the failure
+            const telegramBot = activeBots.get(botId);
+            if (telegramBot) {
+                activeBots.delete(botId);
+                await stopTelegramInstance(telegramBot, bot);
+            }
+
+            if (supervised) {
+                scheduleBotRestart(botId, error);
+            } else {
+                markBotFailed(botId, error);
+            }
+            throw error;
+        }
+    },
+
+    // Stop bot and clear its contexts. persist=false keeps is_running and multi-command contexts
+    // in database (used by restart and shutdown so bots are resumed on next start)
+    async stop(botId, { userId = null, persist = true } = {}) {
+        // Start in progress would register instance after this stop
+        const pendingStart = botStartLocks.get(botId);
+        if (pendingStart) {
+            await pendingStart.catch(() => {});
         }
 
-        addLog('INFO', 'API', `AI Streaming Request: ${getAPIType(api_url)} ${ai_model}`, {
-            endpoint: endpoint,
-            model: ai_model,
-            hasSystemPrompt: !!(system_prompt && system_prompt.trim()),
-            userMessage: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : '')
+        const bot = await new Promise((resolve) => {
+            db.get('SELECT id, name FROM bots WHERE id = ?', [botId], (err, row) => {
+                resolve(row || { id: botId, name: botId });
+            });
         });
-        
-        requestStats.apiCalls++;
 
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(requestBody)
-        });
+        pendingResumeBots.delete(botId);
+        markBotStopped(botId);
+
+        const telegramBot = activeBots.get(botId);
+        if (telegramBot) {
+            // Сначала удаляем из активных ботов чтобы предотвратить новые сообщения
+            activeBots.delete(botId);
+
+            try {
+                const stopAttempts = await stopTelegramInstance(telegramBot, bot);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            addLog('ERROR', 'API', `AI Streaming API Error: ${response.status} ${response.statusText}`, {
-                endpoint: endpoint,
-                model: ai_model,
-                statusCode: response.status,
-                error: errorText
+                addLog('SUCCESS', 'BOT', `Bot stopped and cleaned up successfully: ${bot.name}`, {
+                    botId: botId,
+                    name: bot.name,
+                    userId: userId,
+                    stopAttempts: stopAttempts
+                });
+            } catch (stopError) {
+                addLog('ERROR', 'BOT', `Error stopping bot ${bot.name}: ${stopError.message}`, {
+                    botId: botId,
+                    name: bot.name,
+                    error: stopError.message,
+                    userId: userId
+                });
+            }
+        } else {
+            addLog('INFO', 'BOT', `Bot ${bot.name} was not running`, {
+                botId: botId,
+                name: bot.name,
+                userId: userId
             });
-            res.write(`data: ${JSON.stringify({ error: `Ошибка AI API (${response.status})` })}\n\n`);
-            res.end();
-            return;
         }
 
-        // Handle streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+        if (persist) {
+            const clearedContexts = await clearBotContexts(botId);
+            if (clearedContexts > 0) {
+                addLog('INFO', 'BOT', `Cleared ${clearedContexts} multi-command contexts for bot ${bot.name}`, {
+                    botId: botId
+                });
+            }
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+            await new Promise((resolve, reject) => {
+                db.run('UPDATE bots SET is_running = 0 WHERE id = ?', [botId], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        }
+    },
 
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n');
+    async restart(botId, { userId = null } = {}) {
+        addLog('INFO', 'BOT', `Restarting bot ${botId}`, {
+            botId: botId,
+            userId: userId
+        });
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6);
-                    if (data === '[DONE]') {
-                        res.write('data: [DONE]\n\n');
-                        res.end();
-                        return;
-                    }
-                    
-                    try {
-                        const parsed = JSON.parse(data);
-                        let content = '';
-                        
-                        // Handle different API response formats
-                        if (parsed.choices && parsed.choices[0] && parsed.choices[0].delta && parsed.choices[0].delta.content) {
-                            content = parsed.choices[0].delta.content;
-                        }
-                        
-                        if (content) {
-                            res.write(`data: ${JSON.stringify({ content })}\n\n`);
-                        }
-                    } catch (e) {
-                        // Ignore parsing errors for partial data
-                    }
-                }
-            }
+        await this.stop(botId, { userId, persist: false });
+        return this.start(botId, { userId });
+    },
+
+    status(botId) {
+        const isActive = activeBots.has(botId);
+        return {
+            isActive: isActive,
+            ...getBotState(botId, isActive)
+        };
+    },
+
+    async stopAll() {
+        this.shuttingDown = true;
+
+        // Cancel scheduled restarts of bots that are currently down
+        for (const botId of botSupervisor.keys()) {
+            clearSupervisorTimers(botSupervisor.get(botId));
         }
-        
-        res.write('data: [DONE]\n\n');
-        res.end();
+        pendingResumeBots.clear();
 
-    } catch (error) {
-        addLog('ERROR', 'API', 'AI Streaming API Connection Error', {
-            endpoint: endpoint || api_url,
-            model: ai_model,
-            error: error.message
+        // Starts in progress register their instances when finished, wait for them to stop these too
+        await Promise.allSettled(Array.from(botStartLocks.values()));
+
+        const botIds = Array.from(activeBots.keys());
+        return Promise.allSettled(botIds.map(botId => this.stop(botId, { persist: false })));
+    }
+};
+
+// Resume bots that were running (or marked active) when the server went down
+const BOT_RESUME_INTERVAL = 2000; // Stagger starts to avoid Telegram rate limits and conflicts
+const pendingResumeBots = new Set();
+const botResumeStatus = {
+    inProgress: false,
+    startedAt: null,
+    finishedAt: null,
+    resumed: [],
+    failed: []
+};
+
+async function resumeBots() {
+    const bots = await new Promise((resolve, reject) => {
+        db.all('SELECT * FROM bots WHERE is_running = 1 OR is_active = 1 ORDER BY created_at ASC', (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
         });
-        res.write(`data: ${JSON.stringify({ error: 'Ошибка соединения с AI сервисом' })}\n\n`);
-        res.end();
+    });
+
+    botResumeStatus.inProgress = bots.length > 0;
+    botResumeStatus.startedAt = new Date().toISOString();
+    botResumeStatus.finishedAt = null;
+    botResumeStatus.resumed = [];
+    botResumeStatus.failed = [];
+
+    if (bots.length === 0) {
+        botResumeStatus.finishedAt = new Date().toISOString();
+        return botResumeStatus;
+    }
+
+    bots.forEach(bot => pendingResumeBots.add(bot.id));
+
+    addLog('INFO', 'BOT', `Resuming ${bots.length} bot(s) after server start`, {
+        bots: bots.map(bot => bot.name).join(', ')
+    });
+
+    for (let i = 0; i < bots.length; i++) {
+        const bot = bots[i];
+
+        if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, BOT_RESUME_INTERVAL));
+        }
+
+        // Bot was stopped manually while waiting for its turn
+        if (!pendingResumeBots.has(bot.id)) {
+            continue;
+        }
+
+        try {
+            await BotManager.start(bot.id);
+            botResumeStatus.resumed.push({ id: bot.id, name: bot.name });
+        } catch (error) {
+            botResumeStatus.failed.push({ id: bot.id, name: bot.name, error: error.message });
+
+            addLog('ERROR', 'BOT', `Failed to resume bot: ${bot.name}`, {
+                botId: bot.id,
+                botName: bot.name,
+                error: error.message
+            });
+        } finally {
+            pendingResumeBots.delete(bot.id);
+        }
     }
-}
 
-// Helper function to identify API type
-function getAPIType(api_url) {
-    if (api_url.includes('langdock.com')) return 'LangDock';
-    if (api_url.includes('openai.com')) return 'OpenAI';
-    if (api_url.includes('deepseek.com')) return 'DeepSeek';
-    if (api_url.includes('anthropic.com')) return 'Anthropic';
-    if (api_url.includes('googleapis.com') || api_url.includes('generativelanguage')) return 'Google Gemini';
-    return 'Generic OpenAI-compatible';
+    botResumeStatus.inProgress = false;
+    botResumeStatus.finishedAt = new Date().toISOString();
+
+    addLog(botResumeStatus.failed.length ? 'WARNING' : 'SUCCESS', 'BOT',
+        `Bot resume finished: ${botResumeStatus.resumed.length} started, ${botResumeStatus.failed.length} failed`, {
+            resumed: botResumeStatus.resumed.map(bot => bot.name).join(', '),
+            failed: botResumeStatus.failed.map(bot => `${bot.name} (${bot.error})`).join(', ')
+        });
+
+    return botResumeStatus;
 }
 
 // Middleware to check authentication
@@ -1630,11 +5974,50 @@ const requireAuth = (req, res, next) => {
     }
 };
 
-// Routes
+// Routes
+
+// Serve main page
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Telegram webhook endpoint for bots in webhook delivery mode
+app.post('/telegram/webhook/:botId/:secret', (req, res) => {
+    const { botId, secret } = req.params;
+    const headerSecret = req.get('X-Telegram-Bot-Api-Secret-Token');
+
+    db.get('SELECT id, name, delivery_mode, webhook_secret FROM bots WHERE id = ?', [botId], (err, bot) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to load bot for webhook update', {
+                botId: botId,
+                error: err.message
+            });
+            return res.sendStatus(500);
+        }
+
+        if (!bot || bot.delivery_mode !== 'webhook' ||
+            !webhookSecretMatches(secret, bot.webhook_secret) ||
+            !webhookSecretMatches(headerSecret, bot.webhook_secret)) {
+            addLog('WARNING', 'TELEGRAM', `Rejected webhook update for bot ${botId}`, {
+                botId: botId,
+                hasHeaderSecret: !!headerSecret,
+                ip: req.ip
+            });
+            return res.sendStatus(403);
+        }
 
-// Serve main page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+        const telegramBot = activeBots.get(botId);
+        if (!telegramBot) {
+            addLog('WARNING', 'TELEGRAM', `Webhook update for stopped bot ${bot.name}, ignoring`, {
+                botId: botId,
+                updateId: req.body?.update_id
+            });
+            return res.sendStatus(200);
+        }
+
+        telegramBot.processUpdate(req.body);
+        res.sendStatus(200);
+    });
 });
 
 // Check authentication status
@@ -1691,6 +6074,43 @@ app.post('/api/auth/logout', (req, res) => {
     });
 });
 
+// AI providers for bot and support settings forms
+app.get('/api/ai-providers', requireAuth, (req, res) => {
+    res.json(Object.entries(AI_PROVIDERS).map(([id, provider]) => ({
+        id: id,
+        name: provider.name,
+        defaultUrl: provider.defaultUrl,
+        requiresApiKey: provider.requiresApiKey,
+        supportsModelList: !!provider.listModels
+    })));
+});
+
+// Models available on provider server (Ollama, OpenAI-compatible). Body: { provider, api_url, api_key }.
+// POST keeps API key out of URL and logs
+app.post('/api/ai-providers/models', requireAuth, async (req, res) => {
+    const { provider: providerId, api_url, api_key } = req.body;
+
+    if (!api_url) {
+        return res.status(400).json({ error: 'Укажите API URL' });
+    }
+    const provider = getAIProvider({ ai_provider: providerId, api_url });
+    if (!provider.listModels) {
+        return res.status(400).json({ error: `${provider.name} не поддерживает получение списка моделей` });
+    }
+
+    try {
+        const models = await provider.listModels({ apiUrl: api_url.trim(), apiKey: api_key || '' });
+        res.json({ provider: provider.id, models: [...new Set(models)].sort() });
+    } catch (error) {
+        addLog('WARNING', 'API', `Failed to list models of ${provider.name}: ${error.message}`, {
+            provider: provider.id,
+            apiUrl: api_url,
+            userId: req.session.userId
+        });
+        res.status(502).json({ error: `Не удалось получить список моделей: ${error.message}` });
+    }
+});
+
 // Get all bots
 app.get('/api/bots', requireAuth, (req, res) => {
     db.all('SELECT * FROM bots ORDER BY created_at DESC', (err, bots) => {
@@ -1700,7 +6120,7 @@ app.get('/api/bots', requireAuth, (req, res) => {
         
         // Check if bots are actually running and update status
         bots.forEach(bot => {
-            const isActuallyRunning = activeBots.has(bot.id);
+            const isActuallyRunning = isBotExpectedRunning(bot.id);
             if (bot.is_running && !isActuallyRunning) {
                 // Bot marked as running in DB but not actually running
                 addLog('WARNING', 'BOT', `Bot ${bot.name} marked as running but not active, updating status`, {
@@ -1721,6 +6141,8 @@ app.get('/api/bots', requireAuth, (req, res) => {
                 // Update the bot object for this response
                 bot.is_running = 0;
             }
+
+            bot.supervisor = BotManager.status(bot.id);
         });
         
         res.json(bots);
@@ -1734,12 +6156,14 @@ app.post('/api/bots', requireAuth, (req, res) => {
         tag,
         description,
         telegram_token,
+        ai_provider,
         api_url,
         api_key,
         ai_model,
         database_id,
         system_prompt,
-        is_active
+        is_active,
+        delivery_mode
     } = req.body;
 
     const botId = uuidv4();
@@ -1754,10 +6178,11 @@ app.post('/api/bots', requireAuth, (req, res) => {
 
     db.run(`INSERT INTO bots (
         id, name, username, tag, description, telegram_token, 
-        api_url, api_key, ai_model, database_id, system_prompt, is_active
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ai_provider, api_url, api_key, ai_model, database_id, system_prompt, is_active, delivery_mode
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [botId, name, username, tag, description, telegram_token, 
-     api_url, api_key, ai_model, database_id, system_prompt, is_active ? 1 : 0],
+     normalizeAIProvider(ai_provider, api_url), api_url, api_key, ai_model, database_id, system_prompt, is_active ? 1 : 0,
+     delivery_mode === 'webhook' ? 'webhook' : 'polling'],
     function(err) {
         if (err) {
             addLog('ERROR', 'DATABASE', `Failed to create bot: ${name}`, {
@@ -1786,6 +6211,7 @@ app.put('/api/bots/:id', requireAuth, (req, res) => {
         tag,
         description,
         telegram_token,
+        ai_provider,
         api_url,
         api_key,
         ai_model,
@@ -1793,7 +6219,19 @@ app.put('/api/bots/:id', requireAuth, (req, res) => {
         system_prompt,
         is_active,
         memory_enabled,
-        memory_messages_count
+        memory_messages_count,
+        delivery_mode,
+        media_handling,
+        media_fallback_message,
+        vision_enabled,
+        group_policy,
+        group_allowlist,
+        inline_enabled,
+        inline_cache_seconds,
+        ai_command_detection,
+        handoff_triggers,
+        handoff_message,
+        handoff_return_message
     } = req.body;
 
     // Get current bot data to check if it's running
@@ -1802,61 +6240,82 @@ app.put('/api/bots/:id', requireAuth, (req, res) => {
             return res.status(404).json({ error: 'Bot not found' });
         }
 
+        // Delivery mode is optional in request - keep current mode so running bot isn't re-registered
+        const currentDeliveryMode = currentBot.delivery_mode === 'webhook' ? 'webhook' : 'polling';
+        const deliveryMode = delivery_mode !== undefined
+            ? (delivery_mode === 'webhook' ? 'webhook' : 'polling')
+            : currentDeliveryMode;
+
+        // Media settings are optional in request - keep current values if not sent
+        const mediaHandling = media_handling !== undefined ? normalizeMediaHandling(media_handling) : currentBot.media_handling;
+        const mediaFallbackMessage = media_fallback_message !== undefined ? media_fallback_message : currentBot.media_fallback_message;
+        const visionEnabled = vision_enabled !== undefined ? (vision_enabled ? 1 : 0) : currentBot.vision_enabled;
+        const groupPolicy = GROUP_POLICIES.includes(group_policy) ? group_policy : (currentBot.group_policy || 'mention');
+        const groupAllowlist = group_allowlist !== undefined ? parseGroupAllowlist(group_allowlist).join(', ') : currentBot.group_allowlist;
+        const inlineEnabled = inline_enabled !== undefined ? (inline_enabled ? 1 : 0) : currentBot.inline_enabled;
+        const inlineCacheSeconds = inline_cache_seconds !== undefined
+            ? Math.min(Math.max(parseInt(inline_cache_seconds) || 0, 0), 86400)
+            : currentBot.inline_cache_seconds;
+        const aiCommandDetection = ai_command_detection !== undefined ? (ai_command_detection ? 1 : 0) : currentBot.ai_command_detection;
+        // Empty provider is detected by API URL
+        const aiProvider = normalizeAIProvider(ai_provider !== undefined ? ai_provider : currentBot.ai_provider, api_url);
+        const generation = normalizeGenerationSettings(req.body, currentBot);
+        if (generation.error) {
+            return res.status(400).json({ error: generation.error });
+        }
+        const failover = normalizeFailoverSettings(req.body, currentBot);
+        if (failover.error) {
+            return res.status(400).json({ error: failover.error });
+        }
+        const handoffTriggers = handoff_triggers !== undefined
+            ? parseHandoffTriggers(handoff_triggers || '').join(', ')
+            : currentBot.handoff_triggers;
+        const handoffMessage = handoff_message !== undefined ? (handoff_message || null) : currentBot.handoff_message;
+        const handoffReturnMessage = handoff_return_message !== undefined
+            ? (handoff_return_message || null)
+            : currentBot.handoff_return_message;
+
         // Update bot in database
         db.run(`UPDATE bots SET 
             name = ?, tag = ?, description = ?, telegram_token = ?,
-            api_url = ?, api_key = ?, ai_model = ?, database_id = ?, system_prompt = ?,
-            is_active = ?, memory_enabled = ?, memory_messages_count = ?, updated_at = CURRENT_TIMESTAMP
+            ai_provider = ?, api_url = ?, api_key = ?, ai_model = ?, database_id = ?, system_prompt = ?,
+            ai_temperature = ?, ai_max_tokens = ?, ai_top_p = ?, ai_stop_sequences = ?,
+            ai_fallbacks = ?, ai_max_retries = ?, ai_timeout_seconds = ?, ai_error_message = ?,
+            is_active = ?, memory_enabled = ?, memory_messages_count = ?, delivery_mode = ?,
+            media_handling = ?, media_fallback_message = ?, vision_enabled = ?, group_policy = ?, group_allowlist = ?,
+            inline_enabled = ?, inline_cache_seconds = ?, ai_command_detection = ?,
+            handoff_triggers = ?, handoff_message = ?, handoff_return_message = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?`,
-        [name, tag, description, telegram_token, api_url, api_key, ai_model,
-         database_id, system_prompt, is_active ? 1 : 0, memory_enabled ? 1 : 0, memory_messages_count || 5, id],
+        [name, tag, description, telegram_token, aiProvider, api_url, api_key, ai_model,
+         database_id, system_prompt,
+         generation.values.ai_temperature, generation.values.ai_max_tokens, generation.values.ai_top_p, generation.values.ai_stop_sequences,
+         failover.values.ai_fallbacks, failover.values.ai_max_retries, failover.values.ai_timeout_seconds, failover.values.ai_error_message,
+         is_active ? 1 : 0, memory_enabled ? 1 : 0, memory_messages_count || 5, deliveryMode,
+         mediaHandling, mediaFallbackMessage, visionEnabled, groupPolicy, groupAllowlist,
+         inlineEnabled, inlineCacheSeconds, aiCommandDetection,
+         handoffTriggers, handoffMessage, handoffReturnMessage, id],
         function(err) {
             if (err) {
                 return res.status(500).json({ error: 'Failed to update bot' });
             }
 
-            // If bot is currently running, update its configuration in memory
-            if (currentBot.is_running && activeBots.has(id)) {
-                const runningBot = activeBots.get(id);
-                
-                // Check if Telegram token changed - if yes, need to restart
-                if (currentBot.telegram_token !== telegram_token) {
-                    console.log(`Bot ${name}: Telegram token changed, restarting...`);
-                    
-                    // Stop current bot
-                    runningBot.stopPolling();
-                    activeBots.delete(id);
-                    
-                    // Start with new token
-                    try {
-                        const newTelegramBot = new TelegramBot(telegram_token, { polling: true });
-                        
-                        // Create updated bot data object
-                        const updatedBotData = {
-                            id, name, telegram_token, api_url, api_key, ai_model, system_prompt
-                        };
-                        
-                        newTelegramBot.on('message', createBotMessageHandler(updatedBotData));
-                        newTelegramBot.on('callback_query', createCallbackHandler(updatedBotData));
-                        newTelegramBot.on('polling_error', (error) => {
-                            console.error(`Polling error for bot ${name}:`, error);
-                        });
-                        
-                        activeBots.set(id, newTelegramBot);
-                        console.log(`Bot ${name} restarted with new token`);
-                        
-                    } catch (error) {
-                        console.error(`Failed to restart bot ${name}:`, error);
-                        // Update database to mark bot as not running
-                        db.run('UPDATE bots SET is_running = 0 WHERE id = ?', [id]);
-                    }
-                } else {
-                    // Just update the bot configuration in memory (hot reload)
-                    console.log(`Bot ${name}: Configuration updated (hot reload)`);
-                    
-                    // Update bot data in the active bots store
-                    // The message handler will use fresh data from database on next message
-                }
+            // Cached inline results may depend on old settings
+            clearInlineCache(id);
+
+            // Telegram token or delivery mode changed - running bot has to be restarted.
+            // Other settings are read from database on every message (hot reload)
+            const needsRestart = currentBot.telegram_token !== telegram_token ||
+                currentDeliveryMode !== deliveryMode;
+
+            if (needsRestart && activeBots.has(id)) {
+                addLog('INFO', 'BOT', `Bot ${name}: Telegram token or delivery mode changed, restarting`, {
+                    botId: id,
+                    userId: req.session.userId
+                });
+
+                BotManager.restart(id, { userId: req.session.userId }).catch(() => {
+                    // Failure is logged and reflected in supervisor state by BotManager
+                });
             }
 
             res.json({ success: true, message: 'Bot updated successfully' });
@@ -1878,7 +6337,7 @@ app.post('/api/bots/:id/refresh-info', requireAuth, (req, res) => {
         }
 
         try {
-            const telegramBot = new TelegramBot(bot.telegram_token);
+            const telegramBot = new TelegramBot(bot.telegram_token, { baseApiUrl: TELEGRAM_API_URL });
             
             telegramBot.getMe().then((botInfo) => {
                 addLog('INFO', 'BOT', `Bot info refreshed: @${botInfo.username}`, {
@@ -1944,312 +6403,371 @@ app.post('/api/bots/:id/toggle', requireAuth, (req, res) => {
         const isCurrentlyRunning = bot.is_running;
         const newRunningState = !isCurrentlyRunning;
 
-        if (newRunningState) {
-            // Start bot
-            addLog('INFO', 'BOT', `Starting bot: ${bot.name}`, {
-                botId: id,
-                name: bot.name,
-                userId: req.session.userId
-            });
-            
-            try {
-                // Небольшая задержка перед запуском для избежания конфликтов
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-                const telegramBot = new TelegramBot(bot.telegram_token, { polling: true });
-                
-                // Get bot info from Telegram
-                telegramBot.getMe().then((botInfo) => {
-                    addLog('INFO', 'BOT', `Bot info retrieved: @${botInfo.username}`, {
-                        botId: id,
-                        telegramUsername: botInfo.username,
-                        telegramFirstName: botInfo.first_name
-                    });
-                    
-                    // Update bot info in database
-                    db.run(`UPDATE bots SET 
-                        telegram_username = ?, 
-                        telegram_first_name = ?, 
-                        telegram_bot_id = ?,
-                        updated_at = CURRENT_TIMESTAMP 
-                        WHERE id = ?`,
-                        [botInfo.username, botInfo.first_name, botInfo.id, id],
-                        (err) => {
-                            if (err) {
-                                addLog('ERROR', 'DATABASE', 'Failed to update bot Telegram info', {
-                                    botId: id,
-                                    error: err.message
-                                });
-                            }
-                        }
-                    );
-                }).catch((error) => {
-                    addLog('WARNING', 'BOT', `Failed to get bot info: ${bot.name}`, {
-                        botId: id,
-                        error: error.message
-                    });
-                });
-                
-                // AI-powered message handler
-                telegramBot.on('message', createBotMessageHandler({ id, ...bot }));
-                
-                // Callback query handler for inline buttons
-                telegramBot.on('callback_query', createCallbackHandler({ id, ...bot }));
-
-                telegramBot.on('polling_error', (error) => {
-                    addLog('ERROR', 'BOT', `Polling error for bot ${bot.name}`, {
-                        botId: id,
-                        error: error.message,
-                        code: error.code,
-                        statusCode: error.response?.statusCode
-                    });
-                    
-                    // Handle Telegram conflict (409) - another instance is running
-                    if (error.code === 'ETELEGRAM' && error.response?.statusCode === 409) {
-                        addLog('WARNING', 'BOT', `Bot ${bot.name} stopped due to conflict (another instance running)`, {
-                            botId: id,
-                            statusCode: error.response.statusCode,
-                            botName: bot.name
-                        });
-                        
-                        telegramBot.stopPolling();
-                        activeBots.delete(id);
-                        
-                        // Update database to mark bot as not running
-                        db.run('UPDATE bots SET is_running = 0 WHERE id = ?', [id], (err) => {
-                            if (err) {
-                                addLog('ERROR', 'DATABASE', 'Error updating bot status after conflict', {
-                                    botId: id,
-                                    error: err.message
-                                });
-                            } else {
-                                addLog('INFO', 'DATABASE', `Bot ${bot.name} status updated to stopped after conflict`, {
-                                    botId: id,
-                                    botName: bot.name
-                                });
-                            }
-                        });
-                        
-                        // Don't automatically restart - let user manually restart
-                        addLog('INFO', 'BOT', `Bot ${bot.name} stopped due to conflict. Manual restart required.`, {
-                            botId: id,
-                            botName: bot.name,
-                            reason: 'Telegram API conflict - another instance may be running'
-                        });
-                    }
-                    // Handle other polling errors
-                    else if (error.code === 'ETELEGRAM') {
-                        addLog('ERROR', 'BOT', `Telegram API error for bot ${bot.name}`, {
-                            botId: id,
-                            error: error.message,
-                            code: error.code,
-                            statusCode: error.response?.statusCode,
-                            botName: bot.name
-                        });
-                        
-                        // For other Telegram errors, try to restart after a longer delay
-                        if (error.response?.statusCode >= 500) {
-                            addLog('INFO', 'BOT', `Server error detected, will retry bot ${bot.name} in 60 seconds`, {
-                                botId: id,
-                                statusCode: error.response.statusCode
-                            });
-                            
-                            setTimeout(() => {
-                                if (!activeBots.has(id)) { // Only restart if not already running
-                                    addLog('INFO', 'BOT', `Retrying bot ${bot.name} after server error`, {
-                                        botId: id
-                                    });
-                                    // Trigger restart logic here if needed
-                                }
-                            }, 60000);
-                        }
-                    }
-                });
-
-                activeBots.set(id, telegramBot);
-                addLog('SUCCESS', 'BOT', `Bot started successfully: ${bot.name}`, {
+        try {
+            if (newRunningState) {
+                addLog('INFO', 'BOT', `Starting bot: ${bot.name}`, {
                     botId: id,
                     name: bot.name,
                     userId: req.session.userId
                 });
 
-            } catch (error) {
-                addLog('ERROR', 'BOT', `Failed to start bot: ${bot.name}`, {
+                await BotManager.start(id, { userId: req.session.userId });
+            } else {
+                addLog('INFO', 'BOT', `Stopping bot: ${bot.name}`, {
                     botId: id,
-                    error: error.message,
+                    name: bot.name,
                     userId: req.session.userId
                 });
-                return res.status(500).json({ error: 'Failed to start bot: ' + error.message });
+
+                await BotManager.stop(id, { userId: req.session.userId });
             }
-        } else {
-            // Stop bot
-            addLog('INFO', 'BOT', `Stopping bot: ${bot.name}`, {
-                botId: id,
-                name: bot.name,
-                userId: req.session.userId
-            });
-            
-            const telegramBot = activeBots.get(id);
-            if (telegramBot) {
-                try {
-                    addLog('INFO', 'BOT', `Attempting to stop bot ${bot.name}...`, {
-                        botId: id,
-                        name: bot.name,
-                        userId: req.session.userId
-                    });
-                    
-                    // Сначала удаляем из активных ботов чтобы предотвратить новые сообщения
-                    activeBots.delete(id);
-                    
-                    // Удаляем все обработчики событий
-                    telegramBot.removeAllListeners();
-                    
-                    // Очищаем webhook если он был установлен
-                    try {
-                        await telegramBot.deleteWebHook();
-                        addLog('INFO', 'BOT', `Webhook cleared for bot ${bot.name}`, {
-                            botId: id,
-                            name: bot.name
-                        });
-                    } catch (webhookError) {
-                        // Webhook может не быть установлен, это нормально
-                        addLog('INFO', 'BOT', `Webhook cleanup attempt for bot ${bot.name}: ${webhookError.message}`, {
-                            botId: id,
-                            name: bot.name
-                        });
-                    }
-                    
-                    // Останавливаем polling с повторными попытками
-                    let stopAttempts = 0;
-                    const maxAttempts = 3;
-                    
-                    while (stopAttempts < maxAttempts) {
-                        try {
-                            await telegramBot.stopPolling();
-                            addLog('SUCCESS', 'BOT', `Bot polling stopped successfully: ${bot.name} (attempt ${stopAttempts + 1})`, {
-                                botId: id,
-                                name: bot.name,
-                                attempt: stopAttempts + 1
-                            });
-                            break;
-                        } catch (pollingError) {
-                            stopAttempts++;
-                            addLog('WARNING', 'BOT', `Stop polling attempt ${stopAttempts} failed for bot ${bot.name}: ${pollingError.message}`, {
-                                botId: id,
-                                name: bot.name,
-                                attempt: stopAttempts,
-                                error: pollingError.message
-                            });
-                            
-                            if (stopAttempts < maxAttempts) {
-                                // Ждем перед следующей попыткой
-                                await new Promise(resolve => setTimeout(resolve, 1000));
-                            }
-                        }
-                    }
-                    
-                    // Очищаем контексты мульти-команд для этого бота
-                    for (const [contextKey, contextValue] of multiCommandContexts.entries()) {
-                        if (contextKey.startsWith(`${id}_`)) {
-                            multiCommandContexts.delete(contextKey);
-                        }
-                    }
-                    
-                    // Дополнительная задержка для полной остановки
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                    
-                    addLog('SUCCESS', 'BOT', `Bot stopped and cleaned up successfully: ${bot.name}`, {
-                        botId: id,
-                        name: bot.name,
-                        userId: req.session.userId,
-                        stopAttempts: stopAttempts
-                    });
-                } catch (stopError) {
-                    addLog('ERROR', 'BOT', `Error stopping bot ${bot.name}: ${stopError.message}`, {
-                        botId: id,
-                        name: bot.name,
-                        error: stopError.message,
-                        userId: req.session.userId
-                    });
-                    
-                    // Принудительно удаляем из активных ботов даже при ошибке
-                    activeBots.delete(id);
-                }
+        } catch (error) {
+            const action = newRunningState ? 'start' : 'stop';
+            return res.status(500).json({ error: `Failed to ${action} bot: ` + error.message });
+        }
+
+        const action = newRunningState ? 'started' : 'stopped';
+        res.json({ 
+            success: true, 
+            message: `Bot ${action} successfully`,
+            isRunning: newRunningState,
+            supervisor: BotManager.status(id)
+        });
+    });
+});
+
+// Delete bot
+app.delete('/api/bots/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    // Stop bot if running and cancel pending supervisor restarts
+    try {
+        await BotManager.stop(id, { userId: req.session.userId, persist: false });
+    } catch (stopError) {
+        addLog('ERROR', 'BOT', `Error stopping bot during deletion: ${stopError.message}`, {
+            botId: id,
+            error: stopError.message,
+            userId: req.session.userId
+        });
+    }
+    forgetBotState(id);
+    await clearBotContexts(id);
+    db.run('DELETE FROM form_sessions WHERE bot_id = ?', [id]);
+    db.run('DELETE FROM chat_handoffs WHERE bot_id = ?', [id]);
+    db.run('DELETE FROM handoff_messages WHERE bot_id = ?', [id]);
+    db.run('DELETE FROM form_submissions WHERE bot_id = ?', [id]);
+    db.run('DELETE FROM callback_payloads WHERE bot_id = ?', [id]);
+    db.run('DELETE FROM media_telegram_files WHERE bot_id = ?', [id]);
+    // ai_requests are kept: spending history stays on dashboard as "удалённый бот"
+
+    db.run('DELETE FROM bots WHERE id = ?', [id], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to delete bot' });
+        }
+        res.json({ success: true, message: 'Bot deleted successfully' });
+    });
+});
+
+// Playground: run message or button press through the bot pipeline without Telegram.
+// Body: { text } or { callback_data, message_id }, live_requests: true to call external APIs.
+// Returns replies the bot would send and trace
+app.post('/api/bots/:botId/playground', requireAuth, (req, res) => {
+    const { botId } = req.params;
+    const { text, callback_data, message_id, language_code, live_requests } = req.body;
+
+    if (!(typeof text === 'string' && text.trim()) && !(typeof callback_data === 'string' && callback_data)) {
+        return res.status(400).json({ error: 'Нужен текст сообщения или callback_data' });
+    }
+
+    db.get('SELECT * FROM bots WHERE id = ?', [botId], async (err, bot) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!bot) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+
+        const chatId = getPlaygroundChatId(req.session.userId);
+        const playground = { client: createPlaygroundClient(), trace: [], chatId, liveRequests: live_requests === true };
+        const botData = { ...bot, playground };
+        const chat = { id: chatId, type: 'private', first_name: 'Playground' };
+        const from = {
+            id: req.session.userId,
+            is_bot: false,
+            first_name: 'Playground',
+            username: 'playground',
+            language_code: language_code || 'ru'
+        };
+
+        addLog('INFO', 'BOT', `Playground ${callback_data ? 'callback' : 'message'} for bot ${bot.name}`, {
+            botId: botId,
+            text: text,
+            callbackData: callback_data,
+            liveRequests: playground.liveRequests,
+            userId: req.session.userId
+        });
+
+        try {
+            if (callback_data) {
+                await processCallbackQuery(botData, {
+                    id: `playground-${Date.now()}`,
+                    from: from,
+                    data: callback_data,
+                    message: { message_id: Number(message_id) || 0, date: Math.floor(Date.now() / 1000), chat: chat }
+                });
             } else {
-                addLog('INFO', 'BOT', `Bot ${bot.name} was not running`, {
-                    botId: id,
-                    name: bot.name,
-                    userId: req.session.userId
+                await processBotMessage(botData, {
+                    message_id: ++playgroundMessageId,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: chat,
+                    from: from,
+                    text: text.trim()
                 });
             }
+            res.json({ success: true, replies: playground.client.replies, trace: playground.trace });
+        } catch (error) {
+            addLog('ERROR', 'BOT', `Playground failed for bot ${bot.name}`, {
+                botId: botId,
+                error: error.message
+            });
+            res.status(500).json({ error: error.message, replies: playground.client.replies, trace: playground.trace });
+        }
+    });
+});
+
+// Reset playground chat: memory, multi-command context, unfinished form and operator handoff
+app.delete('/api/bots/:botId/playground', requireAuth, async (req, res) => {
+    const { botId } = req.params;
+    const chatId = getPlaygroundChatId(req.session.userId);
+
+    try {
+        await clearMultiCommandContext(botId, chatId);
+        await clearFormSession(botId, chatId);
+        db.run('DELETE FROM chat_handoffs WHERE bot_id = ? AND chat_id = ?', [botId, chatId]);
+        db.run('DELETE FROM handoff_messages WHERE bot_id = ? AND chat_id = ?', [botId, chatId]);
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM chat_history WHERE bot_id = ? AND chat_id = ?', [botId, chatId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Operator handoff: chats waiting for operator or handled by operator, across all bots.
+// Playground chats can't be answered through Telegram and are not listed
+app.get('/api/handoffs', requireAuth, (req, res) => {
+    db.all(`SELECT h.*, b.name AS bot_name, u.email AS operator_email,
+            (SELECT text FROM handoff_messages m WHERE m.bot_id = h.bot_id AND m.chat_id = h.chat_id
+             ORDER BY m.id DESC LIMIT 1) AS last_message
+            FROM chat_handoffs h
+            JOIN bots b ON b.id = h.bot_id
+            LEFT JOIN users u ON u.id = h.operator_id
+            WHERE h.chat_id NOT LIKE 'playground-%'
+            ORDER BY h.status = 'waiting' DESC, h.last_message_at DESC`, (err, handoffs) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch handoffs' });
+        }
+        res.json(handoffs);
+    });
+});
+
+// Conversation of chat: AI memory before handoff and handoff messages, oldest first.
+// Opening the conversation marks user messages as read
+app.get('/api/bots/:botId/handoffs/:chatId/messages', requireAuth, async (req, res) => {
+    const { botId, chatId } = req.params;
+
+    try {
+        const history = await new Promise((resolve, reject) => {
+            db.all(`SELECT user_message, ai_response, user_name, timestamp FROM chat_history
+                    WHERE bot_id = ? AND chat_id = ? ORDER BY timestamp DESC LIMIT 20`, [botId, chatId], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.reverse());
+            });
+        });
+        const handoffMessages = await new Promise((resolve, reject) => {
+            db.all(`SELECT sender, text, operator_id, created_at FROM handoff_messages
+                    WHERE bot_id = ? AND chat_id = ? ORDER BY id DESC LIMIT 200`, [botId, chatId], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.reverse());
+            });
+        });
+
+        const messages = [];
+        history.forEach(row => {
+            messages.push({ sender: 'user', text: row.user_message, created_at: row.timestamp, source: 'history' });
+            messages.push({ sender: 'bot', text: row.ai_response, created_at: row.timestamp, source: 'history' });
+        });
+        handoffMessages.forEach(row => messages.push({ ...row, source: 'handoff' }));
+        // Both tables use CURRENT_TIMESTAMP format, stable sort keeps order inside each table
+        messages.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+        db.run('UPDATE chat_handoffs SET unread_count = 0 WHERE bot_id = ? AND chat_id = ?', [botId, chatId]);
+        res.json({ handoff: await getChatHandoff(botId, chatId), messages });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Operator takes the chat: other operators see who handles it
+app.post('/api/bots/:botId/handoffs/:chatId/take', requireAuth, (req, res) => {
+    const { botId, chatId } = req.params;
+
+    db.run(`UPDATE chat_handoffs SET status = 'active', operator_id = ? WHERE bot_id = ? AND chat_id = ?`,
+        [req.session.userId, botId, chatId], function(err) {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ error: 'Чат не передан оператору' });
+            }
+            res.json({ success: true });
+        }
+    );
+});
+
+// Send operator message to user through the bot
+app.post('/api/bots/:botId/handoffs/:chatId/reply', requireAuth, async (req, res) => {
+    const { botId, chatId } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+        return res.status(400).json({ error: 'Введите текст сообщения' });
+    }
+    if (!await getChatHandoff(botId, chatId)) {
+        return res.status(404).json({ error: 'Чат не передан оператору' });
+    }
+
+    const telegramBot = activeBots.get(botId);
+    if (!telegramBot) {
+        return res.status(409).json({ error: 'Бот не запущен, сообщение не может быть отправлено' });
+    }
+
+    try {
+        await telegramBot.sendMessage(chatId, text);
+    } catch (error) {
+        addLog('ERROR', 'BOT', `Operator reply to chat ${chatId} failed: ${error.message}`, {
+            botId: botId,
+            chatId: chatId,
+            error: error.message,
+            userId: req.session.userId
+        });
+        return res.status(502).json({ error: `Telegram: ${error.message}` });
+    }
+
+    await recordHandoffMessage(botId, chatId, 'operator', text, req.session.userId);
+    db.run(`UPDATE chat_handoffs SET status = 'active', operator_id = ?, unread_count = 0 WHERE bot_id = ? AND chat_id = ?`,
+        [req.session.userId, botId, chatId]);
+
+    addLog('INFO', 'BOT', `Operator replied in chat ${chatId}`, {
+        botId: botId,
+        chatId: chatId,
+        userId: req.session.userId
+    });
+    res.json({ success: true });
+});
+
+// Return chat to AI, user gets handoff_return_message
+app.post('/api/bots/:botId/handoffs/:chatId/release', requireAuth, (req, res) => {
+    const { botId, chatId } = req.params;
+
+    db.get('SELECT * FROM bots WHERE id = ?', [botId], async (err, bot) => {
+        if (err) {
+            return res.status(500).json({ error: 'Database error' });
+        }
+        if (!bot) {
+            return res.status(404).json({ error: 'Bot not found' });
         }
 
-        // Update database
-        db.run('UPDATE bots SET is_running = ? WHERE id = ?', [newRunningState ? 1 : 0, id], (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to update bot status' });
-            }
-            
-            const action = newRunningState ? 'started' : 'stopped';
-            res.json({ 
-                success: true, 
-                message: `Bot ${action} successfully`,
-                isRunning: newRunningState 
-            });
-        });
+        if (!await endHandoff(bot, chatId, req.session.userId)) {
+            return res.status(404).json({ error: 'Чат не передан оператору' });
+        }
+        res.json({ success: true });
     });
 });
 
-// Delete bot
-app.delete('/api/bots/:id', requireAuth, async (req, res) => {
-    const { id } = req.params;
+// Media files for photo/document commands. File is sent as raw body:
+// Content-Type: application/octet-stream, X-File-Name and X-File-Type headers
+app.get('/api/media', requireAuth, (req, res) => {
+    db.all('SELECT id, name, mime_type, size, created_at FROM media_files ORDER BY created_at DESC', (err, files) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch media files' });
+        }
+        res.json(files);
+    });
+});
 
-    // Stop bot if running
-    const telegramBot = activeBots.get(id);
-    if (telegramBot) {
-        try {
-            await telegramBot.stopPolling();
-            telegramBot.removeAllListeners();
-            
-            try {
-                await telegramBot.deleteWebHook();
-            } catch (webhookError) {
-                // Webhook может не быть установлен, это нормально
-                addLog('INFO', 'BOT', `Webhook cleanup during deletion: ${webhookError.message}`, {
-                    botId: id
+app.post('/api/media', requireAuth, express.raw({ type: 'application/octet-stream', limit: MEDIA_UPLOAD_MAX_SIZE }), (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'File is empty' });
+    }
+
+    const id = crypto.randomUUID();
+    // Name is URI-encoded by the panel, malformed encoding is kept as is
+    const rawName = req.get('X-File-Name') || 'file';
+    let name;
+    try {
+        name = decodeURIComponent(rawName);
+    } catch (error) {
+        name = rawName;
+    }
+    name = name.substring(0, 255);
+    const mimeType = req.get('X-File-Type') || 'application/octet-stream';
+
+    db.run('INSERT INTO media_files (id, name, mime_type, size, data) VALUES (?, ?, ?, ?, ?)',
+        [id, name, mimeType, req.body.length, req.body], (err) => {
+            if (err) {
+                addLog('ERROR', 'DATABASE', 'Failed to save media file', {
+                    name: name,
+                    error: err.message
                 });
+                return res.status(500).json({ error: 'Failed to save media file' });
             }
-            
-            activeBots.delete(id);
-            
-            // Очищаем контексты мульти-команд для этого бота
-            for (const [contextKey, contextValue] of multiCommandContexts.entries()) {
-                if (contextKey.startsWith(`${id}_`)) {
-                    multiCommandContexts.delete(contextKey);
-                }
-            }
-            
-            addLog('INFO', 'BOT', `Bot stopped and cleaned up for deletion`, {
-                botId: id,
-                userId: req.session.userId
-            });
-        } catch (stopError) {
-            addLog('ERROR', 'BOT', `Error stopping bot during deletion: ${stopError.message}`, {
-                botId: id,
-                error: stopError.message,
+
+            addLog('SUCCESS', 'SYSTEM', `Media file uploaded: ${name}`, {
+                mediaId: id,
+                size: req.body.length,
                 userId: req.session.userId
             });
-            
-            // Принудительно удаляем из активных ботов даже при ошибке
-            activeBots.delete(id);
+            res.json({ success: true, id, name, mime_type: mimeType, size: req.body.length, reference: MEDIA_REFERENCE_PREFIX + id });
         }
-    }
+    );
+});
 
-    db.run('DELETE FROM bots WHERE id = ?', [id], function(err) {
+app.get('/api/media/:id/file', requireAuth, (req, res) => {
+    db.get('SELECT name, mime_type, data FROM media_files WHERE id = ?', [req.params.id], (err, file) => {
+        if (err || !file) {
+            return res.status(404).json({ error: 'Media file not found' });
+        }
+        const mimeType = file.mime_type || 'application/octet-stream';
+        const disposition = MEDIA_INLINE_MIME_TYPES.includes(mimeType.toLowerCase()) ? 'inline' : 'attachment';
+        res.set('Content-Type', mimeType);
+        res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.send(file.data);
+    });
+});
+
+app.delete('/api/media/:id', requireAuth, (req, res) => {
+    const { id } = req.params;
+
+    db.run('DELETE FROM media_files WHERE id = ?', [id], function(err) {
         if (err) {
-            return res.status(500).json({ error: 'Failed to delete bot' });
+            return res.status(500).json({ error: 'Failed to delete media file' });
         }
-        res.json({ success: true, message: 'Bot deleted successfully' });
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Media file not found' });
+        }
+
+        db.run('DELETE FROM media_telegram_files WHERE media_id = ?', [id]);
+        addLog('INFO', 'SYSTEM', `Media file ${id} deleted`, {
+            mediaId: id,
+            userId: req.session.userId
+        });
+        res.json({ success: true });
     });
 });
 
@@ -2432,7 +6950,9 @@ app.get('/api/dashboard/stats', requireAuth, (req, res) => {
             (SELECT COUNT(*) FROM bots) as totalBots,
             (SELECT COUNT(*) FROM bots WHERE is_active = 1) as activeBots,
             (SELECT COUNT(*) FROM bots WHERE is_running = 1) as runningBots,
-            (SELECT COUNT(*) FROM databases) as totalDatabases
+            (SELECT COUNT(*) FROM databases) as totalDatabases,
+            (SELECT COUNT(*) FROM ai_requests WHERE status = 'success' AND ${notPlaygroundChatSql()}) as aiRequests,
+            (SELECT COALESCE(SUM(cost), 0) FROM ai_requests WHERE ${notPlaygroundChatSql()}) as aiCost
     `;
     
     db.get(statsQuery, (err, stats) => {
@@ -2449,6 +6969,9 @@ app.get('/api/dashboard/stats', requireAuth, (req, res) => {
             activeBots: stats.activeBots || 0,
             runningBots: stats.runningBots || 0,
             totalDatabases: stats.totalDatabases || 0,
+            aiRequests: stats.aiRequests || 0,
+            aiCost: stats.aiCost || 0,
+            botResume: botResumeStatus,
             ...requestStats,
             uptime: Date.now() - requestStats.startTime.getTime(),
             memoryUsage: process.memoryUsage()
@@ -2456,34 +6979,29 @@ app.get('/api/dashboard/stats', requireAuth, (req, res) => {
     });
 });
 
-// Dashboard chart data - messages over time
-app.get('/api/dashboard/charts/messages', requireAuth, (req, res) => {
-    const { period = '24h' } = req.query;
-    
-    let dateFilter;
-    let groupBy;
-    
+// Chart period: SQL filter and time bucket for the given timestamp column
+function getChartPeriodSql(period, column) {
     switch (period) {
         case '1h':
-            dateFilter = "datetime(timestamp) >= datetime('now', '-1 hour')";
-            groupBy = "strftime('%H:%M', timestamp)";
-            break;
-        case '24h':
-            dateFilter = "datetime(timestamp) >= datetime('now', '-1 day')";
-            groupBy = "strftime('%H:00', timestamp)";
-            break;
+            return { dateFilter: `datetime(${column}) >= datetime('now', '-1 hour')`, groupBy: `strftime('%H:%M', ${column})` };
         case '7d':
-            dateFilter = "datetime(timestamp) >= datetime('now', '-7 days')";
-            groupBy = "strftime('%m-%d', timestamp)";
-            break;
+            return { dateFilter: `datetime(${column}) >= datetime('now', '-7 days')`, groupBy: `strftime('%m-%d', ${column})` };
         case '30d':
-            dateFilter = "datetime(timestamp) >= datetime('now', '-30 days')";
-            groupBy = "strftime('%m-%d', timestamp)";
-            break;
+            return { dateFilter: `datetime(${column}) >= datetime('now', '-30 days')`, groupBy: `strftime('%m-%d', ${column})` };
         default:
-            dateFilter = "datetime(timestamp) >= datetime('now', '-1 day')";
-            groupBy = "strftime('%H:00', timestamp)";
+            return { dateFilter: `datetime(${column}) >= datetime('now', '-1 day')`, groupBy: `strftime('%H:00', ${column})` };
     }
+}
+
+// Name of bot in AI usage: requests without bot are AI support, usage of deleted bots is kept under bot id
+const AI_USAGE_BOT_NAME_SQL = `CASE WHEN r.bot_id IS NULL THEN 'AI поддержка' ELSE COALESCE(b.name, 'удалённый бот ' || r.bot_id) END`;
+
+const CHART_COLORS = ['168, 85, 247', '59, 130, 246', '16, 185, 129', '245, 158, 11', '239, 68, 68', '236, 72, 153'];
+
+// Dashboard chart data - messages over time
+app.get('/api/dashboard/charts/messages', requireAuth, (req, res) => {
+    const { period = '24h' } = req.query;
+    const { dateFilter, groupBy } = getChartPeriodSql(period, 'timestamp');
     
     const query = `
         SELECT 
@@ -2491,7 +7009,7 @@ app.get('/api/dashboard/charts/messages', requireAuth, (req, res) => {
             COUNT(*) as messageCount,
             COUNT(DISTINCT chat_id) as uniqueChats
         FROM chat_history 
-        WHERE ${dateFilter}
+        WHERE ${dateFilter} AND ${notPlaygroundChatSql()}
         GROUP BY ${groupBy}
         ORDER BY timestamp ASC
     `;
@@ -2531,69 +7049,145 @@ app.get('/api/dashboard/charts/messages', requireAuth, (req, res) => {
     });
 });
 
-// Dashboard chart data - AI requests
+// Dashboard chart data - AI requests per bot over time
 app.get('/api/dashboard/charts/ai-requests', requireAuth, (req, res) => {
     const { period = '24h' } = req.query;
-    
-    // Since we don't have AI request history in DB, use request stats and generate mock data
-    const now = Date.now();
-    const labels = [];
-    const data = [];
-    
-    let points, interval, format;
-    
-    switch (period) {
-        case '1h':
-            points = 12; // 5-minute intervals
-            interval = 5 * 60 * 1000;
-            format = 'HH:mm';
-            break;
-        case '24h':
-            points = 24; // hourly
-            interval = 60 * 60 * 1000;
-            format = 'HH:00';
-            break;
-        case '7d':
-            points = 7; // daily
-            interval = 24 * 60 * 60 * 1000;
-            format = 'MM-dd';
-            break;
-        case '30d':
-            points = 30; // daily
-            interval = 24 * 60 * 60 * 1000;
-            format = 'MM-dd';
-            break;
-        default:
-            points = 24;
-            interval = 60 * 60 * 1000;
-            format = 'HH:00';
+    const { dateFilter, groupBy } = getChartPeriodSql(period, 'r.created_at');
+
+    db.all(`SELECT ${groupBy} as timeLabel, r.bot_id as botId, ${AI_USAGE_BOT_NAME_SQL} as botName,
+                   COUNT(*) as requests, MIN(r.created_at) as firstAt
+            FROM ai_requests r
+            LEFT JOIN bots b ON b.id = r.bot_id
+            WHERE ${dateFilter} AND r.status = 'success' AND ${notPlaygroundChatSql('r.chat_id')}
+            GROUP BY timeLabel, r.bot_id
+            ORDER BY firstAt ASC`, (err, results) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to fetch AI requests chart data', {
+                error: err.message,
+                period: period
+            });
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        const labels = [...new Set(results.map(r => r.timeLabel))];
+        const bots = new Map();
+        results.forEach(r => {
+            if (!bots.has(r.botId)) {
+                bots.set(r.botId, { name: r.botName, data: new Array(labels.length).fill(0) });
+            }
+            bots.get(r.botId).data[labels.indexOf(r.timeLabel)] = r.requests;
+        });
+
+        res.json({
+            labels,
+            datasets: [...bots.values()].map((bot, index) => {
+                const color = CHART_COLORS[index % CHART_COLORS.length];
+                return {
+                    label: bot.name,
+                    data: bot.data,
+                    backgroundColor: `rgba(${color}, 0.1)`,
+                    borderColor: `rgb(${color})`,
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
+                };
+            })
+        });
+    });
+});
+
+// Dashboard chart data - tokens and cost per model
+app.get('/api/dashboard/charts/ai-models', requireAuth, (req, res) => {
+    const { period = '24h' } = req.query;
+    const { dateFilter } = getChartPeriodSql(period, 'created_at');
+
+    db.all(`SELECT model, COUNT(*) as requests,
+                   COALESCE(SUM(prompt_tokens), 0) as promptTokens,
+                   COALESCE(SUM(completion_tokens), 0) as completionTokens,
+                   COALESCE(SUM(cost), 0) as cost
+            FROM ai_requests
+            WHERE ${dateFilter} AND status = 'success' AND ${notPlaygroundChatSql()}
+            GROUP BY model
+            ORDER BY promptTokens + completionTokens DESC
+            LIMIT 10`, (err, results) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to fetch AI models chart data', {
+                error: err.message,
+                period: period
+            });
+            return res.status(500).json({ error: 'Database error' });
+        }
+
+        res.json({
+            labels: results.map(r => r.model),
+            requests: results.map(r => r.requests),
+            costs: results.map(r => r.cost),
+            totalCost: results.reduce((sum, r) => sum + r.cost, 0),
+            datasets: [
+                {
+                    label: 'Токены запроса',
+                    data: results.map(r => r.promptTokens),
+                    backgroundColor: 'rgba(59, 130, 246, 0.7)',
+                    borderColor: 'rgb(59, 130, 246)',
+                    borderWidth: 1
+                },
+                {
+                    label: 'Токены ответа',
+                    data: results.map(r => r.completionTokens),
+                    backgroundColor: 'rgba(168, 85, 247, 0.7)',
+                    borderColor: 'rgb(168, 85, 247)',
+                    borderWidth: 1
+                }
+            ]
+        });
+    });
+});
+
+// AI usage totals grouped by bot, model or chat (chat requires bot_id)
+app.get('/api/dashboard/ai-usage', requireAuth, (req, res) => {
+    const { period = '24h', group_by = 'bot', bot_id } = req.query;
+    const { dateFilter } = getChartPeriodSql(period, 'r.created_at');
+    const groups = {
+        bot: { select: `r.bot_id as botId, ${AI_USAGE_BOT_NAME_SQL} as name`, groupBy: 'r.bot_id' },
+        model: { select: 'r.provider as provider, r.model as name', groupBy: 'r.provider, r.model' },
+        chat: { select: 'r.chat_id as name', groupBy: 'r.chat_id' }
+    };
+    const group = groups[group_by];
+    if (!group) {
+        return res.status(400).json({ error: 'group_by must be bot, model or chat' });
     }
-    
-    const baseApiCalls = requestStats.apiCalls || 0;
-    
-    for (let i = points - 1; i >= 0; i--) {
-        const time = new Date(now - (i * interval));
-        labels.push(time.getHours().toString().padStart(2, '0') + ':00');
-        
-        // Generate realistic data based on current API calls
-        const variation = Math.random() * 0.5 + 0.75; // 75-125% variation
-        const pointValue = Math.floor((baseApiCalls / points) * variation);
-        data.push(Math.max(0, pointValue));
+    if (group_by === 'chat' && !bot_id) {
+        return res.status(400).json({ error: 'bot_id is required for group_by=chat' });
     }
-    
-    res.json({
-        labels,
-        datasets: [
-            {
-                label: 'AI Запросы',
-                data,
-                backgroundColor: 'rgba(168, 85, 247, 0.1)',
-                borderColor: 'rgb(168, 85, 247)',
-                borderWidth: 2,
-                fill: true,
-                tension: 0.4
-            }
-        ]
+
+    const params = [];
+    let botFilter = '';
+    if (bot_id) {
+        botFilter = 'AND r.bot_id = ?';
+        params.push(bot_id);
+    }
+
+    db.all(`SELECT ${group.select},
+                   SUM(CASE WHEN r.status = 'success' THEN 1 ELSE 0 END) as requests,
+                   SUM(CASE WHEN r.status = 'error' THEN 1 ELSE 0 END) as errors,
+                   COALESCE(SUM(r.prompt_tokens), 0) as promptTokens,
+                   COALESCE(SUM(r.completion_tokens), 0) as completionTokens,
+                   ROUND(AVG(CASE WHEN r.status = 'success' THEN r.latency_ms END)) as avgLatencyMs,
+                   COALESCE(SUM(r.cost), 0) as cost
+            FROM ai_requests r
+            LEFT JOIN bots b ON b.id = r.bot_id
+            WHERE ${dateFilter} AND ${notPlaygroundChatSql('r.chat_id')} ${botFilter}
+            GROUP BY ${group.groupBy}
+            ORDER BY cost DESC, requests DESC
+            LIMIT 100`, params, (err, rows) => {
+        if (err) {
+            addLog('ERROR', 'DATABASE', 'Failed to fetch AI usage', {
+                error: err.message,
+                groupBy: group_by
+            });
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(rows);
     });
 });
 
@@ -2684,6 +7278,14 @@ app.put('/api/settings', requireAuth, (req, res) => {
         return res.status(400).json({ error: 'Invalid settings data' });
     }
 
+    const pricesSetting = settings.find(setting => setting.key === 'ai_model_prices');
+    if (pricesSetting) {
+        const pricesError = validateModelPrices(pricesSetting.value);
+        if (pricesError) {
+            return res.status(400).json({ error: pricesError });
+        }
+    }
+
     const updatePromises = settings.map(setting => {
         return new Promise((resolve, reject) => {
             db.run(`UPDATE settings SET value = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?`,
@@ -2744,7 +7346,7 @@ app.get('/api/bots/:botId/commands', requireAuth, (req, res) => {
 });
 
 // Create new command for bot
-app.post('/api/bots/:botId/commands', requireAuth, (req, res) => {
+app.post('/api/bots/:botId/commands', requireAuth, async (req, res) => {
     const { botId } = req.params;
     const { name, description, json_code, is_active, is_multi_command, parent_multi_command_id, allow_external_commands } = req.body;
     
@@ -2753,10 +7355,18 @@ app.post('/api/bots/:botId/commands', requireAuth, (req, res) => {
     }
     
     // Validate JSON
+    let parsedCode;
     try {
-        JSON.parse(json_code);
+        parsedCode = JSON.parse(json_code);
     } catch (error) {
-        return res.status(400).json({ error: 'Invalid JSON format' });
+        return res.status(400).json({ error: 'Invalid JSON format', errors: [{ path: '', message: error.message }] });
+    }
+
+    // Other active commands of the bot plus the new one, to check where callback buttons lead
+    const otherCommands = await getAvailableCommands(botId);
+    const validation = validateCommandJson(parsedCode, [...otherCommands, { name, json_code, is_multi_command: is_multi_command ? 1 : 0 }]);
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Ошибка в JSON команды: ' + formatValidationErrors(validation.errors), errors: validation.errors });
     }
     
     addLog('INFO', 'BOT', `Creating command ${name} for bot ${botId}`, {
@@ -2789,13 +7399,14 @@ app.post('/api/bots/:botId/commands', requireAuth, (req, res) => {
                 userId: req.session.userId
             });
             
-            res.json({ success: true, commandId: this.lastID, message: 'Command created successfully' });
+            scheduleTelegramCommandsSync(botId);
+            res.json({ success: true, commandId: this.lastID, message: 'Command created successfully', warnings: validation.warnings });
         }
     );
 });
 
 // Update command
-app.put('/api/bots/:botId/commands/:commandId', requireAuth, (req, res) => {
+app.put('/api/bots/:botId/commands/:commandId', requireAuth, async (req, res) => {
     const { botId, commandId } = req.params;
     const { name, description, json_code, is_active, is_multi_command, parent_multi_command_id, allow_external_commands } = req.body;
     
@@ -2804,10 +7415,18 @@ app.put('/api/bots/:botId/commands/:commandId', requireAuth, (req, res) => {
     }
     
     // Validate JSON
+    let parsedCode;
     try {
-        JSON.parse(json_code);
+        parsedCode = JSON.parse(json_code);
     } catch (error) {
-        return res.status(400).json({ error: 'Invalid JSON format' });
+        return res.status(400).json({ error: 'Invalid JSON format', errors: [{ path: '', message: error.message }] });
+    }
+
+    // Other active commands of the bot with the edited one replaced, to check where callback buttons lead
+    const otherCommands = (await getAvailableCommands(botId)).filter(command => String(command.id) !== String(commandId));
+    const validation = validateCommandJson(parsedCode, [...otherCommands, { name, json_code, is_multi_command: is_multi_command ? 1 : 0 }]);
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Ошибка в JSON команды: ' + formatValidationErrors(validation.errors), errors: validation.errors });
     }
     
     addLog('INFO', 'BOT', `Updating command ${commandId} for bot ${botId}`, {
@@ -2845,7 +7464,8 @@ app.put('/api/bots/:botId/commands/:commandId', requireAuth, (req, res) => {
                 userId: req.session.userId
             });
             
-            res.json({ success: true, message: 'Command updated successfully' });
+            scheduleTelegramCommandsSync(botId);
+            res.json({ success: true, message: 'Command updated successfully', warnings: validation.warnings });
         }
     );
 });
@@ -2881,9 +7501,84 @@ app.delete('/api/bots/:botId/commands/:commandId', requireAuth, (req, res) => {
             userId: req.session.userId
         });
         
+        scheduleTelegramCommandsSync(botId);
         res.json({ success: true, message: 'Command deleted successfully' });
     });
 });
+// Preview Telegram command menu (what setMyCommands receives) and last sync state
+app.get('/api/bots/:botId/commands/telegram-menu', requireAuth, (req, res) => {
+    const { botId } = req.params;
+
+    db.get('SELECT * FROM bots WHERE id = ?', [botId], (err, bot) => {
+        if (err || !bot) {
+            return res.status(404).json({ error: 'Bot not found' });
+        }
+
+        db.all('SELECT * FROM bot_commands WHERE bot_id = ? ORDER BY created_at ASC, id ASC', [botId], (err, commands) => {
+            if (err) {
+                return res.status(500).json({ error: 'Database error' });
+            }
+
+            const { targets, skipped } = buildTelegramCommandMenu(commands);
+            res.json({
+                success: true,
+                targets: targets,
+                skipped: skipped,
+                lastSync: getCommandsSyncState(bot)
+            });
+        });
+    });
+});
+
+// Re-sync Telegram command menu
+app.post('/api/bots/:botId/commands/telegram-menu/sync', requireAuth, async (req, res) => {
+    const { botId } = req.params;
+
+    try {
+        const result = await syncTelegramCommands(botId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.message === 'Bot not found' ? 404 : 500).json({ error: 'Failed to sync command menu: ' + error.message });
+    }
+});
+
+
+// List active multi-command contexts of bot chats
+app.get('/api/bots/:botId/multi-command-contexts', requireAuth, (req, res) => {
+    const { botId } = req.params;
+
+    db.all(`SELECT c.chat_id, c.command_id, bc.name AS command_name, c.ttl_minutes, c.expires_at, c.created_at, c.updated_at
+            FROM multi_command_contexts c
+            JOIN bot_commands bc ON bc.id = c.command_id
+            WHERE c.bot_id = ? AND (c.expires_at IS NULL OR c.expires_at > ?)
+            ORDER BY c.updated_at DESC`,
+        [botId, Date.now()], (err, contexts) => {
+            if (err) {
+                return res.status(500).json({ error: 'Failed to fetch multi-command contexts' });
+            }
+
+            res.json(contexts.map(context => ({
+                ...context,
+                expires_at: context.expires_at ? new Date(context.expires_at).toISOString() : null
+            })));
+        }
+    );
+});
+
+// Reset multi-command context of one chat
+app.delete('/api/bots/:botId/multi-command-contexts/:chatId', requireAuth, async (req, res) => {
+    const { botId, chatId } = req.params;
+    const clearedCount = await clearMultiCommandContext(botId, chatId);
+
+    addLog('INFO', 'BOT', `Multi-command context reset for chat ${chatId}`, {
+        botId: botId,
+        chatId: chatId,
+        clearedCount: clearedCount,
+        userId: req.session.userId
+    });
+
+    res.json({ success: true, clearedCount: clearedCount });
+});
 
 // Clear multi-command context
 app.delete('/api/bots/:botId/multi-command-context/:commandId', requireAuth, (req, res) => {
@@ -2896,25 +7591,76 @@ app.delete('/api/bots/:botId/multi-command-context/:commandId', requireAuth, (re
     });
     
     // Clear all contexts for this multi-command
-    let clearedCount = 0;
-    for (const [key, value] of multiCommandContexts.entries()) {
-        if (value == commandId && key.startsWith(`${botId}:`)) {
-            multiCommandContexts.delete(key);
-            clearedCount++;
+    db.run('DELETE FROM multi_command_contexts WHERE bot_id = ? AND command_id = ?', [botId, commandId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to clear multi-command context' });
         }
+
+        const clearedCount = this.changes;
+        addLog('SUCCESS', 'BOT', `Cleared ${clearedCount} multi-command contexts for command ${commandId}`, {
+            botId: botId,
+            commandId: commandId,
+            clearedCount: clearedCount,
+            userId: req.session.userId
+        });
+        
+        res.json({ 
+            success: true, 
+            message: `Очищено ${clearedCount} контекстов мульти-команды`,
+            clearedCount: clearedCount 
+        });
+    });
+});
+
+// Completed form submissions of bot
+app.get('/api/bots/:botId/form-submissions', requireAuth, (req, res) => {
+    const { botId } = req.params;
+    const { commandId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    let query = 'SELECT * FROM form_submissions WHERE bot_id = ?';
+    const params = [botId];
+    if (commandId) {
+        query += ' AND command_id = ?';
+        params.push(commandId);
     }
-    
-    addLog('SUCCESS', 'BOT', `Cleared ${clearedCount} multi-command contexts for command ${commandId}`, {
-        botId: botId,
-        commandId: commandId,
-        clearedCount: clearedCount,
-        userId: req.session.userId
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+
+    db.all(query, params, (err, submissions) => {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to fetch form submissions' });
+        }
+
+        res.json(submissions.map(submission => {
+            let answers = {};
+            try {
+                answers = JSON.parse(submission.answers);
+            } catch (error) {
+                answers = {};
+            }
+            return { ...submission, answers };
+        }));
     });
-    
-    res.json({ 
-        success: true, 
-        message: `Очищено ${clearedCount} контекстов мульти-команды`,
-        clearedCount: clearedCount 
+});
+
+app.delete('/api/bots/:botId/form-submissions/:id', requireAuth, (req, res) => {
+    const { botId, id } = req.params;
+
+    db.run('DELETE FROM form_submissions WHERE id = ? AND bot_id = ?', [id, botId], function(err) {
+        if (err) {
+            return res.status(500).json({ error: 'Failed to delete form submission' });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ error: 'Form submission not found' });
+        }
+
+        addLog('INFO', 'BOT', `Form submission ${id} deleted`, {
+            botId: botId,
+            submissionId: id,
+            userId: req.session.userId
+        });
+        res.json({ success: true });
     });
 });
 
@@ -3033,7 +7779,8 @@ app.post('/api/support/chat', requireAuth, async (req, res) => {
             return res.status(400).json({ error: 'AI поддержка отключена' });
         }
 
-        if (!settings.support_ai_api_key) {
+        const supportProvider = getAIProvider({ ai_provider: settings.support_ai_provider, api_url: settings.support_ai_api_url });
+        if (!settings.support_ai_api_key && supportProvider.requiresApiKey) {
             return res.status(400).json({ error: 'API ключ для поддержки не настроен' });
         }
 
@@ -3041,7 +7788,7 @@ app.post('/api/support/chat', requireAuth, async (req, res) => {
         const systemPrompt = `Вы - AI ассистент службы поддержки для админ панели управления Telegram ботами. Вы находитесь в разделе "ПОМОЩЬ" и помогаете пользователям разобраться с системой.
 ВАЖНАЯ ИНФОРМАЦИЯ О ПЛАТФОРМЕ:
 - Это система управления множественными Telegram ботами с AI интеграцией
-- Поддерживает универсальные AI API: OpenAI (gpt-4, gpt-3.5-turbo), DeepSeek (deepseek-chat, deepseek-reasoner), LangDock (claude-3-7-sonnet), Anthropic (claude-3-sonnet), Google (gemini-pro)
+- Поддерживает универсальные AI API: OpenAI (gpt-4, gpt-3.5-turbo), DeepSeek (deepseek-chat, deepseek-reasoner), LangDock (claude-3-7-sonnet), Anthropic (claude-3-sonnet), Google (gemini-pro), Ollama и локальные OpenAI-совместимые серверы (llama.cpp, LM Studio, vLLM) без API ключа
 - Имеет систему баз данных для знаний ботов
 - Включает полный мониторинг, логирование и отладку в реальном времени
 - Поддерживает получение реальных имен ботов из Telegram API
@@ -3148,6 +7895,7 @@ claude-3-7-sonnet-20250219
             try {
                 // Make streaming API call
                 const supportBotData = {
+                    ai_provider: settings.support_ai_provider,
                     api_url: settings.support_ai_api_url,
                     api_key: settings.support_ai_api_key,
                     ai_model: settings.support_ai_model,
@@ -3174,6 +7922,7 @@ claude-3-7-sonnet-20250219
         } else {
             // Make API call to support AI
             const supportBotData = {
+                ai_provider: settings.support_ai_provider,
                 api_url: settings.support_ai_api_url,
                 api_key: settings.support_ai_api_key,
                 ai_model: settings.support_ai_model,
@@ -3181,7 +7930,7 @@ claude-3-7-sonnet-20250219
                 database_id: null
             };
             
-            const response = await callAI(supportBotData, message);
+            const response = await withAIErrorMessage(callAI(supportBotData, message));
 
             addLog('INFO', 'SUPPORT', 'Support AI request processed', {
                 userId: req.session.userId,
@@ -3222,7 +7971,7 @@ setInterval(() => {
         if (err) return;
         
         runningBots.forEach(bot => {
-            const isActuallyRunning = activeBots.has(bot.id);
+            const isActuallyRunning = isBotExpectedRunning(bot.id);
             if (!isActuallyRunning) {
                 addLog('WARNING', 'BOT', `Bot ${bot.name} marked as running but not active, fixing status`, {
                     botId: bot.id,
@@ -3247,6 +7996,33 @@ setInterval(() => {
     });
 }, 60000); // Check every minute
 
+// Check webhook registration of running webhook bots
+setInterval(() => {
+    for (const [botId, telegramBot] of activeBots) {
+        checkWebhookBot(botId, telegramBot).catch((error) => {
+            addLog('ERROR', 'BOT', `Webhook check error for bot ${botId}`, {
+                botId: botId,
+                error: error.message
+            });
+        });
+    }
+}, WEBHOOK_CHECK_INTERVAL);
+
+// Remove expired multi-command contexts, unfinished forms and callback payloads
+setInterval(() => {
+    db.run('DELETE FROM multi_command_contexts WHERE expires_at IS NOT NULL AND expires_at < ?', [Date.now()], function(err) {
+        if (!err && this.changes > 0) {
+            addLog('INFO', 'BOT', `Removed ${this.changes} expired multi-command contexts`);
+        }
+    });
+    db.run('DELETE FROM form_sessions WHERE expires_at < ?', [Date.now()], function(err) {
+        if (!err && this.changes > 0) {
+            addLog('INFO', 'BOT', `Removed ${this.changes} expired form sessions`);
+        }
+    });
+    db.run('DELETE FROM callback_payloads WHERE expires_at < ?', [Date.now()]);
+}, 5 * 60 * 1000);
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -3258,6 +8034,15 @@ app.listen(PORT, () => {
         nodeVersion: process.version,
         platform: process.platform
     });
+
+    // Restart bots that were running before shutdown (set BOTS_AUTO_RESUME=false to disable)
+    if (process.env.BOTS_AUTO_RESUME !== 'false') {
+        resumeBots().catch((error) => {
+            addLog('ERROR', 'BOT', 'Failed to resume bots after server start', {
+                error: error.message
+            });
+        });
+    }
 });
 
 // Graceful shutdown
@@ -3265,37 +8050,10 @@ const gracefulShutdown = async (signal) => {
     console.log(`\nReceived ${signal}. Shutting down gracefully...`);
     
     try {
-        // Stop all running bots
-        const stopPromises = [];
-        activeBots.forEach((bot, id) => {
-            stopPromises.push(
-                Promise.resolve().then(async () => {
-                    try {
-                        await bot.stopPolling();
-                        bot.removeAllListeners();
-                        
-                        try {
-                            await bot.deleteWebHook();
-                        } catch (webhookError) {
-                            // Webhook может не быть установлен
-                        }
-                        
-                        console.log(`✓ Stopped bot ${id}`);
-                    } catch (error) {
-                        console.log(`✗ Error stopping bot ${id}: ${error.message}`);
-                    }
-                })
-            );
-        });
-        
-        // Ждем остановки всех ботов
-        await Promise.allSettled(stopPromises);
+        // Stop all running bots (is_running is kept so they are resumed on next start)
+        await BotManager.stopAll();
         console.log('All bots stopped');
         
-        // Очищаем контексты мульти-команд
-        multiCommandContexts.clear();
-        console.log('Multi-command contexts cleared');
-        
         // Close database
         db.close((err) => {
             if (err) {